@@ -1,7 +1,7 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
 
 
-import { sampleSVG } from './engine/svg-sampler.js';
+import { sampleSVG, sampleRaster } from './engine/svg-sampler.js';
 
 // Generate mode effect modules
 import * as verticalLines from './engine/effects/vertical-lines.js';
@@ -10,6 +10,7 @@ import * as horizontalLines from './engine/effects/horizontal-lines.js';
 import * as particleScatter from './engine/effects/particle-scatter.js';
 import * as starGlint from './engine/effects/star-glint.js';
 import * as lineHalftone from './engine/effects/line-halftone.js';
+import * as outlineTrace from './engine/effects/outline-trace.js';
 
 // Animate mode effect modules
 import * as verticalLinesAnim from './animate/effects/vertical-lines-anim.js';
@@ -18,9 +19,15 @@ import * as horizontalLinesAnim from './animate/effects/horizontal-lines-anim.js
 import * as particleScatterAnim from './animate/effects/particle-scatter-anim.js';
 import * as starGlintAnim from './animate/effects/star-glint-anim.js';
 import * as lineHalftoneAnim from './animate/effects/line-halftone-anim.js';
+import * as outlineTraceAnim from './animate/effects/outline-trace-anim.js';
 
 import SvgUploader from './components/SvgUploader.jsx';
+import TextSource from './components/TextSource.jsx';
+import SamplingSettings, { DEFAULT_SAMPLING } from './components/SamplingSettings.jsx';
 import EffectPairPanel from './components/EffectPairPanel.jsx';
+import BatchExportDialog from './components/BatchExportDialog.jsx';
+import { downloadBlob } from './components/ExportDialog.jsx';
+import { renderBatchZIP, logoBaseName } from './animate/batch-export.js';
 import './styles/app.css';
 
 import { driver } from 'driver.js';
@@ -40,10 +47,16 @@ const effectPairs = [
   { title: 'Vertical Lines', genModule: verticalLines, animModule: verticalLinesAnim },
   { title: 'STAR GLINT', genModule: starGlint, animModule: starGlintAnim },
   { title: 'Line Halftone', genModule: lineHalftone, animModule: lineHalftoneAnim },
+  { title: 'Outline Trace', genModule: outlineTrace, animModule: outlineTraceAnim },
 ];
 
+// Starting swatches for the shared color palette — brand colors picked in any
+// panel can be added next to these and reused across all effects.
+const DEFAULT_PALETTE = ['#000000', '#ffffff', '#ff3b30', '#0a64ff'];
+
 export default function App() {
   const [svgSource, setSvgSource] = useState(null);
+  const [imageSource, setImageSource] = useState(null); // data URL of a raster logo
   const [logoName, setLogoName] = useState('abc_logo.svg');
   const [sampleData, setSampleData] = useState(null);
   const [mode, setMode] = useState('animate'); // 'generate' | 'animate'
@@ -51,6 +64,8 @@ export default function App() {
   const [gridCols, setGridCols] = useState(2);
   const [previewScale, setPreviewScale] = useState(0.8);
   const [showInfo, setShowInfo] = useState(false);
+  const [palette, setPalette] = useState(DEFAULT_PALETTE);
+  const [sampling, setSampling] = useState(DEFAULT_SAMPLING); // { mode, resolution, threshold, distanceField }
 
   // Shared params for all effect panels — persists across tab switches.
   // Initialised from animModule (canonical unified schema source).
@@ -78,18 +93,31 @@ export default function App() {
       .catch(console.error);
   }, []);
 
-  // Re-sample whenever the SVG source changes (aspect-correct, 300 cols)
+  // Re-sample whenever the logo source or sampler settings change (aspect-correct)
   useEffect(() => {
-    if (!svgSource) {
+    if (!svgSource && !imageSource) {
       setSampleData(null);
       return;
     }
     let cancelled = false;
-    sampleSVG(svgSource, 300).then((data) => {
-      if (!cancelled) setSampleData(data);
-    });
+    const options = { mode: sampling.mode, distanceField: sampling.distanceField === 'on' };
+    const pending = imageSource
+      ? sampleRaster(imageSource, sampling.resolution, options)
+      : sampleSVG(svgSource, sampling.resolution, options);
+    pending
+      .then((data) => {
+        if (!cancelled) setSampleData(data);
+      })
+      .catch(console.error);
     return () => { cancelled = true; };
-  }, [svgSource]);
+  }, [svgSource, imageSource, sampling.mode, sampling.resolution, sampling.distanceField]);
+
+  // Threshold rides along on sampleData so every generate()/init() — and the
+  // standalone export — sees the same background cutoff without re-sampling.
+  const effectSampleData = useMemo(
+    () => (sampleData ? { ...sampleData, threshold: sampling.threshold } : null),
+    [sampleData, sampling.threshold],
+  );
 
   // Apply dark/light theme to document root
   useEffect(() => {
@@ -109,13 +137,22 @@ export default function App() {
     document.documentElement.style.setProperty('--preview-scale', previewScale);
   }, [previewScale]);
 
-  function handleSvgLoaded(text, name) {
+  // Stable — TextSource re-renders its wordmark in an effect keyed on it
+  const handleSvgLoaded = useCallback((text, name) => {
     setSvgSource(text);
+    setImageSource(null);
+    setLogoName(name);
+  }, []);
+
+  function handleImageLoaded(dataUrl, name) {
+    setImageSource(dataUrl);
+    setSvgSource(null);
     setLogoName(name);
   }
 
   function handleClearLogo() {
     setSvgSource(null);
+    setImageSource(null);
     setSampleData(null);
     setLogoName('No logo');
   }
@@ -129,6 +166,16 @@ export default function App() {
     });
   }, []);
 
+  const handleSamplingChange = useCallback((key, value) => {
+    setSampling((prev) => ({ ...prev, [key]: value }));
+  }, []);
+
+  const handlePaletteAdd = useCallback((hex) => {
+    setPalette((prev) => (
+      prev.some((c) => c.toLowerCase() === hex.toLowerCase()) ? prev : [...prev, hex]
+    ));
+  }, []);
+
   // Compute SVG output dimensions that match the logo's true aspect ratio.
   // FILMER (1075×221, 4.86:1) → outputWidth=1000, outputHeight=206
   const outputWidth = OUTPUT_W;
@@ -136,6 +183,55 @@ export default function App() {
     ? Math.max(1, Math.round(OUTPUT_W / (sampleData.svgWidth / sampleData.svgHeight)))
     : OUTPUT_W;
 
+  // ── Export all — chosen effects × formats in one ZIP (animate/batch-export.js)
+  const [batchOpen, setBatchOpen] = useState(false);
+  const [batchProgress, setBatchProgress] = useState(null); // null | 0-1
+  const [batchError, setBatchError] = useState(null);
+  const batchAbortRef = useRef(null);
+  // Effects this logo cannot drive (e.g. Outline Trace for text / raster
+  // sources) are left out of the batch instead of zipping blank files
+  const batchPairs = effectPairs
+    .map((pair, i) => ({ ...pair, params: sharedParams[i] }))
+    .filter((pair) => !(effectSampleData && pair.animModule.getUnavailableReason?.(effectSampleData)));
+
+  async function exportAll({ effects, formats, duration }) {
+    if (!effectSampleData || batchProgress !== null) return;
+    const controller = new AbortController();
+    batchAbortRef.current = controller;
+    setBatchError(null);
+    setBatchProgress(0);
+
+    try {
+      const blob = await renderBatchZIP({
+        effects: effects.map((i) => batchPairs[i]),
+        formats,
+        sampleData: effectSampleData,
+        outputWidth,
+        outputHeight,
+        logoName,
+        sampling,
+        duration,
+        onProgress: setBatchProgress,
+        signal: controller.signal,
+      });
+      downloadBlob(blob, `${logoBaseName(logoName)}.zip`);
+      setBatchOpen(false);
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        console.error(err);
+        setBatchError(err.message);
+      }
+    } finally {
+      batchAbortRef.current = null;
+      setBatchProgress(null);
+    }
+  }
+
+  function closeBatchDialog() {
+    setBatchOpen(false);
+    setBatchError(null);
+  }
+
   function startTour() {
     const driverObj = driver({
       showProgress: false,
@@ -150,7 +246,7 @@ export default function App() {
           element: '.upload-zone.upload-combined',
           popover: {
             title: 'Step 1. 로고 업로드 (Upload)',
-            description: '작업할 SVG 로고 파일을 끌어다 놓으세요.',
+            description: '작업할 로고 파일(SVG, PNG, JPG, WebP)을 끌어다 놓으세요.',
             side: 'bottom',
             align: 'start'
           }
@@ -186,7 +282,7 @@ export default function App() {
           element: '.effect-panel:first-of-type .panel-header .export-buttons',
           popover: {
             title: 'Step 5. 내보내기 (Export)',
-            description: '완성된 결과물을 이미지(SVG) / 애니메이션(Code/GIF/MP4)로 다운로드하세요.',
+            description: '완성된 결과물을 이미지(SVG / 애니메이션 SVG / PNG · PDF · EPS / 플로터) / 애니메이션(Code/Component/GIF/Video/PNG 프레임/Lottie)으로 다운로드하세요. 상단의 Export all로 모든 효과를 ZIP 하나로 받을 수도 있어요.',
             side: 'bottom',
             align: 'end'
           }
@@ -203,9 +299,13 @@ export default function App() {
           <SvgUploader
             currentName={logoName}
             svgSource={svgSource}
+            imageSource={imageSource}
             onSvgLoaded={handleSvgLoaded}
+            onImageLoaded={handleImageLoaded}
             onClear={handleClearLogo}
           />
+          <TextSource onSvgLoaded={handleSvgLoaded} />
+          <SamplingSettings settings={sampling} onChange={handleSamplingChange} />
         </div>
         <div className="top-controls-center">
           <div className="mode-toggle">
@@ -228,6 +328,14 @@ export default function App() {
           </div>
         </div>
         <div className="top-controls-right">
+          <button
+            className="export-all-btn"
+            onClick={() => setBatchOpen(true)}
+            disabled={!effectSampleData}
+            title="Every effect (or a subset) in the chosen formats, zipped with a manifest of params"
+          >
+            Export all
+          </button>
           <div className="view-settings-group">
             <div className="size-slider-wrap">
               <span className="size-slider-label-sm">A</span>
@@ -317,7 +425,7 @@ export default function App() {
             key={pair.title}
             mode={mode}
             title={pair.title}
-            sampleData={sampleData}
+            sampleData={effectSampleData}
             genModule={pair.genModule}
             animModule={pair.animModule}
             outputWidth={outputWidth}
@@ -325,10 +433,25 @@ export default function App() {
             params={sharedParams[idx]}
             onParamChange={(key, value) => handleParamChange(idx, key, value)}
             logoName={logoName}
+            palette={palette}
+            onPaletteAdd={handlePaletteAdd}
           />
         ))}
       </div>
 
+      {batchOpen && (
+        <BatchExportDialog
+          titles={batchPairs.map((pair) => pair.title)}
+          excluded={effectPairs.filter((pair) => !batchPairs.some((p) => p.title === pair.title)).map((pair) => pair.title)}
+          logoName={logoName}
+          progress={batchProgress}
+          error={batchError}
+          onExport={exportAll}
+          onCancel={() => batchAbortRef.current?.abort()}
+          onClose={closeBatchDialog}
+        />
+      )}
+
       {/* ── Floating info button ── */}
       <button className="info-fab" onClick={() => setShowInfo(true)} title="About">
         <img src="/favicon-rit.svg" alt="Info" />
@@ -352,6 +475,7 @@ export default function App() {
                 <li><strong>Vertical Lines</strong> — 굵기가 변하는 수직 라인 웨이브</li>
                 <li><strong>Star Glint</strong> — 로고를 구성하며 반짝이는 다이내믹 십자별</li>
                 <li><strong>Line Halftone</strong> — 두께로 명암 볼륨감을 표현하는 가로줄 웨이브</li>
+                <li><strong>Outline Trace</strong> — 로고 윤곽선을 따라 스스로 그려지는 스트로크</li>
               </ul>
             </section>
 
@@ -0,0 +1,162 @@
+import { zipSync } from 'fflate';
+import { optimizeSVG } from '../engine/utils/svg-optimize.js';
+import { svgToPNG, svgToPDF, resolvePngSize } from '../engine/static-export.js';
+import { renderVideo, isVideoExportSupported } from './video-export.js';
+import { renderGIF } from './gif-export.js';
+import { buildLottie, isLottieExportSupported } from './lottie-export.js';
+import { buildStandaloneHTML } from './code-export.js';
+
+/**
+ * Batch export — every chosen effect in every chosen format, zipped into
+ * one download with a manifest.json of the params each effect used.
+ *
+ * Each format uses its export dialog's defaults (SVG optimized, PNG at 2×,
+ * PDF 100 mm wide, GIF at logo size, 1080p video, 540px Lottie), with one
+ * shared length for the animated formats. Animated formats run at the SVG
+ * output size rather than a panel's preview size, since no preview is
+ * involved.
+ *
+ * Nothing here fails the whole batch. An effect the logo cannot drive
+ * (animModule.getUnavailableReason()) and a format an effect cannot produce
+ * (no Lottie shapes, no video encoder) are skipped; a file that fails is
+ * left out. The manifest lists skips and errors per effect.
+ */
+
+export const BATCH_FORMATS = [
+  { value: 'svg', label: 'SVG' },
+  { value: 'png', label: 'PNG (2×)' },
+  { value: 'pdf', label: 'PDF' },
+  { value: 'gif', label: 'GIF' },
+  { value: 'mp4', label: 'MP4' },
+  { value: 'webm', label: 'WebM' },
+  { value: 'lottie', label: 'Lottie' },
+  { value: 'html', label: 'HTML' },
+];
+
+// logoName without its extension, lower-case and dash-separated
+export function logoBaseName(logoName) {
+  return logoName.replace(/\.[^/.]+$/, '').toLowerCase().replace(/[^a-z0-9]+/g, '-');
+}
+
+// File name stem of one effect's exports: <logo>_<effect>
+export function effectFilePrefix(logoName, title) {
+  return `${logoBaseName(logoName)}_${title.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
+}
+
+function throwIfAborted(signal) {
+  if (signal?.aborted) throw new DOMException('Export cancelled', 'AbortError');
+}
+
+const bytesOf = async (blob) => new Uint8Array(await blob.arrayBuffer());
+const encode = (text) => new TextEncoder().encode(text);
+
+// One file for one effect: { name, data: Uint8Array } — or a skip reason
+async function exportOne(format, effect, shared, onProgress, signal) {
+  const { title, genModule, animModule, params, prefix } = effect;
+  const { sampleData, outputWidth, outputHeight, duration } = shared;
+  const base = { animModule, sampleData, params, baseW: outputWidth, baseH: outputHeight };
+  const loopDuration = animModule.getLoopDuration?.(params, sampleData) ?? null;
+  const svg = () => genModule.generate(sampleData, params, outputWidth, outputHeight);
+
+  switch (format) {
+    case 'svg':
+      return { name: `${prefix}.svg`, data: encode(optimizeSVG(svg())) };
+    case 'png': {
+      const size = resolvePngSize({ pngSize: 'x2' }, outputWidth, outputHeight);
+      return { name: `${prefix}@${size.width}w.png`, data: await bytesOf(await svgToPNG(svg(), { ...size, background: null })) };
+    }
+    case 'pdf':
+      return { name: `${prefix}.pdf`, data: await bytesOf(svgToPDF(svg(), { widthMm: 100, background: null, title: prefix })) };
+    case 'gif': {
+      const blob = await renderGIF({
+        ...base, loopDuration, onProgress, signal,
+        preset: 'logo', fps: 20, duration, background: '#ffffff', colors: 256, dither: 'none',
+      });
+      return { name: `${prefix}.gif`, data: await bytesOf(blob) };
+    }
+    case 'mp4':
+    case 'webm': {
+      if (!isVideoExportSupported(format)) return { skipped: 'no video encoder in this browser' };
+      const blob = await renderVideo({
+        ...base, loopDuration, onProgress, signal,
+        format, height: 1080, fps: 30, duration, background: '#00ff00',
+      });
+      return { name: `${prefix}.${format}`, data: await bytesOf(blob) };
+    }
+    case 'lottie': {
+      if (!isLottieExportSupported(animModule)) return { skipped: 'effect has no Lottie shapes' };
+      const lottie = buildLottie({ ...base, height: 540, fps: 30, keyframes: 16, name: prefix });
+      return { name: `${prefix}.json`, data: encode(JSON.stringify(lottie)) };
+    }
+    case 'html':
+      return { name: `${prefix}.html`, data: encode(buildStandaloneHTML(title, animModule, sampleData, params, outputWidth, outputHeight)) };
+    default:
+      return { skipped: `unknown format ${format}` };
+  }
+}
+
+/**
+ * options:
+ *   effects      — [{ title, genModule, animModule, params }]
+ *   formats      — BATCH_FORMATS values
+ *   sampleData, outputWidth, outputHeight — as the panels get them
+ *   logoName     — names the files (and the caller's ZIP)
+ *   sampling     — sampler settings, recorded in the manifest
+ *   duration     — seconds for GIF / video (snapped to whole loops)
+ *   onProgress   — (0..1) => void
+ *   signal       — AbortSignal; aborting rejects with an AbortError
+ *
+ * Resolves to the ZIP Blob.
+ */
+export async function renderBatchZIP(options) {
+  const { effects, formats, sampleData, outputWidth, outputHeight, logoName, sampling, duration, onProgress, signal } = options;
+  const shared = { sampleData, outputWidth, outputHeight, duration };
+  const files = {};
+  const manifest = {
+    app: 'reffect - Motion Creator',
+    logo: logoName,
+    createdAt: new Date().toISOString(),
+    sampling,
+    size: { width: outputWidth, height: outputHeight },
+    formats,
+    effects: [],
+  };
+
+  const total = effects.length * formats.length;
+  let done = 0;
+  for (const effect of effects) {
+    const params = { ...effect.animModule.getDefaultParams(), ...effect.params };
+    const entry = { title: effect.title, params, files: [], skipped: {}, errors: {} };
+    const job = { ...effect, params, prefix: effectFilePrefix(logoName, effect.title) };
+    const unavailable = effect.animModule.getUnavailableReason?.(sampleData) ?? null;
+
+    for (const format of formats) {
+      throwIfAborted(signal);
+      const step = done;
+      const onStep = (p) => onProgress?.((step + p) / total);
+      if (unavailable) {
+        entry.skipped[format] = unavailable;
+        done++;
+        continue;
+      }
+      try {
+        const result = await exportOne(format, job, shared, onStep, signal);
+        if (result.skipped) entry.skipped[format] = result.skipped;
+        else {
+          // images and videos are compressed already
+          files[result.name] = /\.(svg|json|html)$/.test(result.name) ? result.data : [result.data, { level: 0 }];
+          entry.files.push(result.name);
+        }
+      } catch (err) {
+        if (err.name === 'AbortError') throw err;
+        entry.errors[format] = err.message;
+      }
+      done++;
+      onProgress?.(done / total);
+    }
+    manifest.effects.push(entry);
+  }
+
+  files['manifest.json'] = encode(JSON.stringify(manifest, null, 2));
+  return new Blob([zipSync(files)], { type: 'application/zip' });
+}
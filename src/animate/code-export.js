@@ -0,0 +1,729 @@
+/**
+ * Code exports — self-contained files that replay an effect outside the
+ * tool: a standalone HTML page, an embeddable <reffect-logo> component and
+ * React / Vue components exposing the params as props.
+ *
+ * All embed the sampled logo data and the editor's current params, and
+ * serialise the animModule's getDefaultParams / init / drawFrame via
+ * .toString(). Helpers those functions import are provided as globals by
+ * MATH_UTILS_SRC, so new shared utils must be copied there too (and listed
+ * in EXPORT_HELPERS).
+ */
+
+import { lerp, clamp, mulberry32, pseudoRandom, sampleBilinear, sampleDistance } from '../engine/utils/math.js';
+import { hexToRgb, rgbToHex, sampleGradient, sampleColor, createColorMap } from '../engine/utils/color.js';
+
+// ── Math utils inlined for standalone HTML export ─────────────────────────
+// These are injected as globals so that effect module functions serialised
+// via .toString() can reference lerp / sampleBilinear / sampleDistance /
+// mulberry32 and the color helpers from engine/utils/color.js directly.
+const MATH_UTILS_SRC = `
+function lerp(a, b, t) { return a + (b - a) * t; }
+function clamp(val, min, max) { return Math.min(Math.max(val, min), max); }
+function mulberry32(seed) {
+  let s = seed | 0;
+  return function () {
+    s = (s + 0x6d2b79f5) | 0;
+    let t = Math.imul(s ^ (s >>> 15), s | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+function pseudoRandom(seed) {
+  const x = Math.sin(seed) * 10000;
+  return x - Math.floor(x);
+}
+function sampleBilinear(grid, cols, rows, u, v) {
+  const x = u * (cols - 1);
+  const y = v * (rows - 1);
+  const x0 = Math.floor(x), y0 = Math.floor(y);
+  const x1 = Math.min(x0 + 1, cols - 1);
+  const y1 = Math.min(y0 + 1, rows - 1);
+  const fx = x - x0, fy = y - y0;
+  return (
+    grid[y0][x0] * (1 - fx) * (1 - fy) +
+    grid[y0][x1] * fx       * (1 - fy) +
+    grid[y1][x0] * (1 - fx) * fy +
+    grid[y1][x1] * fx       * fy
+  );
+}
+function sampleDistance(distance, cols, rows, u, v) {
+  const cu = clamp(u, 0, 1);
+  const cv = clamp(v, 0, 1);
+  const d = sampleBilinear(distance, cols, rows, cu, cv);
+  if (cu === u && cv === v) return d;
+  return d + Math.hypot(u - cu, ((v - cv) * rows) / cols);
+}
+const GRADIENT_LEVELS = 64;
+function hexToRgb(hex) {
+  let h = String(hex).replace('#', '');
+  if (h.length === 3) h = h[0] + h[0] + h[1] + h[1] + h[2] + h[2];
+  const n = parseInt(h, 16) || 0;
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+function rgbToHex(r, g, b) {
+  return '#' + ((1 << 24) | (r << 16) | (g << 8) | b).toString(16).slice(1);
+}
+function sampleGradient(stops, t) {
+  if (stops.length === 1) return stops[0];
+  const x = clamp(t, 0, 1) * (stops.length - 1);
+  const i = Math.min(Math.floor(x), stops.length - 2);
+  const f = x - i;
+  const a = hexToRgb(stops[i]), b = hexToRgb(stops[i + 1]);
+  return rgbToHex(
+    Math.round(a[0] + (b[0] - a[0]) * f),
+    Math.round(a[1] + (b[1] - a[1]) * f),
+    Math.round(a[2] + (b[2] - a[2]) * f),
+  );
+}
+function sampleColor(sampleData, u, v) {
+  const { rgb, alpha, cols, rows } = sampleData;
+  if (!rgb) return null;
+  const x = Math.round(clamp(u, 0, 1) * (cols - 1));
+  const y = Math.round(clamp(v, 0, 1) * (rows - 1));
+  if (alpha && alpha[y][x] < 0.05) return null;
+  const row = rgb[y];
+  return rgbToHex(row[x * 3], row[x * 3 + 1], row[x * 3 + 2]);
+}
+function createColorMap(params, sampleData) {
+  const { colorMode, color, gradient } = params;
+  if (colorMode === 'source') {
+    const colors = [color];
+    const index = new Map([[color, 0]]);
+    return {
+      colors,
+      levelAt(darkness, u, v) {
+        const c = sampleColor(sampleData, u, v) ?? color;
+        let i = index.get(c);
+        if (i === undefined) { i = colors.length; colors.push(c); index.set(c, i); }
+        return i;
+      },
+    };
+  }
+  if (!colorMode || colorMode === 'solid' || !gradient || gradient.length === 0) {
+    return { colors: [color], levelAt: () => 0 };
+  }
+  const colors = [];
+  for (let i = 0; i < GRADIENT_LEVELS; i++) colors.push(sampleGradient(gradient, i / (GRADIENT_LEVELS - 1)));
+  return {
+    colors,
+    levelAt(darkness, u, v) {
+      const t = colorMode === 'horizontal' ? u : colorMode === 'vertical' ? v : darkness;
+      return Math.round(clamp(t, 0, 1) * (GRADIENT_LEVELS - 1));
+    },
+  };
+}
+`.trim();
+
+// The functions MATH_UTILS_SRC defines, under the names it defines them by
+const EXPORT_HELPERS = {
+  lerp, clamp, mulberry32, pseudoRandom, sampleBilinear, sampleDistance,
+  hexToRgb, rgbToHex, sampleGradient, sampleColor, createColorMap,
+};
+
+// ── Effect functions ──────────────────────────────────────────────────────
+// .toString() returns the code as built: a minified bundle shortens the
+// names effect functions call helpers and each other by, and merging modules
+// suffixes clashing ones (getDefaultParams$2). A function's .name follows
+// those renames, so the built names are bound here — helpers to their
+// MATH_UTILS_SRC globals, the effect's own functions to their source — in a
+// scope of their own, where short names cannot clash with the page's.
+// Returns a top-level const for each function named in `keys` the
+// animModule has.
+function effectFunctionsSrc(animModule, keys) {
+  const present = keys.filter((key) => animModule[key]);
+  const aliases = Object.entries(EXPORT_HELPERS)
+    .filter(([name, fn]) => fn.name !== name)
+    .map(([name, fn]) => `  const ${fn.name} = ${name};\n`)
+    .join('');
+  const fns = present
+    .map((key) => `  const ${animModule[key].name} = ${animModule[key].toString()};\n`)
+    .join('');
+  const exported = present.map((key) => `${key}: ${animModule[key].name}`).join(', ');
+  return `const { ${present.join(', ')} } = (() => {
+${aliases}${fns}  return { ${exported} };
+})();`;
+}
+
+// ── Compact grid encoding ─────────────────────────────────────────────────
+// Sample grids are embedded as 8-bit base64 instead of JSON float arrays:
+// 1/255 steps are finer than any effect reads them, and a 300×62 grid drops
+// from ~150 KB of JSON to a few KB. Bytes are run-length encoded first when
+// that is shorter — logos are mostly flat background, so runs collapse well.
+// The signed distance field is unbounded and stays JSON.
+const GRID_DECODER_SRC = `
+function decodeBytes(b64, rle) {
+  const bin = atob(b64);
+  const packed = new Uint8Array(bin.length);
+  for (let i = 0; i < bin.length; i++) packed[i] = bin.charCodeAt(i);
+  if (!rle) return packed;
+  let n = 0;
+  for (let i = 0; i < packed.length; i += 2) n += packed[i];
+  const out = new Uint8Array(n);
+  for (let i = 0, o = 0; i < packed.length; i += 2) {
+    out.fill(packed[i + 1], o, o + packed[i]);
+    o += packed[i];
+  }
+  return out;
+}
+// rows of width values each; normalized to 0..1 unless raw (8-bit colour rows)
+function decodeGrid(b64, rle, width, rows, raw) {
+  const bytes = decodeBytes(b64, rle);
+  const grid = [];
+  for (let r = 0; r < rows; r++) {
+    const row = bytes.subarray(r * width, (r + 1) * width);
+    grid.push(raw ? row : Float32Array.from(row, (v) => v / 255));
+  }
+  return grid;
+}
+`.trim();
+
+// [count, value] pairs, count 1..255
+function runLength(bytes) {
+  const out = [];
+  for (let i = 0; i < bytes.length;) {
+    const value = bytes[i];
+    let count = 1;
+    while (count < 255 && bytes[i + count] === value) count++;
+    out.push(count, value);
+    i += count;
+  }
+  return Uint8Array.from(out);
+}
+
+function toBase64(bytes) {
+  let bin = '';
+  // chunked — String.fromCharCode(...bytes) overflows the stack on big grids
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    bin += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(bin);
+}
+
+// Source expression rebuilding `rows` (arrays of 0..1 values, or raw 0..255
+// bytes) via decodeGrid() in the exported script
+function encodeGridSrc(rows, raw = false) {
+  const width = rows[0]?.length ?? 0;
+  const bytes = new Uint8Array(width * rows.length);
+  rows.forEach((row, r) => {
+    for (let c = 0; c < width; c++) {
+      const v = raw ? row[c] : row[c] * 255;
+      bytes[r * width + c] = Math.min(255, Math.max(0, Math.round(v)));
+    }
+  });
+  const packed = runLength(bytes);
+  const rle = packed.length < bytes.length;
+  const data = toBase64(rle ? packed : bytes);
+  return `decodeGrid('${data}', ${rle}, ${width}, ${rows.length}${raw ? ', true' : ''})`;
+}
+
+const EFFECT_KEYS = ['getDefaultParams', 'init', 'drawFrame'];
+
+// ── Shared embedded source — sampleData + params + effect functions ──────
+// Declares the grid decoder, SAMPLE_DATA, LOGO_ASPECT, PARAMS, BASE_W, BASE_H,
+// the math utils and getDefaultParams / init / drawFrame (plus any other
+// animModule functions in `keys`) as top-level consts.
+function buildEmbeddedSrc(animModule, sampleData, params, baseW, baseH, keys = EFFECT_KEYS) {
+  // Logo colors are only embedded when the effect paints with them
+  const colorGridsSrc = params.colorMode === 'source' && sampleData.rgb
+    ? `
+  rgb:   ${encodeGridSrc(sampleData.rgb, true)},
+  alpha: ${encodeGridSrc(sampleData.alpha)},`
+    : '';
+  const initSrc = animModule.init.toString();
+  // Same for the distance field — only effects that read it pay for it.
+  // Matched by the property name, which minifying leaves alone
+  const distanceSrc = sampleData.distance && /\bdistance\b/.test(initSrc)
+    ? `
+  distance: ${JSON.stringify(sampleData.distance.map((row) => Array.from(row, (d) => +d.toFixed(4))))},`
+    : '';
+  // …and the vector outline, for effects that follow the contour
+  const pathsSrc = sampleData.paths && /\bpaths\b/.test(initSrc)
+    ? `
+  paths: ${JSON.stringify({
+    polylines: sampleData.paths.polylines.map((pl) => ({
+      points: Array.from(pl.points, (x) => +x.toFixed(5)),
+      lengths: Array.from(pl.lengths, (x) => +x.toFixed(5)),
+      length: pl.length,
+      closed: pl.closed,
+    })),
+    length: sampleData.paths.length,
+  })},`
+    : '';
+  // Serialise the *current* params so the export respects slider values
+  const paramsJSON = JSON.stringify(params);
+
+  return `${GRID_DECODER_SRC}
+
+const SAMPLE_DATA = {
+  grid: ${encodeGridSrc(sampleData.grid)},
+  cols: ${sampleData.cols},
+  rows: ${sampleData.rows},
+  svgWidth:  ${sampleData.svgWidth},
+  svgHeight: ${sampleData.svgHeight},
+  threshold: ${sampleData.threshold ?? 0.3},${colorGridsSrc}${distanceSrc}${pathsSrc}
+};
+const LOGO_ASPECT = SAMPLE_DATA.svgWidth / SAMPLE_DATA.svgHeight;
+// Current params from the editor (slider values at time of export)
+const PARAMS = ${paramsJSON};
+const BASE_W = ${baseW};
+const BASE_H = ${baseH};
+
+${MATH_UTILS_SRC}
+
+${effectFunctionsSrc(animModule, keys)}`;
+}
+
+// ── Build standalone HTML — embeds sampleData + current params ────────────
+export function buildStandaloneHTML(title, animModule, sampleData, params, baseW, baseH) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8" />
+  <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+  <title>${title} — Logo Motion</title>
+  <style>
+    * { margin: 0; padding: 0; box-sizing: border-box; }
+    html, body { width: 100%; height: 100%; background: transparent; }
+    canvas { display: block; }
+  </style>
+</head>
+<body>
+<canvas id="c"></canvas>
+<script>
+${buildEmbeddedSrc(animModule, sampleData, params, baseW, baseH)}
+
+const canvas = document.getElementById('c');
+let ctx, animState, rafId;
+
+function setup(w, h) {
+  const dpr = window.devicePixelRatio || 1;
+  canvas.width  = Math.round(w * dpr);
+  canvas.height = Math.round(h * dpr);
+  canvas.style.width  = w + 'px';
+  canvas.style.height = h + 'px';
+  ctx = canvas.getContext('2d');
+  ctx.setTransform(1, 0, 0, 1, 0, 0);
+  
+  // 원본 에디터 패널의 크기(BASE_W, BASE_H) 대비 현재 창 크기 스케일 계산
+  const scale = w / BASE_W;
+  
+  ctx.scale(dpr, dpr);
+  ctx.scale(scale, scale);
+  
+  // Merge editor params over defaults so exported file matches what was seen
+  // init()은 스케일을 적용받으므로 원본 BASE_W, BASE_H 크기로 넘겨줌
+  animState = init(SAMPLE_DATA, { ...getDefaultParams(), ...PARAMS }, BASE_W, BASE_H);
+}
+
+function loop(ts) {
+  rafId = requestAnimationFrame(loop);
+  drawFrame(ctx, animState, ts / 1000);
+}
+
+function resize() {
+  if (rafId) cancelAnimationFrame(rafId);
+  const vw = window.innerWidth;
+  const vh = window.innerHeight;
+  let w = vw, h = vw / LOGO_ASPECT;
+  if (h > vh) { h = vh; w = vh * LOGO_ASPECT; }
+  w = Math.floor(w); h = Math.floor(h);
+  canvas.style.position = 'fixed';
+  canvas.style.left = Math.round((vw - w) / 2) + 'px';
+  canvas.style.top  = Math.round((vh - h) / 2) + 'px';
+  setup(w, h);
+  rafId = requestAnimationFrame(loop);
+}
+
+window.addEventListener('resize', resize);
+resize();
+<\/script>
+</body>
+</html>`;
+}
+
+// ── Player runtime shared by the component exports ────────────────────────
+// Plain browser JS, no build step needed. mount() fits the canvas to its
+// container, pauses while offscreen and shows a still frame under
+// prefers-reduced-motion; the web component, React and Vue wrappers all
+// drive it.
+const MOUNT_SRC = `
+const REDUCED_MOTION_QUERY = '(prefers-reduced-motion: reduce)';
+
+/**
+ * Start the effect on a <canvas>. Returns { play, pause, seek, setParams,
+ * destroy, currentTime, playing }.
+ *
+ * options:
+ *   container     — element the canvas is sized to (default: its parent)
+ *   fit           — 'width' (fill the container's width) or 'contain'
+ *                   (fit inside its width and height)
+ *   params        — overrides for the exported params
+ *   autoplay      — start playing right away (default true)
+ *   reducedMotion — 'respect' (default) shows a still frame while the user
+ *                   prefers reduced motion; 'ignore' always animates
+ *   pauseOffscreen — stop drawing while scrolled out of view (default true)
+ */
+function mount(canvas, options = {}) {
+  const {
+    container = canvas.parentElement,
+    fit = 'width',
+    params = {},
+    autoplay = true,
+    reducedMotion = 'respect',
+    pauseOffscreen = true,
+  } = options;
+
+  const ctx = canvas.getContext('2d');
+  let merged = { ...getDefaultParams(), ...PARAMS, ...params };
+  let animState = init(SAMPLE_DATA, merged, BASE_W, BASE_H);
+  const motionQuery = window.matchMedia ? window.matchMedia(REDUCED_MOTION_QUERY) : null;
+
+  let time = 0;
+  let wantsPlay = autoplay;
+  let onscreen = true;
+  let rafId = 0;
+  let lastTs = 0;
+
+  const reduced = () => reducedMotion === 'respect' && !!motionQuery && motionQuery.matches;
+
+  function render() {
+    drawFrame(ctx, animState, reduced() ? getStillTime(merged, SAMPLE_DATA) : time);
+  }
+
+  function tick(ts) {
+    rafId = requestAnimationFrame(tick);
+    if (lastTs) time += (ts - lastTs) / 1000;
+    lastTs = ts;
+    render();
+  }
+
+  function update() {
+    const run = wantsPlay && onscreen && !reduced();
+    if (run && !rafId) {
+      lastTs = 0;
+      rafId = requestAnimationFrame(tick);
+    } else if (!run && rafId) {
+      cancelAnimationFrame(rafId);
+      rafId = 0;
+    }
+    if (!run) render();
+  }
+
+  function resize() {
+    const box = container ? container.getBoundingClientRect() : { width: BASE_W, height: BASE_H };
+    let w = box.width;
+    let h = w / LOGO_ASPECT;
+    if (fit === 'contain' && box.height > 0 && h > box.height) {
+      h = box.height;
+      w = h * LOGO_ASPECT;
+    }
+    w = Math.max(1, Math.floor(w));
+    h = Math.max(1, Math.floor(h));
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = Math.round(w * dpr);
+    canvas.height = Math.round(h * dpr);
+    canvas.style.width = w + 'px';
+    canvas.style.height = h + 'px';
+    // init() ran at the editor's preview size — scale it up, never re-layout
+    const scale = (w * dpr) / BASE_W;
+    ctx.setTransform(scale, 0, 0, scale, 0, 0);
+    render();
+  }
+
+  const resizeObserver = typeof ResizeObserver !== 'undefined' && container
+    ? new ResizeObserver(resize)
+    : null;
+  if (resizeObserver) resizeObserver.observe(container);
+
+  const visibilityObserver = pauseOffscreen && typeof IntersectionObserver !== 'undefined'
+    ? new IntersectionObserver((entries) => {
+      onscreen = entries[entries.length - 1].isIntersecting;
+      update();
+    })
+    : null;
+  if (visibilityObserver) visibilityObserver.observe(canvas);
+
+  if (motionQuery && motionQuery.addEventListener) motionQuery.addEventListener('change', update);
+
+  resize();
+  update();
+
+  return {
+    play() {
+      wantsPlay = true;
+      update();
+    },
+    pause() {
+      wantsPlay = false;
+      update();
+    },
+    // Jump to t seconds; keeps playing or paused as before
+    seek(t) {
+      time = Math.max(0, Number(t) || 0);
+      render();
+    },
+    // Replace the param overrides (over PARAMS); the clock keeps running
+    setParams(next) {
+      merged = { ...getDefaultParams(), ...PARAMS, ...next };
+      animState = init(SAMPLE_DATA, merged, BASE_W, BASE_H);
+      render();
+    },
+    destroy() {
+      wantsPlay = false;
+      update();
+      if (resizeObserver) resizeObserver.disconnect();
+      if (visibilityObserver) visibilityObserver.disconnect();
+      if (motionQuery && motionQuery.removeEventListener) motionQuery.removeEventListener('change', update);
+    },
+    get currentTime() {
+      return time;
+    },
+    get playing() {
+      return rafId !== 0;
+    },
+  };
+}
+`.trim();
+
+const ELEMENT_SRC = `
+/**
+ * <reffect-logo> — sized by its own CSS width (height follows the logo's
+ * aspect ratio unless set). Attributes: paused, reduced-motion="ignore".
+ * Methods: play(), pause(), seek(t); property currentTime.
+ */
+class ReffectLogo extends HTMLElement {
+  connectedCallback() {
+    if (!this.shadowRoot) {
+      this.attachShadow({ mode: 'open' }).innerHTML =
+        '<style>' +
+        ':host { display: block; position: relative; aspect-ratio: ' + SAMPLE_DATA.svgWidth + ' / ' + SAMPLE_DATA.svgHeight + '; }' +
+        'canvas { position: absolute; inset: 0; margin: auto; display: block; }' +
+        '</style><canvas part="canvas"></canvas>';
+    }
+    this.player = mount(this.shadowRoot.querySelector('canvas'), {
+      container: this,
+      fit: 'contain',
+      autoplay: !this.hasAttribute('paused'),
+      reducedMotion: this.getAttribute('reduced-motion') || 'respect',
+    });
+  }
+
+  disconnectedCallback() {
+    if (this.player) this.player.destroy();
+    this.player = null;
+  }
+
+  play() { if (this.player) this.player.play(); }
+  pause() { if (this.player) this.player.pause(); }
+  seek(t) { if (this.player) this.player.seek(t); }
+  get currentTime() { return this.player ? this.player.currentTime : 0; }
+}
+
+// Several exports on one page share the tag — the first one wins; define
+// the others under their own names: customElements.define('my-logo', ReffectLogo)
+if (!customElements.get('reffect-logo')) customElements.define('reffect-logo', ReffectLogo);
+
+export { mount, ReffectLogo };
+`.trim();
+
+// Frame shown instead of the animation under prefers-reduced-motion —
+// the effect's own getStillTime() when it has one (embedded with the other
+// effect functions), else t = 0
+function stillTimeSrc(animModule) {
+  return animModule.getStillTime ? '' : 'const getStillTime = () => 0;';
+}
+
+// Everything a wrapper needs above its own code: data, effect, mount()
+function buildPlayerSrc(animModule, sampleData, params, baseW, baseH) {
+  return `${buildEmbeddedSrc(animModule, sampleData, params, baseW, baseH, [...EFFECT_KEYS, 'getStillTime'])}
+${stillTimeSrc(animModule)}
+
+${MOUNT_SRC}`;
+}
+
+// "filmer_ellipse-grid" → "FilmerEllipseGrid" (valid JS identifier)
+export function toComponentName(name) {
+  const pascal = String(name)
+    .split(/[^a-zA-Z0-9]+/)
+    .filter(Boolean)
+    .map((w) => w[0].toUpperCase() + w.slice(1))
+    .join('');
+  return /^[A-Z]/.test(pascal) ? pascal : `Logo${pascal}`;
+}
+
+// ── Build web component — ES module with mount() + <reffect-logo> ────────
+export function buildWebComponent(title, animModule, sampleData, params, baseW, baseH) {
+  return `// ${title} — Logo Motion component (ES module)
+//
+//   <script type="module" src="./this-file.js"></script>
+//   <reffect-logo style="width: 480px"></reffect-logo>
+//
+// or drive your own canvas:
+//
+//   import { mount } from './this-file.js';
+//   const player = mount(document.querySelector('canvas'));
+//   player.pause(); player.seek(1.5); player.play();
+
+${buildPlayerSrc(animModule, sampleData, params, baseW, baseH)}
+
+${ELEMENT_SRC}
+`;
+}
+
+// Params a wrapper exposes as props: the effect's full param set with the
+// editor's values as defaults
+function propDefaults(animModule, params) {
+  const merged = { ...animModule.getDefaultParams(), ...params };
+  return Object.entries(merged).filter(([key]) => /^[A-Za-z_$][\w$]*$/.test(key));
+}
+
+// ── Build React component — .jsx with params as props ─────────────────────
+export function buildReactComponent(name, animModule, sampleData, params, baseW, baseH) {
+  const props = propDefaults(animModule, params);
+  const aspect = `${sampleData.svgWidth} / ${sampleData.svgHeight}`;
+
+  return `// ${name} — Logo Motion React component
+//
+//   import ${name} from './${name}.jsx';
+//   <${name} style={{ width: 480 }} speed={2} />
+//
+// Every effect param is a prop (defaults = the editor's values at export);
+// changing one re-lays out the effect without restarting the animation.
+import { useEffect, useRef } from 'react';
+
+${buildPlayerSrc(animModule, sampleData, params, baseW, baseH)}
+
+export default function ${name}({
+${props.map(([key, value]) => `  ${key} = ${JSON.stringify(value)},`).join('\n')}
+  paused = false,
+  reducedMotion = 'respect',
+  className,
+  style,
+}) {
+  const params = { ${props.map(([key]) => key).join(', ')} };
+  // Array params (gradients) are new objects every render — compare by value
+  const paramsKey = JSON.stringify(params);
+  const wrapRef = useRef(null);
+  const canvasRef = useRef(null);
+  const playerRef = useRef(null);
+
+  useEffect(() => {
+    const player = mount(canvasRef.current, {
+      container: wrapRef.current,
+      fit: 'contain',
+      params: JSON.parse(paramsKey),
+      autoplay: !paused,
+      reducedMotion,
+    });
+    playerRef.current = player;
+    return () => {
+      player.destroy();
+      playerRef.current = null;
+    };
+    // params / paused are applied by the effects below without remounting
+  }, [reducedMotion]);
+
+  useEffect(() => {
+    playerRef.current?.setParams(JSON.parse(paramsKey));
+  }, [paramsKey]);
+
+  useEffect(() => {
+    if (paused) playerRef.current?.pause();
+    else playerRef.current?.play();
+  }, [paused]);
+
+  return (
+    <div ref={wrapRef} className={className} style={{ position: 'relative', aspectRatio: '${aspect}', ...style }}>
+      <canvas ref={canvasRef} style={{ position: 'absolute', inset: 0, margin: 'auto', display: 'block' }} />
+    </div>
+  );
+}
+`;
+}
+
+const VUE_PROP_TYPES = { number: 'Number', string: 'String', boolean: 'Boolean' };
+
+function vuePropSrc(value) {
+  if (Array.isArray(value)) return `{ type: Array, default: () => ${JSON.stringify(value)} }`;
+  const type = VUE_PROP_TYPES[typeof value];
+  if (!type) return `{ type: Object, default: () => (${JSON.stringify(value)}) }`;
+  return `{ type: ${type}, default: ${JSON.stringify(value)} }`;
+}
+
+// ── Build Vue SFC — Options API, params as props ──────────────────────────
+export function buildVueComponent(name, animModule, sampleData, params, baseW, baseH) {
+  const props = propDefaults(animModule, params);
+  const aspect = `${sampleData.svgWidth} / ${sampleData.svgHeight}`;
+
+  return `<!--
+  ${name} — Logo Motion Vue component
+
+    import ${name} from './${name}.vue';
+    <${name} style="width: 480px" :speed="2" />
+
+  Every effect param is a prop (defaults = the editor's values at export);
+  changing one re-lays out the effect without restarting the animation.
+  play() / pause() / seek(t) are available through a template ref.
+-->
+<template>
+  <div ref="wrap" class="reffect-logo" :style="{ aspectRatio: '${aspect}' }">
+    <canvas ref="canvas"></canvas>
+  </div>
+</template>
+
+<script>
+${buildPlayerSrc(animModule, sampleData, params, baseW, baseH)}
+
+export default {
+  name: '${name}',
+  props: {
+${props.map(([key, value]) => `    ${key}: ${vuePropSrc(value)},`).join('\n')}
+    paused: { type: Boolean, default: false },
+    reducedMotion: { type: String, default: 'respect' },
+  },
+  computed: {
+    params() {
+      return { ${props.map(([key]) => `${key}: this.${key}`).join(', ')} };
+    },
+  },
+  watch: {
+    params: {
+      handler(next) {
+        if (this.player) this.player.setParams(next);
+      },
+      deep: true,
+    },
+    paused(value) {
+      if (!this.player) return;
+      if (value) this.player.pause();
+      else this.player.play();
+    },
+  },
+  mounted() {
+    this.player = mount(this.$refs.canvas, {
+      container: this.$refs.wrap,
+      fit: 'contain',
+      params: this.params,
+      autoplay: !this.paused,
+      reducedMotion: this.reducedMotion,
+    });
+  },
+  beforeUnmount() {
+    if (this.player) this.player.destroy();
+    this.player = null;
+  },
+  methods: {
+    play() { if (this.player) this.player.play(); },
+    pause() { if (this.player) this.player.pause(); },
+    seek(t) { if (this.player) this.player.seek(t); },
+  },
+};
+<\/script>
+
+<style scoped>
+.reffect-logo { position: relative; display: block; }
+.reffect-logo canvas { position: absolute; inset: 0; margin: auto; display: block; }
+</style>
+`;
+}
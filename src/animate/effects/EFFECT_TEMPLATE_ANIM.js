@@ -9,17 +9,22 @@
  *   getParamSchema()    → UI 슬라이더 스키마 배열 반환
  *   init(sampleData, params, width, height) → AnimState 반환
  *   drawFrame(ctx, animState, t) → void  (t: 경과 시간, 초 단위)
+ *   getLoopDuration(params, sampleData) → 초 | null  (선택, 루프 주기)
+ *   getLottieShapes(animState) → 도형 목록  (선택, Lottie export)
+ *   getStillTime(params, sampleData) → 초  (선택, 움직임 줄이기 설정에서 보여줄 정지 시점 — 기본 0)
+ *   getUnavailableReason(sampleData) → 문자열 | null  (선택, 이 로고로는 그릴 수 없을 때 패널에 띄울 안내 — export도 막힘)
  * ─────────────────────────────────────────────────
  *
  * ⚠️  중요: HTML export 직렬화 주의사항
  * init / drawFrame 함수는 .toString()으로 직렬화됩니다.
- * 함수 내부에서 import된 심볼(lerp, mulberry32 등)은
- * EffectPairPanel이 이미 전역에 주입하므로 사용 가능합니다.
- * 단, 새 외부 유틸을 추가한다면 EffectPairPanel.jsx의
+ * 함수 내부에서 import된 심볼(lerp, mulberry32, createColorMap 등)은
+ * Code export(animate/code-export.js)가 이미 전역에 주입하므로 사용 가능합니다.
+ * 단, 새 외부 유틸을 추가한다면 animate/code-export.js의
  * MATH_UTILS_SRC에도 해당 함수를 추가해야 합니다.
  */
 
 import { lerp, mulberry32, sampleBilinear } from '../../engine/utils/math.js';
+import { COLOR_MODE_OPTIONS, createColorMap } from '../../engine/utils/color.js';
 
 // ── 1. 기본 파라미터 ────────────────────────────────────────────────────────
 export function getDefaultParams() {
@@ -29,6 +34,8 @@ export function getDefaultParams() {
         speed: 1.5,    // rad/s — 애니메이션 속도
         seed: 42,     // 랜덤 시드
         color: '#000000',
+        colorMode: 'solid',          // 'solid' | 'darkness' | 'horizontal' | 'vertical'
+        gradient: ['#0a64ff', '#ff3b30'], // evenly spaced stops, light → dark / start → end
     };
 }
 
@@ -38,15 +45,30 @@ export function getParamSchema() {
         { key: 'count', label: 'Count', min: 10, max: 500, step: 10, default: 100 },
         { key: 'size', label: 'Size', min: 1, max: 20, step: 0.5, default: 4.0 },
         { key: 'speed', label: 'Speed', min: 0.1, max: 5, step: 0.1, default: 1.5 },
+        { key: 'colorMode', label: 'Color Map', type: 'select', options: COLOR_MODE_OPTIONS, default: 'solid' },
+        { key: 'color', label: 'Color', type: 'color', default: '#000000' },
+        { key: 'gradient', label: 'Gradient', type: 'gradient', default: ['#0a64ff', '#ff3b30'] },
     ];
 }
 
+// ── (선택) 루프 주기 ─────────────────────────────────────────────────────
+// drawFrame이 정확히 반복되는 주기(초). GIF/Video/Frames export가 길이를
+// 이 주기의 정수배로 맞춰 끊김 없는 루프를 만듭니다. 주기가 없으면 null.
+// 모든 움직임이 sin(t * speed + phase)라면 2π / speed 입니다.
+// 주기가 로고에 따라 달라지면 두 번째 인자로 sampleData를 받을 수 있습니다.
+export function getLoopDuration(params) {
+    const { speed } = { ...getDefaultParams(), ...params };
+    return speed > 0 ? (Math.PI * 2) / speed : null;
+}
+
 // ── 3. 초기화 ─────────────────────────────────────────────────────────────
 // 매 파라미터 변경 시 호출됩니다. 무거운 전처리는 여기서 수행하세요.
 // 반환 객체(AnimState)는 drawFrame에 그대로 전달됩니다.
 export function init(sampleData, params, outputWidth, outputHeight) {
-    const { grid, cols: gridCols, rows: gridRows } = sampleData;
-    const { count, size, seed, color } = { ...getDefaultParams(), ...params };
+    const { grid, cols: gridCols, rows: gridRows, threshold = 0.3 } = sampleData;
+    const merged = { ...getDefaultParams(), ...params };
+    const colorMap = createColorMap(merged, sampleData);
+    const { count, size, seed } = merged;
 
     const rand = mulberry32(seed);
 
@@ -55,6 +77,7 @@ export function init(sampleData, params, outputWidth, outputHeight) {
     const py = new Float32Array(count);
     const pr = new Float32Array(count);
     const ph = new Float32Array(count); // 위상 오프셋 (애니메이션용)
+    const cl = new Uint16Array(count);   // 색상 레벨 (colors 인덱스)
 
     let n = 0;
     for (let i = 0; i < count * 3 && n < count; i++) {
@@ -62,21 +85,24 @@ export function init(sampleData, params, outputWidth, outputHeight) {
         const v = rand();
         const brightness = sampleBilinear(grid, gridCols, gridRows, u, v);
         const darkness = 1 - brightness;
-        if (darkness < 0.3) continue;
+        if (darkness < threshold) continue;
 
         px[n] = u * outputWidth;
         py[n] = v * outputHeight;
         pr[n] = lerp(1, size, darkness);
         ph[n] = rand() * Math.PI * 2;
+        cl[n] = colorMap.levelAt(darkness, u, v);
         n++;
     }
 
     return {
-        px, py, pr, ph,
+        px, py, pr, ph, cl,
         count: n,
+        // 단색이면 [color], 그라디언트면 GRADIENT_LEVELS개, Logo 모드면 로고 픽셀 색상 테이블
+        colors: colorMap.colors,
         outputWidth,
         outputHeight,
-        params: { ...getDefaultParams(), ...params },
+        params: merged,
     };
 }
 
@@ -85,20 +111,48 @@ export function init(sampleData, params, outputWidth, outputHeight) {
 // t: 경과 시간(초). ctx는 이미 올바른 스케일로 설정되어 있습니다.
 // ⚠️  ctx.clearRect()로 이전 프레임을 반드시 지워주세요.
 export function drawFrame(ctx, animState, t) {
-    const { px, py, pr, ph, count, outputWidth, outputHeight, params } = animState;
-    const { speed, color } = params;
+    const { px, py, pr, ph, cl, count, colors, outputWidth, outputHeight, params } = animState;
+    const { speed } = params;
 
     ctx.clearRect(0, 0, outputWidth, outputHeight);
-    ctx.fillStyle = color;
-    ctx.beginPath();
 
+    // 색상 레벨이 바뀔 때만 fillStyle을 갱신
+    let level = -1;
     for (let i = 0; i < count; i++) {
         const pulse = 0.5 + 0.5 * Math.sin(t * speed + ph[i]);
         const r = lerp(0.5, pr[i], pulse);
         if (r < 0.1) continue;
-        ctx.moveTo(px[i] + r, py[i]);
+        if (cl[i] !== level) {
+            level = cl[i];
+            ctx.fillStyle = colors[level];
+        }
+        ctx.beginPath();
         ctx.arc(px[i], py[i], r, 0, Math.PI * 2);
+        ctx.fill();
     }
+}
 
-    ctx.fill();
+// ── (선택) Lottie export ──────────────────────────────────────────────────
+// 요소마다 도형 하나를 반환하면 Lottie 버튼이 켜집니다 (animate/lottie-export.js).
+// 움직이는 값은 drawFrame과 같은 식의 t 함수로 넘기면 한 루프 동안 샘플링되어
+// 키프레임이 됩니다. 타원은 { type: 'ellipse', x, y, color, size: (t) => [w, h] },
+// 선/면은 { type: 'path', contours, color, stroke | fill, scale, trim, … }.
+export function getLottieShapes(animState) {
+    const { px, py, pr, ph, cl, count, colors, params } = animState;
+    const { speed } = params;
+
+    const shapes = [];
+    for (let i = 0; i < count; i++) {
+        shapes.push({
+            type: 'ellipse',
+            x: px[i],
+            y: py[i],
+            color: colors[cl[i]],
+            size: (t) => {
+                const r = lerp(0.5, pr[i], 0.5 + 0.5 * Math.sin(t * speed + ph[i]));
+                return [r * 2, r * 2];
+            },
+        });
+    }
+    return shapes;
 }
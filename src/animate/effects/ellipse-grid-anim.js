@@ -1,4 +1,5 @@
 import { lerp, sampleBilinear } from '../../engine/utils/math.js';
+import { COLOR_MODE_OPTIONS, createColorMap } from '../../engine/utils/color.js';
 
 export function getDefaultParams() {
   return {
@@ -8,6 +9,8 @@ export function getDefaultParams() {
     speed: 4.0,           // rad/s — rotation speed
     pulseFrac: 0.5,     // fraction of baseRy that oscillates
     color: '#000000',
+    colorMode: 'solid',          // 'solid' | 'darkness' | 'horizontal' | 'vertical'
+    gradient: ['#0a64ff', '#ff3b30'], // evenly spaced stops, light → dark / start → end
   };
 }
 
@@ -18,12 +21,22 @@ export function getParamSchema() {
     { key: 'eccentricity', label: 'Shape', min: 0, max: 1, step: 0.01, default: 0.40 },
     { key: 'pulseFrac', label: 'Pulse', min: 0, max: 1, step: 0.01, default: 0.5 },
     { key: 'speed', label: 'Speed', min: 0.1, max: 6, step: 0.1, default: 4.0 },
+    { key: 'colorMode', label: 'Color Map', type: 'select', options: COLOR_MODE_OPTIONS, default: 'solid' },
+    { key: 'color', label: 'Color', type: 'color', default: '#000000' },
+    { key: 'gradient', label: 'Gradient', type: 'gradient', default: ['#0a64ff', '#ff3b30'] },
   ];
 }
 
+// One full pulse of sin(t * speed + phase) — the grid repeats every 2π / speed.
+export function getLoopDuration(params) {
+  const { speed } = { ...getDefaultParams(), ...params };
+  return speed > 0 ? (Math.PI * 2) / speed : null;
+}
+
 export function init(sampleData, params, outputWidth, outputHeight) {
   const { grid, cols: gridCols, rows: gridRows } = sampleData;
   const merged = { ...getDefaultParams(), ...params };
+  const colorMap = createColorMap(merged, sampleData);
   const { cols: paramCols, maxRy } = merged;
 
   const cols = paramCols;
@@ -41,6 +54,7 @@ export function init(sampleData, params, outputWidth, outputHeight) {
 
   // Store: cx, cy, baseRy, phase for each cell
   const cellData = new Float32Array(cols * rows * 4);
+  const cellLevel = new Uint16Array(cols * rows); // color level per cell
 
   // Fixed diagonal phase offset for wave
   const waveFreqFixed = 0.35;
@@ -64,11 +78,14 @@ export function init(sampleData, params, outputWidth, outputHeight) {
       cellData[idx + 1] = cy;
       cellData[idx + 2] = baseRy;
       cellData[idx + 3] = phase;
+      cellLevel[r * cols + c] = colorMap.levelAt(darkness, u, v);
     }
   }
 
   return {
     cellData,
+    cellLevel,
+    colors: colorMap.colors,
     cols,
     rows,
     outputWidth,
@@ -78,14 +95,13 @@ export function init(sampleData, params, outputWidth, outputHeight) {
 }
 
 export function drawFrame(ctx, animState, t) {
-  const { cellData, cols, rows, outputWidth, outputHeight, params } = animState;
-  const { speed, eccentricity, pulseFrac, color } = params;
+  const { cellData, cellLevel, colors, cols, rows, outputWidth, outputHeight, params } = animState;
+  const { speed, eccentricity, pulseFrac } = params;
 
   // Transparent background — no fillRect
   ctx.clearRect(0, 0, outputWidth, outputHeight);
 
-  ctx.fillStyle = color;
-
+  let level = -1;
   const total = cols * rows;
   for (let i = 0; i < total; i++) {
     const cx = cellData[i * 4 + 0];
@@ -99,8 +115,38 @@ export function drawFrame(ctx, animState, t) {
 
     if (ry < 0.5) continue;
 
+    if (cellLevel[i] !== level) {
+      level = cellLevel[i];
+      ctx.fillStyle = colors[level];
+    }
     ctx.beginPath();
     ctx.ellipse(cx, cy, rx, ry, 0, 0, Math.PI * 2);
     ctx.fill();
   }
 }
+
+// Lottie export (animate/lottie-export.js): one ellipse per cell with the
+// same diagonal pulse as drawFrame. Cells too small to ever show are skipped.
+export function getLottieShapes(animState) {
+  const { cellData, cellLevel, colors, cols, rows, params } = animState;
+  const { speed, eccentricity, pulseFrac } = params;
+
+  const shapes = [];
+  for (let i = 0; i < cols * rows; i++) {
+    const baseRy = cellData[i * 4 + 2];
+    const phase = cellData[i * 4 + 3];
+    if (baseRy < 0.5) continue;
+    shapes.push({
+      type: 'ellipse',
+      x: cellData[i * 4 + 0],
+      y: cellData[i * 4 + 1],
+      color: colors[cellLevel[i]],
+      size: (t) => {
+        const pulse = 0.5 + 0.5 * Math.sin(t * speed + phase);
+        const ry = lerp(baseRy * (1 - pulseFrac), baseRy, pulse);
+        return [Math.max(ry * eccentricity, 0.5) * 2, ry * 2];
+      },
+    });
+  }
+  return shapes;
+}
@@ -1,4 +1,5 @@
 import { lerp, sampleBilinear } from '../../engine/utils/math.js';
+import { COLOR_MODE_OPTIONS, createColorMap } from '../../engine/utils/color.js';
 
 export function getDefaultParams() {
   return {
@@ -10,6 +11,8 @@ export function getDefaultParams() {
     speed: 4.0,       // rad/s — wave travel speed
     waveFreq: 0.20,   // spatial frequency (rad per row)
     color: '#000000',
+    colorMode: 'solid',          // 'solid' | 'darkness' | 'horizontal' | 'vertical'
+    gradient: ['#0a64ff', '#ff3b30'], // evenly spaced stops, light → dark / start → end
   };
 }
 
@@ -20,12 +23,22 @@ export function getParamSchema() {
     { key: 'maxLength', label: 'Length', min: 0.2, max: 1.0, step: 0.01, default: 1.0 },
     { key: 'waveFreq', label: 'Spacing', min: 0.01, max: 0.5, step: 0.01, default: 0.20 },
     { key: 'speed', label: 'Speed', min: 0.1, max: 5, step: 0.1, default: 4.0 },
+    { key: 'colorMode', label: 'Color Map', type: 'select', options: COLOR_MODE_OPTIONS, default: 'solid' },
+    { key: 'color', label: 'Color', type: 'color', default: '#000000' },
+    { key: 'gradient', label: 'Gradient', type: 'gradient', default: ['#0a64ff', '#ff3b30'] },
   ];
 }
 
+// The travelling wave sin(t * speed - r * waveFreq) repeats every 2π / speed.
+export function getLoopDuration(params) {
+  const { speed } = { ...getDefaultParams(), ...params };
+  return speed > 0 ? (Math.PI * 2) / speed : null;
+}
+
 export function init(sampleData, params, outputWidth, outputHeight) {
   const { grid, cols: gridCols, rows: gridRows } = sampleData;
   const merged = { ...getDefaultParams(), ...params };
+  const colorMap = createColorMap(merged, sampleData);
   const { maxLength, minLength } = merged;
   const safeMaxLength = Math.max(maxLength, minLength);
 
@@ -38,6 +51,7 @@ export function init(sampleData, params, outputWidth, outputHeight) {
 
   const rowMeta = [];
   const segmentsFlat = [];
+  const levelsFlat = []; // color level per segment
 
   for (let r = 0; r < rows; r++) {
     const cy = r * cellH + cellH / 2;
@@ -54,6 +68,7 @@ export function init(sampleData, params, outputWidth, outputHeight) {
 
       const cx = c * cellW + cellW / 2;
       rowSegs.push(cx - w / 2, cx + w / 2);
+      levelsFlat.push(colorMap.levelAt(darkness, u, v));
     }
 
     rowMeta.push({ y: cy, segOffset: segmentsFlat.length, segCount: rowSegs.length / 2 });
@@ -61,10 +76,13 @@ export function init(sampleData, params, outputWidth, outputHeight) {
   }
 
   const segData = new Float32Array(segmentsFlat);
+  const segLevel = new Uint16Array(levelsFlat);
 
   return {
     rowMeta,
     segData,
+    segLevel,
+    colors: colorMap.colors,
     rows,
     cellH,
     outputWidth,
@@ -74,8 +92,8 @@ export function init(sampleData, params, outputWidth, outputHeight) {
 }
 
 export function drawFrame(ctx, animState, t) {
-  const { rowMeta, segData, rows, cellH, outputWidth, outputHeight, params } = animState;
-  const { speed, waveFreq, minStroke, maxStroke, color } = params;
+  const { rowMeta, segData, segLevel, colors, rows, cellH, outputWidth, outputHeight, params } = animState;
+  const { speed, waveFreq, minStroke, maxStroke } = params;
   const safeMaxStroke = Math.max(minStroke, maxStroke);
   const safeMinStroke = Math.min(minStroke, safeMaxStroke);
   const maxStrokeByCell = cellH * 1.35;
@@ -85,8 +103,8 @@ export function drawFrame(ctx, animState, t) {
   // Transparent background — no fillRect
   ctx.clearRect(0, 0, outputWidth, outputHeight);
 
-  ctx.strokeStyle = color;
   ctx.lineCap = 'butt';
+  let level = -1;
 
   for (let r = 0; r < rows; r++) {
     const meta = rowMeta[r];
@@ -104,6 +122,11 @@ export function drawFrame(ctx, animState, t) {
     for (let s = 0; s < count; s++) {
       const x1 = segData[offset + s * 2];
       const x2 = segData[offset + s * 2 + 1];
+      const lv = segLevel[offset / 2 + s];
+      if (lv !== level) {
+        level = lv;
+        ctx.strokeStyle = colors[level];
+      }
       ctx.beginPath();
       ctx.moveTo(x1, y);
       ctx.lineTo(x2, y);
@@ -111,3 +134,34 @@ export function drawFrame(ctx, animState, t) {
     }
   }
 }
+
+// Lottie export (animate/lottie-export.js): one stroked group per row and
+// color, its width keyframed with the same travelling wave as drawFrame.
+export function getLottieShapes(animState) {
+  const { rowMeta, segData, segLevel, colors, rows, cellH, params } = animState;
+  const { speed, waveFreq, minStroke, maxStroke } = params;
+  const safeMaxStroke = Math.max(minStroke, maxStroke);
+  const safeMinStroke = Math.min(minStroke, safeMaxStroke);
+  const effectiveMaxStroke = Math.min(safeMaxStroke, cellH * 1.35);
+  const effectiveMinStroke = Math.min(safeMinStroke, effectiveMaxStroke);
+
+  const shapes = [];
+  for (let r = 0; r < rows; r++) {
+    const meta = rowMeta[r];
+    if (!meta || meta.segCount === 0) continue;
+    const stroke = (t) => lerp(effectiveMinStroke, effectiveMaxStroke, 0.5 + 0.5 * Math.sin(t * speed - r * waveFreq));
+
+    const byLevel = new Map();
+    for (let s = 0; s < meta.segCount; s++) {
+      const lv = segLevel[meta.segOffset / 2 + s];
+      const x1 = segData[meta.segOffset + s * 2];
+      const x2 = segData[meta.segOffset + s * 2 + 1];
+      if (!byLevel.has(lv)) byLevel.set(lv, []);
+      byLevel.get(lv).push({ points: [x1, meta.y, x2, meta.y] });
+    }
+    for (const [lv, contours] of byLevel) {
+      shapes.push({ type: 'path', contours, color: colors[lv], stroke, lineCap: 'butt' });
+    }
+  }
+  return shapes;
+}
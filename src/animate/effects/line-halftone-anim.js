@@ -3,6 +3,7 @@
  */
 
 import { lerp, sampleBilinear } from '../../engine/utils/math.js';
+import { COLOR_MODE_OPTIONS, createColorMap } from '../../engine/utils/color.js';
 
 export function getDefaultParams() {
     return {
@@ -11,6 +12,8 @@ export function getDefaultParams() {
         pulse: 1.5,        // 물결(Wave) 빈도/주파수
         speed: 3.0,        // 모션의 흐름 속도
         color: '#000000',
+        colorMode: 'solid',          // 'solid' | 'darkness' | 'horizontal' | 'vertical'
+        gradient: ['#0a64ff', '#ff3b30'], // evenly spaced stops, light → dark / start → end
     };
 }
 
@@ -20,16 +23,27 @@ export function getParamSchema() {
         { key: 'contrast', label: 'Contrast', min: 1.0, max: 20.0, step: 0.5, default: 12.0 },
         { key: 'pulse', label: 'Pulse', min: 0.1, max: 5.0, step: 0.1, default: 1.5 },
         { key: 'speed', label: 'Speed', min: 0, max: 10, step: 0.1, default: 3 },
+        { key: 'colorMode', label: 'Color Map', type: 'select', options: COLOR_MODE_OPTIONS, default: 'solid' },
+        { key: 'color', label: 'Color', type: 'color', default: '#000000' },
+        { key: 'gradient', label: 'Gradient', type: 'gradient', default: ['#0a64ff', '#ff3b30'] },
     ];
 }
 
+// 물결 위상이 t * speed * 2 로 흐르므로 한 주기 = π / speed
+export function getLoopDuration(params) {
+    const { speed } = { ...getDefaultParams(), ...params };
+    return speed > 0 ? Math.PI / speed : null;
+}
+
 /**
  * 모바일 및 저사양 환경을 고려, 프레임당 불필요한 연산을 줄이기 위해
  * 고정된 샘플링 값(좌표, 명암도 등)을 Float32Array 로 캐싱합니다.
  */
 export function init(sampleData, params, outputWidth, outputHeight) {
-    const { grid, cols: gridCols, rows: gridRows } = sampleData;
-    const { density } = { ...getDefaultParams(), ...params };
+    const { grid, cols: gridCols, rows: gridRows, threshold = 0.3 } = sampleData;
+    const merged = { ...getDefaultParams(), ...params };
+    const colorMap = createColorMap(merged, sampleData);
+    const { density } = merged;
 
     const rows = Math.floor(density);
     const cellH = outputHeight / rows;
@@ -45,6 +59,7 @@ export function init(sampleData, params, outputWidth, outputHeight) {
     const sx = new Float32Array(totalSegments);
     const sy = new Float32Array(totalSegments);
     const sd = new Float32Array(totalSegments);
+    const sl = new Uint16Array(totalSegments); // 색상 레벨 (colors 인덱스)
 
     let n = 0;
     for (let r = 0; r < rows; r++) {
@@ -60,10 +75,11 @@ export function init(sampleData, params, outputWidth, outputHeight) {
 
             // 1. Background Skip: 로고가 아닌 검은 여백(darkness 낮은 곳)은 캐싱에서 아예 제외
             // 그릴 가치가 있는 조각(segments)들만 모아서 n을 증가
-            if (darkness >= 0.3) {
+            if (darkness >= threshold) {
                 sx[n] = cx;
                 sy[n] = cy;
                 sd[n] = darkness; // 렌더링에 핵심인 명암 정보 보존
+                sl[n] = colorMap.levelAt(darkness, cx / outputWidth, cy / outputHeight);
                 n++;
             }
         }
@@ -72,9 +88,10 @@ export function init(sampleData, params, outputWidth, outputHeight) {
     return {
         count: n,
         stepsPerLine, stepW,
-        sx, sy, sd,
+        sx, sy, sd, sl,
+        colors: colorMap.colors,
         outputWidth, outputHeight, cellH,
-        params: { ...getDefaultParams(), ...params }
+        params: merged
     };
 }
 
@@ -84,12 +101,12 @@ export function init(sampleData, params, outputWidth, outputHeight) {
 export function drawFrame(ctx, animState, t) {
     const {
         count, stepsPerLine, stepW,
-        sx, sy, sd,
+        sx, sy, sd, sl, colors,
         outputWidth, outputHeight, cellH,
         params
     } = animState;
 
-    const { contrast, pulse, speed, color } = params;
+    const { contrast, pulse, speed } = params;
 
     const minStroke = 0.5; // 실선의 최소 굵기
     const maxStroke = Math.min(contrast, cellH * 1.8); // 뭉개짐(블리딩) 방지 제한값 적용
@@ -97,9 +114,9 @@ export function drawFrame(ctx, animState, t) {
     // 이전 프레임 클리어
     ctx.clearRect(0, 0, outputWidth, outputHeight);
 
-    ctx.strokeStyle = color;
     ctx.lineCap = 'butt'; // 두께 변화를 각지게 끊기 (가로줄 느낌 향상)
 
+    let level = -1;
     for (let i = 0; i < count; i++) {
         const x = sx[i];
         const y = sy[i];
@@ -116,6 +133,12 @@ export function drawFrame(ctx, animState, t) {
         const weight = lerp(darkness * 0.2, darkness, wave);
         const currentWidth = lerp(minStroke, maxStroke, weight);
 
+        // 색상 레벨이 바뀔 때만 strokeStyle 갱신 (문자열 파싱 비용 절감)
+        if (sl[i] !== level) {
+            level = sl[i];
+            ctx.strokeStyle = colors[level];
+        }
+
         ctx.lineWidth = currentWidth;
         ctx.beginPath();
         ctx.moveTo(x - stepW / 2, y);
@@ -124,3 +147,33 @@ export function drawFrame(ctx, animState, t) {
         ctx.stroke();
     }
 }
+
+/**
+ * Lottie export (animate/lottie-export.js) — 조각마다 stroke 그룹 하나,
+ * drawFrame과 같은 물결로 굵기를 키프레임화합니다.
+ */
+export function getLottieShapes(animState) {
+    const { count, stepW, sx, sy, sd, sl, colors, outputWidth, cellH, params } = animState;
+    const { contrast, pulse, speed } = params;
+    const minStroke = 0.5;
+    const maxStroke = Math.min(contrast, cellH * 1.8);
+
+    const shapes = [];
+    for (let i = 0; i < count; i++) {
+        const x = sx[i];
+        const y = sy[i];
+        const darkness = sd[i];
+        const u = x / outputWidth;
+        shapes.push({
+            type: 'path',
+            contours: [{ points: [x - stepW / 2, y, x + stepW / 2 + 0.5, y] }],
+            color: colors[sl[i]],
+            lineCap: 'butt',
+            stroke: (t) => {
+                const wave = 0.5 + 0.5 * Math.sin(u * Math.PI * 2 * pulse + (t * speed * 2.0));
+                return lerp(minStroke, maxStroke, lerp(darkness * 0.2, darkness, wave));
+            },
+        });
+    }
+    return shapes;
+}
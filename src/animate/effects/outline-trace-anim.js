@@ -0,0 +1,159 @@
+import { clamp } from '../../engine/utils/math.js';
+import { COLOR_MODE_OPTIONS, createColorMap } from '../../engine/utils/color.js';
+
+export function getDefaultParams() {
+  return {
+    strokeWidth: 2.0,   // px
+    drawDuration: 2.0,  // seconds one contour takes to draw itself
+    stagger: 0.08,      // seconds between consecutive contours starting
+    hold: 1.0,          // seconds the finished outline stays up before restarting
+    progress: 1.0,      // generate-only (ignored by drawFrame)
+    color: '#000000',
+    colorMode: 'solid',          // 'solid' | 'darkness' | 'horizontal' | 'vertical'
+    gradient: ['#0a64ff', '#ff3b30'], // evenly spaced stops, light → dark / start → end
+  };
+}
+
+export function getParamSchema() {
+  return [
+    { key: 'strokeWidth', label: 'Stroke', min: 0.5, max: 8, step: 0.1, default: 2.0 },
+    { key: 'drawDuration', label: 'Draw Time', min: 0.2, max: 6, step: 0.1, default: 2.0 },
+    { key: 'stagger', label: 'Stagger', min: 0, max: 0.5, step: 0.01, default: 0.08 },
+    { key: 'hold', label: 'Hold', min: 0, max: 4, step: 0.1, default: 1.0 },
+    { key: 'progress', label: 'Progress', min: 0, max: 1, step: 0.01, default: 1.0 },
+    { key: 'colorMode', label: 'Color Map', type: 'select', options: COLOR_MODE_OPTIONS, default: 'solid' },
+    { key: 'color', label: 'Color', type: 'color', default: '#000000' },
+    { key: 'gradient', label: 'Gradient', type: 'gradient', default: ['#0a64ff', '#ff3b30'] },
+  ];
+}
+
+// Draw + stagger + hold — needs the contour count, hence sampleData.
+export function getLoopDuration(params, sampleData) {
+  const { drawDuration, stagger, hold } = { ...getDefaultParams(), ...params };
+  const count = sampleData?.paths ? sampleData.paths.polylines.length : 0;
+  const cycle = drawDuration + stagger * Math.max(0, count - 1) + hold;
+  return cycle > 0 ? cycle : null;
+}
+
+// Text sources and raster logos carry no vector outline to trace — the
+// panel shows this instead of a blank preview, and exports skip the effect.
+export function getUnavailableReason(sampleData) {
+  if (sampleData?.paths?.polylines.length) return null;
+  return 'Needs vector outlines — upload an SVG logo with path shapes (text and raster sources have none).';
+}
+
+// Still frame for reduced-motion embeds: every contour fully drawn.
+export function getStillTime(params, sampleData) {
+  const { drawDuration, stagger } = { ...getDefaultParams(), ...params };
+  const count = sampleData?.paths ? sampleData.paths.polylines.length : 0;
+  return drawDuration + stagger * Math.max(0, count - 1);
+}
+
+/**
+ * Draw-on reveal along the logo's vector outline (sampleData.paths).
+ *
+ * Every contour draws itself over drawDuration, each starting `stagger`
+ * seconds after the previous one; the finished outline holds for `hold`
+ * seconds and the cycle restarts. Points are pre-scaled to output pixels
+ * with cumulative lengths, so a frame only walks each contour up to its
+ * current head.
+ */
+export function init(sampleData, params, outputWidth, outputHeight) {
+  const { paths } = sampleData;
+  const merged = { ...getDefaultParams(), ...params };
+  const colorMap = createColorMap(merged, sampleData);
+  const polylines = paths ? paths.polylines : [];
+
+  const contours = polylines.map((pl) => {
+    const n = pl.points.length / 2;
+    const pts = new Float32Array(pl.points.length);
+    const lens = new Float32Array(n);
+    for (let k = 0; k < n; k++) {
+      pts[k * 2] = pl.points[k * 2] * outputWidth;
+      pts[k * 2 + 1] = pl.points[k * 2 + 1] * outputHeight;
+      lens[k] = pl.lengths[k] * outputWidth;
+    }
+    return {
+      pts,
+      lens,
+      length: pl.length * outputWidth,
+      level: colorMap.levelAt(1, pl.points[0], pl.points[1]),
+    };
+  });
+
+  const drawSpan = merged.drawDuration + merged.stagger * Math.max(0, contours.length - 1);
+
+  return {
+    contours,
+    colors: colorMap.colors,
+    cycle: drawSpan + merged.hold,
+    outputWidth,
+    outputHeight,
+    params: merged,
+  };
+}
+
+export function drawFrame(ctx, animState, t) {
+  const { contours, colors, cycle, outputWidth, outputHeight, params } = animState;
+  const { strokeWidth, drawDuration, stagger } = params;
+
+  ctx.clearRect(0, 0, outputWidth, outputHeight);
+  if (contours.length === 0 || cycle <= 0) return;
+
+  const time = ((t % cycle) + cycle) % cycle;
+  ctx.lineWidth = strokeWidth;
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+  let level = -1;
+
+  for (let i = 0; i < contours.length; i++) {
+    const p = drawDuration > 0 ? clamp((time - i * stagger) / drawDuration, 0, 1) : 1;
+    if (p <= 0) continue;
+    const { pts, lens, length, level: lv } = contours[i];
+    const head = p * length;
+
+    if (lv !== level) {
+      level = lv;
+      ctx.strokeStyle = colors[level];
+    }
+
+    ctx.beginPath();
+    ctx.moveTo(pts[0], pts[1]);
+    for (let k = 1; k < lens.length; k++) {
+      if (lens[k] <= head) {
+        ctx.lineTo(pts[k * 2], pts[k * 2 + 1]);
+        continue;
+      }
+      // Partial last segment up to the drawing head
+      const seg = lens[k] - lens[k - 1];
+      const f = seg > 0 ? (head - lens[k - 1]) / seg : 0;
+      const x0 = pts[k * 2 - 2];
+      const y0 = pts[k * 2 - 1];
+      ctx.lineTo(x0 + (pts[k * 2] - x0) * f, y0 + (pts[k * 2 + 1] - y0) * f);
+      break;
+    }
+    ctx.stroke();
+  }
+}
+
+// Lottie export (animate/lottie-export.js): each contour is a stroked path
+// with a trim-path end running the same draw-on timeline as drawFrame.
+// The draw start / end are added as exact keyframes so the trim is sharp.
+export function getLottieShapes(animState) {
+  const { contours, colors, params } = animState;
+  const { strokeWidth, drawDuration, stagger } = params;
+
+  return contours.map(({ pts, level }, i) => {
+    const start = i * stagger;
+    return {
+      type: 'path',
+      contours: [{ points: Array.from(pts) }],
+      color: colors[level],
+      stroke: strokeWidth,
+      lineCap: 'round',
+      // Sampled over exactly one cycle — no wrap, so the last keyframe stays drawn
+      trim: (t) => (drawDuration > 0 ? clamp((t - start) / drawDuration, 0, 1) : 1),
+      times: [start, start + drawDuration],
+    };
+  });
+}
@@ -1,4 +1,5 @@
 import { lerp, mulberry32, sampleBilinear } from '../../engine/utils/math.js';
+import { COLOR_MODE_OPTIONS, createColorMap } from '../../engine/utils/color.js';
 
 export function getDefaultParams() {
   return {
@@ -9,6 +10,8 @@ export function getDefaultParams() {
     scatter: 1.0,   // jitter spread: 0 = tight inside logo, 3 = diffuse cloud
     speed: 4.0,     // rad/s — breathing speed
     color: '#000000',
+    colorMode: 'solid',          // 'solid' | 'darkness' | 'horizontal' | 'vertical'
+    gradient: ['#0a64ff', '#ff3b30'], // evenly spaced stops, light → dark / start → end
   };
 }
 
@@ -19,15 +22,23 @@ export function getParamSchema() {
     { key: 'minRadius', label: 'Min Size', min: 0.1, max: 3, step: 0.1, default: 0.5 },
     { key: 'scatter', label: 'Spread', min: 0, max: 3, step: 0.1, default: 1.0 },
     { key: 'speed', label: 'Speed', min: 0.1, max: 6, step: 0.1, default: 4.0 },
+    { key: 'colorMode', label: 'Color Map', type: 'select', options: COLOR_MODE_OPTIONS, default: 'solid' },
+    { key: 'color', label: 'Color', type: 'color', default: '#000000' },
+    { key: 'gradient', label: 'Gradient', type: 'gradient', default: ['#0a64ff', '#ff3b30'] },
   ];
 }
 
+// Particles breathe with sin(t * speed + phase) — period 2π / speed.
+export function getLoopDuration(params) {
+  const { speed } = { ...getDefaultParams(), ...params };
+  return speed > 0 ? (Math.PI * 2) / speed : null;
+}
+
 export function init(sampleData, params, outputWidth, outputHeight) {
   const { grid, cols: gridCols, rows: gridRows } = sampleData;
-  const { maxDots, maxRadius, minRadius, seed, scatter } = {
-    ...getDefaultParams(),
-    ...params,
-  };
+  const merged = { ...getDefaultParams(), ...params };
+  const colorMap = createColorMap(merged, sampleData);
+  const { maxDots, maxRadius, minRadius, seed, scatter } = merged;
   const densityPower = 1.8; // internal — not user-controlled
   const safeMinRadius = Math.min(minRadius, maxRadius);
   const safeMaxRadius = Math.max(minRadius, maxRadius);
@@ -55,6 +66,7 @@ export function init(sampleData, params, outputWidth, outputHeight) {
   const py = new Float32Array(dotCount);
   const pr = new Float32Array(dotCount);
   const ph = new Float32Array(dotCount);
+  const cl = new Uint16Array(dotCount); // color level (index into colors)
 
   let count = 0;
   for (let i = 0; i < dotCount; i++) {
@@ -87,31 +99,42 @@ export function init(sampleData, params, outputWidth, outputHeight) {
     py[count] = y;
     pr[count] = baseR;
     ph[count] = rand() * Math.PI * 2;
+    cl[count] = colorMap.levelAt(darkness, u, v);
     count++;
   }
 
+  // Draw order grouped by color level so drawFrame batches one path per color
+  const order = Uint32Array.from({ length: count }, (_, i) => i).sort((a, b) => cl[a] - cl[b]);
+
   return {
-    px, py, pr, ph,
+    px, py, pr, ph, cl, order,
     count,
+    colors: colorMap.colors,
     outputWidth,
     outputHeight,
-    params: { ...getDefaultParams(), ...params },
+    params: merged,
   };
 }
 
 export function drawFrame(ctx, animState, t) {
-  const { px, py, pr, ph, count, outputWidth, outputHeight, params } = animState;
-  const { speed, minRadius, color } = params;
+  const { px, py, pr, ph, cl, order, count, colors, outputWidth, outputHeight, params } = animState;
+  const { speed, minRadius } = params;
   const safeMinRadius = Math.min(minRadius, params.maxRadius);
 
   // Transparent background — no fillRect
   ctx.clearRect(0, 0, outputWidth, outputHeight);
 
-  ctx.fillStyle = color;
-
-  // Batch all particles into a single path for performance
+  // Batch particles into a single path per color for performance
+  let level = -1;
   ctx.beginPath();
-  for (let i = 0; i < count; i++) {
+  for (let k = 0; k < count; k++) {
+    const i = order[k];
+    if (cl[i] !== level) {
+      if (level !== -1) ctx.fill();
+      level = cl[i];
+      ctx.fillStyle = colors[level];
+      ctx.beginPath();
+    }
     const pulse = 0.5 + 0.5 * Math.sin(t * speed + ph[i]);
     const r = lerp(safeMinRadius, pr[i], pulse);
     if (r < 0.15) continue;
@@ -120,3 +143,26 @@ export function drawFrame(ctx, animState, t) {
   }
   ctx.fill();
 }
+
+// Lottie export (animate/lottie-export.js): one ellipse per particle with the
+// same breathing radius as drawFrame.
+export function getLottieShapes(animState) {
+  const { px, py, pr, ph, cl, count, colors, params } = animState;
+  const { speed, minRadius } = params;
+  const safeMinRadius = Math.min(minRadius, params.maxRadius);
+
+  const shapes = [];
+  for (let i = 0; i < count; i++) {
+    shapes.push({
+      type: 'ellipse',
+      x: px[i],
+      y: py[i],
+      color: colors[cl[i]],
+      size: (t) => {
+        const r = lerp(safeMinRadius, pr[i], 0.5 + 0.5 * Math.sin(t * speed + ph[i]));
+        return [r * 2, r * 2];
+      },
+    });
+  }
+  return shapes;
+}
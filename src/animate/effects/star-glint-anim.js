@@ -2,12 +2,8 @@
  * star-glint-anim.js — Canvas 애니메이션 효과 모듈
  */
 
-import { lerp, sampleBilinear } from '../../engine/utils/math.js';
-
-function pseudoRandom(seed) {
-    let x = Math.sin(seed) * 10000;
-    return x - Math.floor(x);
-}
+import { lerp, pseudoRandom, sampleBilinear } from '../../engine/utils/math.js';
+import { COLOR_MODE_OPTIONS, createColorMap } from '../../engine/utils/color.js';
 
 export function getDefaultParams() {
     return {
@@ -17,6 +13,8 @@ export function getDefaultParams() {
         jitter: 5,
         speed: 4.0,
         color: '#000000',
+        colorMode: 'solid',          // 'solid' | 'darkness' | 'horizontal' | 'vertical'
+        gradient: ['#0a64ff', '#ff3b30'], // evenly spaced stops, light → dark / start → end
     };
 }
 
@@ -27,12 +25,23 @@ export function getParamSchema() {
         { key: 'sharpness', label: 'Sharpness', min: 0.1, max: 0.9, step: 0.05, default: 0.7 },
         { key: 'jitter', label: 'Jitter', min: 0, max: 15, step: 1, default: 2 },
         { key: 'speed', label: 'Speed', min: 0, max: 10, step: 0.1, default: 4 },
+        { key: 'colorMode', label: 'Color Map', type: 'select', options: COLOR_MODE_OPTIONS, default: 'solid' },
+        { key: 'color', label: 'Color', type: 'color', default: '#000000' },
+        { key: 'gradient', label: 'Gradient', type: 'gradient', default: ['#0a64ff', '#ff3b30'] },
     ];
 }
 
+// 점멸 sin(t * speed + phase)의 한 주기 = 2π / speed
+export function getLoopDuration(params) {
+    const { speed } = { ...getDefaultParams(), ...params };
+    return speed > 0 ? (Math.PI * 2) / speed : null;
+}
+
 export function init(sampleData, params, outputWidth, outputHeight) {
-    const { grid, cols: gridCols, rows: gridRows } = sampleData;
-    const { density, jitter } = { ...getDefaultParams(), ...params };
+    const { grid, cols: gridCols, rows: gridRows, threshold = 0.3 } = sampleData;
+    const merged = { ...getDefaultParams(), ...params };
+    const colorMap = createColorMap(merged, sampleData);
+    const { density, jitter } = merged;
 
     const cols = Math.floor(density);
     const cellW = outputWidth / cols;
@@ -45,6 +54,7 @@ export function init(sampleData, params, outputWidth, outputHeight) {
     const sy = new Float32Array(total);
     const sd = new Float32Array(total);
     const sPhase = new Float32Array(total);
+    const sLevel = new Uint16Array(total); // color level
 
     let n = 0;
     for (let r = 0; r < rows; r++) {
@@ -56,7 +66,7 @@ export function init(sampleData, params, outputWidth, outputHeight) {
             const darkness = 1 - brightness;
 
             // 로고 없는 빈 공간은 렌더링 풀에서 아예 제외
-            if (darkness >= 0.3) {
+            if (darkness >= threshold) {
                 const seed = r * cols + c;
                 const rx = pseudoRandom(seed * 1.1) - 0.5;
                 const ry = pseudoRandom(seed * 1.2) - 0.5;
@@ -68,6 +78,7 @@ export function init(sampleData, params, outputWidth, outputHeight) {
                 sy[n] = r * cellH + cellH / 2 + ry * maxJitter;
                 sd[n] = darkness;
                 sPhase[n] = rPhase;
+                sLevel[n] = colorMap.levelAt(darkness, sx[n] / outputWidth, sy[n] / outputHeight);
 
                 n++;
             }
@@ -76,25 +87,26 @@ export function init(sampleData, params, outputWidth, outputHeight) {
 
     return {
         count: n,
-        sx, sy, sd, sPhase,
+        sx, sy, sd, sPhase, sLevel,
+        colors: colorMap.colors,
         outputWidth, outputHeight, cellW,
-        params: { ...getDefaultParams(), ...params }
+        params: merged
     };
 }
 
 export function drawFrame(ctx, animState, t) {
     const {
-        count, sx, sy, sd, sPhase,
+        count, sx, sy, sd, sPhase, sLevel, colors,
         outputWidth, outputHeight, cellW,
         params
     } = animState;
 
-    const { scale: maxScale, sharpness, speed, color } = params;
+    const { scale: maxScale, sharpness, speed } = params;
     const minScale = 1.0;
 
     // 매 프레임 초기화
     ctx.clearRect(0, 0, outputWidth, outputHeight);
-    ctx.fillStyle = color;
+    let level = -1;
 
     for (let i = 0; i < count; i++) {
         const cx = sx[i];
@@ -111,6 +123,11 @@ export function drawFrame(ctx, animState, t) {
 
         if (currentScale < 0.5) continue;
 
+        if (sLevel[i] !== level) {
+            level = sLevel[i];
+            ctx.fillStyle = colors[level];
+        }
+
         // 뾰족함 조정 (가운데를 파고드는 제어점 거리)
         const cpDist = currentScale * (1 - sharpness);
 
@@ -124,3 +141,50 @@ export function drawFrame(ctx, animState, t) {
         ctx.fill();
     }
 }
+
+/**
+ * Lottie export (animate/lottie-export.js) — 별마다 크기 1짜리 십자별 그룹을
+ * 제자리에 두고, drawFrame과 같은 반짝임으로 scale을 키프레임화합니다.
+ */
+export function getLottieShapes(animState) {
+    const { count, sx, sy, sd, sPhase, sLevel, colors, cellW, params } = animState;
+    const { scale: maxScale, sharpness, speed } = params;
+    const minScale = 1.0;
+    const effectiveMaxScale = Math.min(maxScale, cellW * 1.5);
+
+    // 2차 곡선(quadraticCurveTo) → 3차 베지어 접선: 제어점 방향으로 2/3
+    const cp = 1 - sharpness;
+    const tips = [[0, -1], [1, 0], [0, 1], [-1, 0]];
+    const star = {
+        v: tips,
+        i: tips.map(([x, y], k) => {
+            const [px, py] = tips[(k + 3) % 4];
+            const [qx, qy] = [Math.sign(x + px) * cp, Math.sign(y + py) * cp];
+            return [(qx - x) * 2 / 3, (qy - y) * 2 / 3];
+        }),
+        o: tips.map(([x, y], k) => {
+            const [nx, ny] = tips[(k + 1) % 4];
+            const [qx, qy] = [Math.sign(x + nx) * cp, Math.sign(y + ny) * cp];
+            return [(qx - x) * 2 / 3, (qy - y) * 2 / 3];
+        }),
+        closed: true,
+    };
+
+    const shapes = [];
+    for (let i = 0; i < count; i++) {
+        const darkness = sd[i];
+        const phase = sPhase[i];
+        shapes.push({
+            type: 'path',
+            contours: [star],
+            color: colors[sLevel[i]],
+            fill: true,
+            position: [sx[i], sy[i]],
+            scale: (t) => {
+                const wave = 0.5 + 0.5 * Math.sin(t * speed + phase);
+                return lerp(minScale, effectiveMaxScale, lerp(darkness * 0.2, darkness, wave));
+            },
+        });
+    }
+    return shapes;
+}
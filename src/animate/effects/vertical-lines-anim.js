@@ -1,4 +1,5 @@
 import { lerp, sampleBilinear } from '../../engine/utils/math.js';
+import { COLOR_MODE_OPTIONS, createColorMap } from '../../engine/utils/color.js';
 
 export function getDefaultParams() {
   return {
@@ -10,6 +11,8 @@ export function getDefaultParams() {
     speed: 4.0,       // rad/s — wave travel speed
     waveFreq: 0.20,   // spatial frequency (rad per column)
     color: '#000000',
+    colorMode: 'solid',          // 'solid' | 'darkness' | 'horizontal' | 'vertical'
+    gradient: ['#0a64ff', '#ff3b30'], // evenly spaced stops, light → dark / start → end
   };
 }
 
@@ -20,9 +23,18 @@ export function getParamSchema() {
     { key: 'maxLength', label: 'Length', min: 0.2, max: 1.0, step: 0.01, default: 1.0 },
     { key: 'waveFreq', label: 'Spacing', min: 0.01, max: 0.5, step: 0.01, default: 0.20 },
     { key: 'speed', label: 'Speed', min: 0.1, max: 5, step: 0.1, default: 4.0 },
+    { key: 'colorMode', label: 'Color Map', type: 'select', options: COLOR_MODE_OPTIONS, default: 'solid' },
+    { key: 'color', label: 'Color', type: 'color', default: '#000000' },
+    { key: 'gradient', label: 'Gradient', type: 'gradient', default: ['#0a64ff', '#ff3b30'] },
   ];
 }
 
+// The travelling wave sin(t * speed - c * waveFreq) repeats every 2π / speed.
+export function getLoopDuration(params) {
+  const { speed } = { ...getDefaultParams(), ...params };
+  return speed > 0 ? (Math.PI * 2) / speed : null;
+}
+
 /**
  * Per-cell vertical dash approach — mirrors horizontal-lines-anim.js but rotated 90°.
  *
@@ -34,6 +46,7 @@ export function getParamSchema() {
 export function init(sampleData, params, outputWidth, outputHeight) {
   const { grid, cols: gridCols, rows: gridRows } = sampleData;
   const merged = { ...getDefaultParams(), ...params };
+  const colorMap = createColorMap(merged, sampleData);
   const { maxLength, minLength } = merged;
   const safeMaxLength = Math.max(maxLength, minLength);
 
@@ -46,6 +59,7 @@ export function init(sampleData, params, outputWidth, outputHeight) {
 
   const colMeta = [];
   const segmentsFlat = [];
+  const levelsFlat = []; // color level per segment
 
   for (let c = 0; c < cols; c++) {
     const cx = c * cellW + cellW / 2;
@@ -62,6 +76,7 @@ export function init(sampleData, params, outputWidth, outputHeight) {
 
       const cy = r * cellH + cellH / 2;
       colSegs.push(cy - h / 2, cy + h / 2);
+      levelsFlat.push(colorMap.levelAt(darkness, u, v));
     }
 
     colMeta.push({ cx, segOffset: segmentsFlat.length, segCount: colSegs.length / 2 });
@@ -69,10 +84,13 @@ export function init(sampleData, params, outputWidth, outputHeight) {
   }
 
   const segData = new Float32Array(segmentsFlat);
+  const segLevel = new Uint16Array(levelsFlat);
 
   return {
     colMeta,
     segData,
+    segLevel,
+    colors: colorMap.colors,
     cols,
     cellW,
     outputWidth,
@@ -82,8 +100,8 @@ export function init(sampleData, params, outputWidth, outputHeight) {
 }
 
 export function drawFrame(ctx, animState, t) {
-  const { colMeta, segData, cols, cellW, outputWidth, outputHeight, params } = animState;
-  const { speed, waveFreq, minStroke, maxStroke, color } = params;
+  const { colMeta, segData, segLevel, colors, cols, cellW, outputWidth, outputHeight, params } = animState;
+  const { speed, waveFreq, minStroke, maxStroke } = params;
 
   const safeMaxStroke = Math.max(minStroke, maxStroke);
   const safeMinStroke = Math.min(minStroke, safeMaxStroke);
@@ -93,8 +111,8 @@ export function drawFrame(ctx, animState, t) {
   const effectiveMinStroke = Math.min(safeMinStroke, effectiveMaxStroke);
 
   ctx.clearRect(0, 0, outputWidth, outputHeight);
-  ctx.strokeStyle = color;
   ctx.lineCap = 'butt';
+  let level = -1;
 
   for (let c = 0; c < cols; c++) {
     const meta = colMeta[c];
@@ -112,6 +130,11 @@ export function drawFrame(ctx, animState, t) {
     for (let s = 0; s < count; s++) {
       const y1 = segData[offset + s * 2];
       const y2 = segData[offset + s * 2 + 1];
+      const lv = segLevel[offset / 2 + s];
+      if (lv !== level) {
+        level = lv;
+        ctx.strokeStyle = colors[level];
+      }
       ctx.beginPath();
       ctx.moveTo(x, y1);
       ctx.lineTo(x, y2);
@@ -119,3 +142,34 @@ export function drawFrame(ctx, animState, t) {
     }
   }
 }
+
+// Lottie export (animate/lottie-export.js): one stroked group per column and
+// color, its width keyframed with the same travelling wave as drawFrame.
+export function getLottieShapes(animState) {
+  const { colMeta, segData, segLevel, colors, cols, cellW, params } = animState;
+  const { speed, waveFreq, minStroke, maxStroke } = params;
+  const safeMaxStroke = Math.max(minStroke, maxStroke);
+  const safeMinStroke = Math.min(minStroke, safeMaxStroke);
+  const effectiveMaxStroke = Math.min(safeMaxStroke, cellW * 1.35);
+  const effectiveMinStroke = Math.min(safeMinStroke, effectiveMaxStroke);
+
+  const shapes = [];
+  for (let c = 0; c < cols; c++) {
+    const meta = colMeta[c];
+    if (!meta || meta.segCount === 0) continue;
+    const stroke = (t) => lerp(effectiveMinStroke, effectiveMaxStroke, 0.5 + 0.5 * Math.sin(t * speed - c * waveFreq));
+
+    const byLevel = new Map();
+    for (let s = 0; s < meta.segCount; s++) {
+      const lv = segLevel[meta.segOffset / 2 + s];
+      const y1 = segData[meta.segOffset + s * 2];
+      const y2 = segData[meta.segOffset + s * 2 + 1];
+      if (!byLevel.has(lv)) byLevel.set(lv, []);
+      byLevel.get(lv).push({ points: [meta.cx, y1, meta.cx, y2] });
+    }
+    for (const [lv, contours] of byLevel) {
+      shapes.push({ type: 'path', contours, color: colors[lv], stroke, lineCap: 'butt' });
+    }
+  }
+  return shapes;
+}
@@ -0,0 +1,209 @@
+import GIF from 'gif.js';
+import { createFrameRenderer, frameTiming, getExportSize } from './video-export.js';
+
+/**
+ * GIF renderer — same fixed-step frame loop as the video exports
+ * (createFrameRenderer + snapped duration), encoded by gif.js in workers.
+ *
+ * gif.js always quantizes to a 256-entry NeuQuant palette, so smaller
+ * palettes are produced here first: every frame is reduced to an N-level
+ * RGB cube (with the chosen error diffusion) and gif.js only indexes it.
+ *
+ * Transparency is a key colour — GIF has 1-bit alpha. Pixels under half
+ * coverage become KEY_COLOR, the rest are made opaque, and gif.js maps the
+ * palette entry closest to the key to the transparent index.
+ */
+
+export const GIF_PRESETS = [
+  { value: 'logo', label: 'Logo size', width: 800, height: 0 }, // height follows aspect
+  { value: 'social', label: 'Social square', width: 1080, height: 1080 },
+  { value: 'email', label: 'Email signature', width: 320, height: 100 },
+  { value: 'banner', label: 'Web banner', width: 728, height: 90 },
+  { value: 'custom', label: 'Custom', width: 0, height: 0 },
+];
+
+export const GIF_DITHERS = [
+  { value: 'none', label: 'Off' },
+  { value: 'FloydSteinberg', label: 'Floyd–Steinberg' },
+  { value: 'FalseFloydSteinberg', label: 'False Floyd–Steinberg' },
+  { value: 'Stucki', label: 'Stucki' },
+  { value: 'Atkinson', label: 'Atkinson' },
+];
+
+// Palette sizes offered — 256 is gif.js's own quantizer, the rest are
+// RGB cubes (levels³)
+export const GIF_COLORS = [256, 216, 125, 64, 27, 8];
+
+// Magenta — far from every palette the effects draw with
+const KEY_COLOR = 0xff00ff;
+
+// Preset frames leave a margin around the logo (fraction of the shorter side)
+const PRESET_PADDING = 0.08;
+
+// Error diffusion kernels — [dx, dy, weight], same weights as gif.js
+const KERNELS = {
+  FloydSteinberg: [[1, 0, 7 / 16], [-1, 1, 3 / 16], [0, 1, 5 / 16], [1, 1, 1 / 16]],
+  FalseFloydSteinberg: [[1, 0, 3 / 8], [0, 1, 3 / 8], [1, 1, 2 / 8]],
+  Stucki: [
+    [1, 0, 8 / 42], [2, 0, 4 / 42],
+    [-2, 1, 2 / 42], [-1, 1, 4 / 42], [0, 1, 8 / 42], [1, 1, 4 / 42], [2, 1, 2 / 42],
+    [-2, 2, 1 / 42], [-1, 2, 2 / 42], [0, 2, 4 / 42], [1, 2, 2 / 42], [2, 2, 1 / 42],
+  ],
+  Atkinson: [[1, 0, 1 / 8], [2, 0, 1 / 8], [-1, 1, 1 / 8], [0, 1, 1 / 8], [1, 1, 1 / 8], [0, 2, 1 / 8]],
+};
+
+/**
+ * Output size for a preset. 'logo' keeps the effect's aspect at a fixed
+ * width; 'custom' uses settings.width / settings.height; the rest are fixed
+ * frames the logo is fitted into.
+ */
+export function resolveGifSize({ preset, width, height }, baseW, baseH) {
+  const p = GIF_PRESETS.find((entry) => entry.value === preset) ?? GIF_PRESETS[0];
+  if (p.value === 'logo') {
+    const h = Math.round((p.width * baseH) / baseW);
+    return { ...getExportSize(baseW, baseH, h), fit: 'fill' };
+  }
+  if (p.value === 'custom') return { width, height, fit: 'contain' };
+  return { width: p.width, height: p.height, fit: 'contain' };
+}
+
+// Share of the logo's cells that carry ink — drives the size estimate.
+// grid holds brightness (1 = empty); a cell is ink when its darkness clears
+// the same background cutoff the effects skip below.
+export function inkCoverage(sampleData) {
+  if (!sampleData) return 0.5;
+  const { grid, cols, rows } = sampleData;
+  const threshold = sampleData.threshold ?? 0.3;
+  let ink = 0;
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < cols; c++) if (1 - grid[r][c] >= threshold) ink++;
+  }
+  return ink / Math.max(1, cols * rows);
+}
+
+/**
+ * Rough GIF size in bytes. LZW packs flat background runs to almost
+ * nothing, so cost is dominated by the inked area; dithering breaks runs
+ * up and roughly doubles it. Each frame also carries a local palette.
+ *
+ * coverage — share of the frame covered by ink (0..1)
+ */
+export function estimateGifSize({ width, height, frames, colors, dither, coverage }) {
+  const bits = Math.log2(colors);
+  const inkBytes = (bits / 8) * (dither && dither !== 'none' ? 0.7 : 0.35);
+  const perFrame = 3 * colors + width * height * (0.02 * (1 - coverage) + inkBytes * coverage);
+  return Math.round(frames * perFrame);
+}
+
+// Reduce RGB to `levels` steps per channel in place, diffusing the error
+// with `kernel` (or none). Transparent key pixels are left untouched.
+function quantizeToCube(data, width, height, levels, kernel) {
+  const step = 255 / (levels - 1);
+  const taps = KERNELS[kernel] ?? null;
+  const err = taps ? new Float32Array(width * height * 3) : null;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      if (data[i * 4 + 3] === 0) continue;
+      for (let ch = 0; ch < 3; ch++) {
+        const v = data[i * 4 + ch] + (err ? err[i * 3 + ch] : 0);
+        const q = Math.min(255, Math.max(0, Math.round(v / step) * step));
+        data[i * 4 + ch] = q;
+        if (!taps) continue;
+        const e = v - q;
+        for (const [dx, dy, w] of taps) {
+          const nx = x + dx;
+          const ny = y + dy;
+          if (nx < 0 || nx >= width || ny >= height) continue;
+          err[(ny * width + nx) * 3 + ch] += e * w;
+        }
+      }
+    }
+  }
+}
+
+// 1-bit alpha: under half coverage → key colour (alpha 0 marks it for
+// quantizeToCube), otherwise fully opaque
+function applyKeyColor(data) {
+  const kr = (KEY_COLOR >> 16) & 0xff;
+  const kg = (KEY_COLOR >> 8) & 0xff;
+  const kb = KEY_COLOR & 0xff;
+  for (let i = 0; i < data.length; i += 4) {
+    if (data[i + 3] < 128) {
+      data[i] = kr;
+      data[i + 1] = kg;
+      data[i + 2] = kb;
+      data[i + 3] = 0;
+    } else {
+      data[i + 3] = 255;
+    }
+  }
+}
+
+/**
+ * options:
+ *   animModule, sampleData, params, baseW, baseH, loopDuration,
+ *   onProgress, signal — as renderVideo()
+ *   preset, width, height — see resolveGifSize()
+ *   fps, duration (seconds)
+ *   background — hex colour, or null for a transparent GIF
+ *   colors     — one of GIF_COLORS
+ *   dither     — one of GIF_DITHERS values
+ *
+ * Frames are drawn first (the first half of onProgress), then encoded by
+ * gif.js (the second half). Resolves to the GIF Blob.
+ */
+export async function renderGIF(options) {
+  const { baseW, baseH, fps, duration, loopDuration, background, colors, dither, onProgress, signal } = options;
+  const { width, height, fit } = resolveGifSize(options, baseW, baseH);
+  const { ctx, draw } = createFrameRenderer({
+    ...options,
+    width,
+    height,
+    fit,
+    padding: fit === 'contain' ? PRESET_PADDING : 0,
+    background,
+  });
+
+  const { totalFrames, step } = frameTiming(duration, fps, loopDuration);
+  const levels = colors < 256 ? Math.round(Math.cbrt(colors)) : 0;
+  const kernel = dither === 'none' ? null : dither;
+
+  const gif = new GIF({
+    workers: 2,
+    quality: 6,
+    width,
+    height,
+    workerScript: '/gif.worker.js',
+    // the cube is already dithered — gif.js only has to index it
+    dither: levels ? false : kernel ?? false,
+    transparent: background ? null : KEY_COLOR,
+    background: background ?? '#ffffff',
+  });
+
+  for (let i = 0; i < totalFrames; i++) {
+    if (signal?.aborted) throw new DOMException('Export cancelled', 'AbortError');
+    draw(i * step);
+    const frame = ctx.getImageData(0, 0, width, height);
+    if (!background) applyKeyColor(frame.data);
+    if (levels) quantizeToCube(frame.data, width, height, levels, kernel);
+    gif.addFrame(frame, { delay: Math.round(step * 1000) });
+    onProgress?.(((i + 1) / totalFrames) * 0.5);
+    if (i % 4 === 0) await new Promise((resolve) => setTimeout(resolve, 0));
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => {
+      gif.abort();
+      reject(new DOMException('Export cancelled', 'AbortError'));
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+    gif.on('progress', (p) => onProgress?.(0.5 + p * 0.5));
+    gif.on('finished', (blob) => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve(blob);
+    });
+    gif.render();
+  });
+}
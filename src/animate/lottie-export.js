@@ -0,0 +1,211 @@
+import { hexToRgb } from '../engine/utils/color.js';
+import { getExportSize } from './video-export.js';
+
+/**
+ * Lottie (Bodymovin JSON) export.
+ *
+ * Effects opt in by exporting getLottieShapes(animState) from their
+ * animModule: a list of shape descriptors in init()'s pixel space whose
+ * animated properties are functions of t — the same time functions
+ * drawFrame() uses. They are sampled here into linear keyframes over one
+ * loop (the player repeats it), so the motion matches the canvas preview.
+ *
+ * Shape descriptors:
+ *   { type: 'ellipse', x, y, color, size: (t) => [w, h] }
+ *   { type: 'path', contours: [{ v, i, o, closed }], color,
+ *     fill?: true, stroke?: width | (t) => width, lineCap?: 'butt' | 'round',
+ *     position?: [x, y], scale?: (t) => factor, trim?: (t) => 0..1,
+ *     times?: [seconds] }
+ * Contours use Lottie's own layout: vertices v with in / out tangents
+ * i / o relative to each vertex — or { points, closed } with flat
+ * [x0, y0, x1, y1, …] points for straight polylines. `times` adds exact sample points (e.g. the
+ * ends of a draw-on) to the uniform keyframes. Any numeric property may
+ * also be a constant.
+ */
+
+// Loop length for effects without a period (getLoopDuration → null)
+export const LOTTIE_DEFAULT_LOOP = 3;
+
+const LINE_CAPS = { butt: 1, round: 2, square: 3 };
+
+const round = (n) => Math.round(n * 100) / 100;
+
+function lottieColor(hex) {
+  const [r, g, b] = hexToRgb(hex);
+  return [round(r / 255), round(g / 255), round(b / 255), 1];
+}
+
+const staticValue = (k) => ({ a: 0, k });
+
+/**
+ * Sample `fn` at `times` (seconds) into a Lottie property. Collapses to a
+ * static value when nothing changes; keyframes ease linearly.
+ */
+function animatedValue(fn, times, fps, map = (x) => x) {
+  if (typeof fn !== 'function') return staticValue(map(fn));
+  const values = times.map((t) => map(fn(t)));
+  const first = JSON.stringify(values[0]);
+  if (values.every((v) => JSON.stringify(v) === first)) return staticValue(values[0]);
+
+  const dims = Array.isArray(values[0]) ? values[0].length : 1;
+  const ease = (v) => ({ x: Array(dims).fill(v), y: Array(dims).fill(v) });
+  return {
+    a: 1,
+    k: values.map((v, n) => {
+      const key = { t: round(times[n] * fps), s: Array.isArray(v) ? v : [v] };
+      if (n < values.length - 1) {
+        key.o = ease(0);
+        key.i = ease(1);
+      }
+      return key;
+    }),
+  };
+}
+
+function groupTransform(shape, times, fps) {
+  return {
+    ty: 'tr',
+    p: staticValue((shape.position ?? [0, 0]).map(round)),
+    a: staticValue([0, 0]),
+    s: animatedValue(shape.scale ?? 1, times, fps, (f) => {
+      const pct = round(f * 100);
+      return [pct, pct];
+    }),
+    r: staticValue(0),
+    o: staticValue(100),
+    sk: staticValue(0),
+    sa: staticValue(0),
+  };
+}
+
+// Straight polyline (flat points) → vertices with zero tangents
+function polylineContour(points, closed = false) {
+  const v = [];
+  for (let k = 0; k < points.length; k += 2) v.push([points[k], points[k + 1]]);
+  const zero = v.map(() => [0, 0]);
+  return { v, i: zero, o: zero, closed };
+}
+
+function shapeGroup(shape, index, times, fps) {
+  const color = staticValue(lottieColor(shape.color));
+  const items = [];
+
+  if (shape.type === 'ellipse') {
+    items.push({
+      ty: 'el',
+      d: 1,
+      p: staticValue([round(shape.x), round(shape.y)]),
+      s: animatedValue(shape.size, times, fps, ([w, h]) => [round(w), round(h)]),
+    });
+    items.push({ ty: 'fl', c: color, o: staticValue(100), r: 1 });
+  } else {
+    for (const contour of shape.contours) {
+      const c = contour.points ? polylineContour(contour.points, contour.closed) : contour;
+      items.push({
+        ty: 'sh',
+        ks: staticValue({
+          c: c.closed,
+          v: c.v.map((p) => p.map(round)),
+          i: c.i.map((p) => p.map(round)),
+          o: c.o.map((p) => p.map(round)),
+        }),
+      });
+    }
+    if (shape.trim) {
+      items.push({
+        ty: 'tm',
+        s: staticValue(0),
+        e: animatedValue(shape.trim, times, fps, (p) => round(p * 100)),
+        o: staticValue(0),
+        m: 1,
+      });
+    }
+    if (shape.stroke != null) {
+      items.push({
+        ty: 'st',
+        c: color,
+        o: staticValue(100),
+        w: animatedValue(shape.stroke, times, fps, round),
+        lc: LINE_CAPS[shape.lineCap ?? 'butt'],
+        lj: 2,
+        ml: 4,
+      });
+    }
+    if (shape.fill) items.push({ ty: 'fl', c: color, o: staticValue(100), r: 1 });
+  }
+
+  items.push(groupTransform(shape, times, fps));
+  return { ty: 'gr', nm: `${shape.type} ${index + 1}`, it: items };
+}
+
+export function isLottieExportSupported(animModule) {
+  return typeof animModule.getLottieShapes === 'function';
+}
+
+/**
+ * options:
+ *   animModule, sampleData, params
+ *   baseW, baseH  — logical size the effect is initialised at (preview size)
+ *   height        — composition height; the layer is scaled up to it, so
+ *                   params look as they do in the browser
+ *   fps           — composition frame rate
+ *   keyframes     — uniform samples per loop
+ *   name          — composition / layer name
+ *
+ * Returns the Lottie JSON object (one shape layer, one loop long).
+ */
+export function buildLottie({ animModule, sampleData, params, baseW, baseH, height, fps, keyframes, name }) {
+  const merged = { ...animModule.getDefaultParams(), ...params };
+  const animState = animModule.init(sampleData, merged, baseW, baseH);
+  const size = getExportSize(baseW, baseH, height);
+  const zoom = round((size.height / baseH) * 100);
+  const shapes = animModule.getLottieShapes(animState);
+
+  const loop = animModule.getLoopDuration?.(merged, sampleData) ?? LOTTIE_DEFAULT_LOOP;
+  const frames = Math.max(1, Math.round(loop * fps));
+  // Stretch the loop onto whole frames so the last keyframe meets the first
+  const timeScale = frames / fps / loop;
+  const uniform = Array.from({ length: keyframes + 1 }, (_, k) => (k / keyframes) * loop);
+
+  // Lottie stacks the first group on top — reverse to keep drawFrame's order
+  const groups = shapes.map((shape, index) => {
+    const times = shape.times
+      ? [...new Set([...uniform, ...shape.times.filter((t) => t >= 0 && t <= loop)])].sort((a, b) => a - b)
+      : uniform;
+    return shapeGroup(shape, index, times, fps * timeScale);
+  }).reverse();
+
+  return {
+    v: '5.7.4',
+    fr: fps,
+    ip: 0,
+    op: frames,
+    w: size.width,
+    h: size.height,
+    nm: name,
+    ddd: 0,
+    assets: [],
+    layers: [
+      {
+        ddd: 0,
+        ind: 1,
+        ty: 4,
+        nm: name,
+        sr: 1,
+        ks: {
+          o: staticValue(100),
+          r: staticValue(0),
+          p: staticValue([0, 0, 0]),
+          a: staticValue([0, 0, 0]),
+          s: staticValue([zoom, zoom, 100]),
+        },
+        ao: 0,
+        shapes: groups,
+        ip: 0,
+        op: frames,
+        st: 0,
+        bm: 0,
+      },
+    ],
+  };
+}
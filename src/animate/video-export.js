@@ -0,0 +1,345 @@
+import { Muxer as Mp4Muxer, ArrayBufferTarget as Mp4Target } from 'mp4-muxer';
+import { Muxer as WebmMuxer, ArrayBufferTarget as WebmTarget } from 'webm-muxer';
+import { zipSync } from 'fflate';
+
+/**
+ * Offline video renderer — steps drawFrame(ctx, animState, t) at fixed
+ * t = i / fps (nudged so looping effects end on a whole period, see
+ * snapDuration) and encodes every frame with WebCodecs, so the result does
+ * not depend on machine speed or the tab staying visible.
+ *
+ * Frames are drawn at the effect's base (preview) size scaled up to the
+ * export resolution, so params look exactly as they do in the browser.
+ *
+ * Transparent formats (WebM with alpha, PNG sequence, sprite sheet) keep
+ * drawFrame's output as-is — no background is composited under it.
+ */
+
+export const VIDEO_FORMATS = [
+  { value: 'mp4', label: 'MP4 (H.264)' },
+  { value: 'webm', label: 'WebM (VP9)' },
+  { value: 'webm-alpha', label: 'WebM · transparent' },
+  { value: 'png', label: 'PNG sequence (ZIP)' },
+];
+
+// Formats that keep the alpha channel — the green screen is skipped
+export const TRANSPARENT_FORMATS = new Set(['webm-alpha', 'png']);
+
+// Candidate encoder configs per format, best first — the first one the
+// browser accepts at the requested size wins. `mux` is the container codec id.
+const CODECS = {
+  mp4: [
+    { codec: 'avc1.640033', mux: 'avc' }, // High 5.1
+    { codec: 'avc1.640028', mux: 'avc' }, // High 4.0
+    { codec: 'avc1.4d0028', mux: 'avc' }, // Main 4.0
+    { codec: 'avc1.42001f', mux: 'avc' }, // Baseline 3.1
+  ],
+  webm: [
+    { codec: 'vp09.00.51.08', mux: 'V_VP9' },
+    { codec: 'vp09.00.41.08', mux: 'V_VP9' },
+    { codec: 'vp09.00.10.08', mux: 'V_VP9' },
+  ],
+  'webm-alpha': [
+    { codec: 'vp09.00.41.08', mux: 'V_VP9' },
+    { codec: 'vp09.00.10.08', mux: 'V_VP9' },
+    { codec: 'vp8', mux: 'V_VP8' },
+  ],
+};
+
+const KEYFRAME_SECS = 2;   // one keyframe every 2 seconds
+const MAX_ENCODE_QUEUE = 8; // frames in flight before waiting on the encoder
+
+export function isVideoExportSupported(format = 'mp4') {
+  if (format === 'png') return typeof document !== 'undefined';
+  return typeof VideoEncoder !== 'undefined' && typeof VideoFrame !== 'undefined';
+}
+
+async function pickEncoderConfig(format, width, height, fps) {
+  const bitrate = Math.round(width * height * fps * 0.12); // ≈ 7.5 Mbps at 1080p30
+  for (const { codec, mux } of CODECS[format]) {
+    const config = { codec, width, height, bitrate, framerate: fps };
+    if (format === 'mp4') config.avc = { format: 'avc' };
+    if (format === 'webm-alpha') config.alpha = 'keep';
+    const { supported } = await VideoEncoder.isConfigSupported(config).catch(() => ({ supported: false }));
+    if (supported) return { config, mux };
+  }
+  throw new Error(`No ${format.toUpperCase()} encoder available for ${width}×${height}`);
+}
+
+/**
+ * Offscreen canvas that draws the effect at export size.
+ *
+ * options: animModule, sampleData, params, baseW, baseH (logical preview
+ * size), width, height (output pixels), background (null = transparent).
+ * By default the effect is stretched to width × height (callers keep the
+ * aspect); fit: 'contain' centres it instead, inset by `padding` (fraction
+ * of the shorter side), for fixed-size frames such as GIF presets.
+ *
+ * Returns { canvas, ctx, draw(t) }.
+ */
+export function createFrameRenderer({
+  animModule,
+  sampleData,
+  params,
+  baseW,
+  baseH,
+  width,
+  height,
+  background,
+  fit = 'fill',
+  padding = 0,
+}) {
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+  let sx = width / baseW;
+  let sy = height / baseH;
+  let ox = 0;
+  let oy = 0;
+  if (fit === 'contain') {
+    const inset = Math.min(width, height) * padding;
+    sx = sy = Math.min((width - inset * 2) / baseW, (height - inset * 2) / baseH);
+    ox = (width - baseW * sx) / 2;
+    oy = (height - baseH * sy) / 2;
+  }
+  ctx.setTransform(sx, 0, 0, sy, ox, oy);
+
+  const mergedParams = { ...animModule.getDefaultParams(), ...params };
+  const animState = animModule.init(sampleData, mergedParams, baseW, baseH);
+
+  function draw(t) {
+    // drawFrame only clears its own area — clear the margins around it too
+    if (fit === 'contain') {
+      ctx.save();
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.clearRect(0, 0, width, height);
+      ctx.restore();
+    }
+    animModule.drawFrame(ctx, animState, t);
+    if (!background) return;
+    // drawFrame clears first, so the background goes *under* the frame
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.globalCompositeOperation = 'destination-over';
+    ctx.fillStyle = background;
+    ctx.fillRect(0, 0, width, height);
+    ctx.restore();
+  }
+
+  return { canvas, ctx, draw };
+}
+
+// Encoders (H.264 in particular) need even dimensions
+export function getExportSize(baseW, baseH, height) {
+  const outH = Math.max(2, Math.round(height / 2) * 2);
+  const outW = Math.max(2, Math.round((baseW * outH) / baseH / 2) * 2);
+  return { width: outW, height: outH };
+}
+
+/**
+ * Round a requested duration to a whole number of loop periods (at least
+ * one) so the last frame flows back into the first. period — seconds from
+ * animModule.getLoopDuration(), or null to keep the duration as-is.
+ */
+export function snapDuration(duration, period) {
+  if (!period || !Number.isFinite(period)) return duration;
+  return Math.max(1, Math.round(duration / period)) * period;
+}
+
+// Frame count and the time step between frames. The step is duration / frames
+// rather than 1 / fps, so a snapped duration ends exactly on a period.
+export function frameTiming(duration, fps, loopDuration) {
+  const length = snapDuration(duration, loopDuration);
+  const totalFrames = Math.max(1, Math.round(length * fps));
+  return { totalFrames, step: length / totalFrames };
+}
+
+function throwIfAborted(signal) {
+  if (signal?.aborted) throw new DOMException('Export cancelled', 'AbortError');
+}
+
+const nextTick = () => new Promise((resolve) => setTimeout(resolve, 0));
+
+/**
+ * options:
+ *   animModule   — { init, drawFrame, getDefaultParams }
+ *   sampleData, params
+ *   baseW, baseH — logical size the effect is initialised at (preview size)
+ *   height       — export height in px; width follows the aspect ratio
+ *   fps, duration (seconds), format (one of VIDEO_FORMATS)
+ *   loopDuration — animModule.getLoopDuration() result; duration is snapped
+ *                  to whole periods when set
+ *   background   — color composited under every frame (ignored by transparent formats)
+ *   onProgress   — (0..1) => void, after each rendered frame
+ *   signal       — AbortSignal; aborting rejects with an AbortError
+ *
+ * Resolves to the finished Blob (video, or ZIP for 'png').
+ */
+export async function renderVideo(options) {
+  if (options.format === 'png') return renderPNGSequence(options);
+
+  const { baseW, baseH, height, fps, duration, loopDuration, format, background, onProgress, signal } = options;
+  const size = getExportSize(baseW, baseH, height);
+  const { totalFrames, step } = frameTiming(duration, fps, loopDuration);
+  const transparent = TRANSPARENT_FORMATS.has(format);
+
+  const { config, mux } = await pickEncoderConfig(format, size.width, size.height, fps);
+  const { canvas, draw } = createFrameRenderer({
+    ...options,
+    ...size,
+    background: transparent ? null : background,
+  });
+
+  const muxer = format === 'mp4'
+    ? new Mp4Muxer({
+      target: new Mp4Target(),
+      video: { codec: mux, ...size, frameRate: fps },
+      fastStart: 'in-memory',
+    })
+    : new WebmMuxer({
+      target: new WebmTarget(),
+      video: { codec: mux, ...size, frameRate: fps, alpha: transparent },
+    });
+
+  let encodeError = null;
+  const encoder = new VideoEncoder({
+    output: (chunk, meta) => muxer.addVideoChunk(chunk, meta),
+    error: (e) => { encodeError = e; },
+  });
+  encoder.configure(config);
+
+  const frameUs = 1e6 / fps;
+  try {
+    for (let i = 0; i < totalFrames; i++) {
+      throwIfAborted(signal);
+      if (encodeError) throw encodeError;
+
+      draw(i * step);
+      const frame = new VideoFrame(canvas, {
+        timestamp: Math.round(i * frameUs),
+        duration: Math.round(frameUs),
+        alpha: transparent ? 'keep' : 'discard',
+      });
+      encoder.encode(frame, { keyFrame: i % Math.round(fps * KEYFRAME_SECS) === 0 });
+      frame.close();
+
+      // Backpressure — also yields to the UI so the progress bar repaints
+      while (encoder.encodeQueueSize > MAX_ENCODE_QUEUE) {
+        await new Promise((resolve) => encoder.addEventListener('dequeue', resolve, { once: true }));
+      }
+      if (i % 4 === 0) await nextTick();
+
+      onProgress?.((i + 1) / totalFrames);
+    }
+
+    await encoder.flush();
+    if (encodeError) throw encodeError;
+  } finally {
+    if (encoder.state !== 'closed') encoder.close();
+  }
+
+  muxer.finalize();
+  return new Blob([muxer.target.buffer], { type: format === 'mp4' ? 'video/mp4' : 'video/webm' });
+}
+
+// Largest canvas side browsers reliably allocate
+const MAX_SHEET_SIDE = 16384;
+
+/**
+ * Sprite sheet — every frame on one transparent PNG, row-major in a grid of
+ * `columns` (0 = as square as possible), plus a JSON atlas in the common
+ * "JSON hash" layout (frame rects, per-frame duration in ms, an `animations`
+ * entry) that Phaser, PixiJS and most engines load directly.
+ *
+ * Same options as renderPNGSequence() plus columns and `name` (file stem of
+ * the PNG / JSON inside the returned ZIP).
+ */
+export async function renderSpriteSheet(options) {
+  const { baseW, baseH, height, fps, duration, loopDuration, columns = 0, name = 'sprites', onProgress, signal } = options;
+  const size = getExportSize(baseW, baseH, height);
+  const { totalFrames, step } = frameTiming(duration, fps, loopDuration);
+  const cols = columns > 0 ? Math.min(columns, totalFrames) : Math.ceil(Math.sqrt(totalFrames));
+  const rows = Math.ceil(totalFrames / cols);
+  const sheetW = cols * size.width;
+  const sheetH = rows * size.height;
+  if (sheetW > MAX_SHEET_SIDE || sheetH > MAX_SHEET_SIDE) {
+    throw new Error(`Sprite sheet would be ${sheetW} × ${sheetH}px — lower the frame size, fps or duration`);
+  }
+
+  const { canvas, draw } = createFrameRenderer({ ...options, ...size, background: null });
+  const sheet = document.createElement('canvas');
+  sheet.width = sheetW;
+  sheet.height = sheetH;
+  const sheetCtx = sheet.getContext('2d');
+
+  const frameMs = Math.round(1000 / fps);
+  const digits = Math.max(5, String(totalFrames).length);
+  const frames = {};
+  for (let i = 0; i < totalFrames; i++) {
+    throwIfAborted(signal);
+    draw(i * step);
+    const x = (i % cols) * size.width;
+    const y = Math.floor(i / cols) * size.height;
+    sheetCtx.drawImage(canvas, x, y);
+    frames[`frame_${String(i + 1).padStart(digits, '0')}`] = {
+      frame: { x, y, w: size.width, h: size.height },
+      rotated: false,
+      trimmed: false,
+      spriteSourceSize: { x: 0, y: 0, w: size.width, h: size.height },
+      sourceSize: { w: size.width, h: size.height },
+      duration: frameMs,
+    };
+    onProgress?.((i + 1) / totalFrames);
+    if (i % 4 === 0) await nextTick();
+  }
+
+  const atlas = {
+    frames,
+    animations: { [name]: Object.keys(frames) },
+    meta: {
+      app: 'reffect - Motion Creator',
+      image: `${name}.png`,
+      format: 'RGBA8888',
+      size: { w: sheetW, h: sheetH },
+      scale: '1',
+      frameRate: fps,
+      columns: cols,
+      rows,
+    },
+  };
+
+  const png = await new Promise((resolve) => sheet.toBlob(resolve, 'image/png'));
+  return new Blob([
+    zipSync({
+      [`${name}.png`]: [new Uint8Array(await png.arrayBuffer()), { level: 0 }],
+      [`${name}.json`]: new TextEncoder().encode(JSON.stringify(atlas, null, 2)),
+    }),
+  ], { type: 'application/zip' });
+}
+
+/**
+ * Numbered transparent PNGs (frame_00001.png …) zipped client-side.
+ * Same options as renderVideo(); background is never applied.
+ */
+export async function renderPNGSequence(options) {
+  const { baseW, baseH, height, fps, duration, loopDuration, onProgress, signal } = options;
+  const size = getExportSize(baseW, baseH, height);
+  const { totalFrames, step } = frameTiming(duration, fps, loopDuration);
+  const { canvas, draw } = createFrameRenderer({ ...options, ...size, background: null });
+
+  const digits = Math.max(5, String(totalFrames).length);
+  const files = {};
+  for (let i = 0; i < totalFrames; i++) {
+    throwIfAborted(signal);
+    draw(i * step);
+    const png = await new Promise((resolve) => canvas.toBlob(resolve, 'image/png'));
+    files[`frame_${String(i + 1).padStart(digits, '0')}.png`] = new Uint8Array(await png.arrayBuffer());
+    onProgress?.((i + 1) / totalFrames);
+    if (i % 4 === 0) await nextTick();
+  }
+
+  // PNGs are already deflated — store them as-is
+  return new Blob([zipSync(files, { level: 0 })], { type: 'application/zip' });
+}
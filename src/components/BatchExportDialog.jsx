@@ -0,0 +1,81 @@
+import { BATCH_FORMATS, logoBaseName } from '../animate/batch-export.js';
+import ExportDialog from './ExportDialog.jsx';
+
+const ON_OFF = [
+  { value: 'on', label: 'On' },
+  { value: 'off', label: 'Off' },
+];
+
+// Formats ticked when the dialog opens
+const DEFAULT_FORMATS = new Set(['svg', 'png', 'gif']);
+
+// Formats rendered frame by frame — the only ones Duration applies to
+const TIMED_FORMATS = ['gif', 'mp4', 'webm'];
+
+function buildSchema(titles) {
+  return [
+    ...titles.map((title, i) => ({ key: `effect-${i}`, label: title, type: 'select', options: ON_OFF, default: 'on' })),
+    ...BATCH_FORMATS.map(({ value, label }) => ({
+      key: `format-${value}`,
+      label,
+      type: 'select',
+      options: ON_OFF,
+      default: DEFAULT_FORMATS.has(value) ? 'on' : 'off',
+    })),
+    { key: 'duration', label: 'Duration', min: 1, max: 10, step: 0.5, default: 3 },
+  ];
+}
+
+// Dialog settings → { effects: indices, formats: BATCH_FORMATS values, duration }
+function batchSelection(settings, titles) {
+  return {
+    effects: titles.map((_, i) => i).filter((i) => settings[`effect-${i}`] === 'on'),
+    formats: BATCH_FORMATS.map((f) => f.value).filter((value) => settings[`format-${value}`] === 'on'),
+    duration: settings.duration,
+  };
+}
+
+/**
+ * BatchExportDialog — "Export all": which effects, which formats, and the
+ * length of the rendered animations. Everything lands in one ZIP named
+ * after the logo (see animate/batch-export.js).
+ *
+ * Props:
+ *   titles   — effect titles, in panel order
+ *   excluded — titles of effects the current logo cannot drive (listed only)
+ *   logoName — current logo file name
+ *   …plus ExportDialog's progress / error / onCancel / onClose;
+ *   onExport receives { effects (indices into titles), formats, duration }
+ */
+export default function BatchExportDialog({ titles, excluded = [], logoName, onExport, ...rest }) {
+  const schema = buildSchema(titles);
+
+  function isHidden(s, settings) {
+    if (s.key === 'duration') return !TIMED_FORMATS.some((value) => settings[`format-${value}`] === 'on');
+    return false;
+  }
+
+  function summary(settings) {
+    const { effects, formats } = batchSelection(settings, titles);
+    return `${effects.length} effect${effects.length === 1 ? '' : 's'} × ${formats.length} format${formats.length === 1 ? '' : 's'} ` +
+      `· ${logoBaseName(logoName)}.zip${excluded.length ? ` · not available for this logo: ${excluded.join(', ')}` : ''}`;
+  }
+
+  function note(settings) {
+    const { effects, formats } = batchSelection(settings, titles);
+    if (effects.length === 0 || formats.length === 0) return 'Choose at least one effect and one format.';
+    return null;
+  }
+
+  return (
+    <ExportDialog
+      title="Export All"
+      schema={schema}
+      isHidden={isHidden}
+      summary={summary}
+      note={note}
+      onExport={(settings) => onExport(batchSelection(settings, titles))}
+      {...rest}
+    />
+  );
+}
@@ -0,0 +1,29 @@
+import ExportDialog, { formatBytes } from './ExportDialog.jsx';
+
+export const CODE_FORMATS = [
+  { value: 'html', label: 'HTML page', ext: 'html', type: 'text/html' },
+  { value: 'react', label: 'React component', ext: 'jsx', type: 'text/javascript' },
+  { value: 'vue', label: 'Vue SFC', ext: 'vue', type: 'text/plain' },
+];
+
+const CODE_SCHEMA = [
+  { key: 'format', label: 'Format', type: 'select', options: CODE_FORMATS, default: 'html' },
+];
+
+/**
+ * CodeExportDialog — picks the code export flavour: the standalone HTML
+ * page, or a React / Vue component with the effect params as props.
+ *
+ * Props:
+ *   build    — (format) => source string, for the file size readout
+ *   fileName — (format) => download name
+ *   …plus ExportDialog's error / onExport / onClose (no progress — the
+ *   source is built synchronously); onExport receives { format }
+ */
+export default function CodeExportDialog({ build, fileName, ...rest }) {
+  function summary({ format }) {
+    return `${fileName(format)} · ${formatBytes(new Blob([build(format)]).size)}`;
+  }
+
+  return <ExportDialog title="Export Code" schema={CODE_SCHEMA} summary={summary} {...rest} />;
+}
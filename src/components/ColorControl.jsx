@@ -0,0 +1,56 @@
+/**
+ * ColorControl — schema `type: 'color'` counterpart of ParamSlider.
+ *
+ * Renders a native color input plus the shared palette swatches so brand
+ * colors picked once can be applied to every effect panel with one click.
+ *
+ * Props:
+ *   schema       — { key, label, type: 'color', default }
+ *   value        — current hex color (e.g. '#000000')
+ *   onChange     — (key, value) => void
+ *   palette      — array of hex colors shared across panels (from App.jsx)
+ *   onPaletteAdd — (hex) => void — saves the current color into the palette
+ */
+export default function ColorControl({ schema, value, onChange, palette = [], onPaletteAdd }) {
+  const current = (value ?? schema.default).toLowerCase();
+  const inPalette = palette.some((c) => c.toLowerCase() === current);
+
+  return (
+    <div className="control-item control-item-color">
+      <label>{schema.label}</label>
+      <div className="color-wrap">
+        <input
+          type="color"
+          className="color-input"
+          value={current}
+          onChange={(e) => onChange(schema.key, e.target.value)}
+          title={current}
+        />
+        <div className="color-palette">
+          {palette.map((c) => (
+            <button
+              key={c}
+              type="button"
+              className={`color-swatch${c.toLowerCase() === current ? ' active' : ''}`}
+              style={{ background: c }}
+              onClick={() => onChange(schema.key, c)}
+              aria-label={c}
+              title={c}
+            />
+          ))}
+          {onPaletteAdd && !inPalette && (
+            <button
+              type="button"
+              className="color-swatch color-swatch-add"
+              onClick={() => onPaletteAdd(current)}
+              aria-label="Add to palette"
+              title="Add to palette"
+            >
+              +
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -1,141 +1,32 @@
 import { useState, useMemo, useRef } from 'react';
-import GIF from 'gif.js';
 import AnimatedCanvas from '../animate/AnimatedCanvas.jsx';
+import { renderVideo, renderPNGSequence, renderSpriteSheet } from '../animate/video-export.js';
+import { renderGIF, inkCoverage } from '../animate/gif-export.js';
+import { svgToPNG, svgToPDF, svgToEPS, resolvePngSize } from '../engine/static-export.js';
+import { buildPlotterSVG } from '../engine/plotter-export.js';
+import { optimizeSVG } from '../engine/utils/svg-optimize.js';
+import { buildLottie, isLottieExportSupported } from '../animate/lottie-export.js';
+import { effectFilePrefix } from '../animate/batch-export.js';
+import {
+  buildStandaloneHTML,
+  buildWebComponent,
+  buildReactComponent,
+  buildVueComponent,
+  toComponentName,
+} from '../animate/code-export.js';
 import ParamSlider from './ParamSlider.jsx';
-
-// ── Math utils inlined for standalone HTML export ─────────────────────────
-// These are injected as globals so that effect module functions serialised
-// via .toString() can reference lerp / sampleBilinear / mulberry32 directly.
-const MATH_UTILS_SRC = `
-function lerp(a, b, t) { return a + (b - a) * t; }
-function clamp(val, min, max) { return Math.min(Math.max(val, min), max); }
-function mulberry32(seed) {
-  let s = seed | 0;
-  return function () {
-    s = (s + 0x6d2b79f5) | 0;
-    let t = Math.imul(s ^ (s >>> 15), s | 1);
-    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
-    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-  };
-}
-function sampleBilinear(grid, cols, rows, u, v) {
-  const x = u * (cols - 1);
-  const y = v * (rows - 1);
-  const x0 = Math.floor(x), y0 = Math.floor(y);
-  const x1 = Math.min(x0 + 1, cols - 1);
-  const y1 = Math.min(y0 + 1, rows - 1);
-  const fx = x - x0, fy = y - y0;
-  return (
-    grid[y0][x0] * (1 - fx) * (1 - fy) +
-    grid[y0][x1] * fx       * (1 - fy) +
-    grid[y1][x0] * (1 - fx) * fy +
-    grid[y1][x1] * fx       * fy
-  );
-}
-`.trim();
-
-// ── Build standalone HTML — embeds sampleData + current params ────────────
-function buildStandaloneHTML(title, animModule, sampleData, params, baseW, baseH) {
-  const gridJSON = JSON.stringify(
-    sampleData.grid.map((row) => Array.from(row)),
-  );
-  const getDefaultParamsSrc = animModule.getDefaultParams.toString();
-  const initSrc = animModule.init.toString();
-  const drawFrameSrc = animModule.drawFrame.toString();
-  // Serialise the *current* params so the exported HTML respects slider values
-  const paramsJSON = JSON.stringify(params);
-
-  return `<!DOCTYPE html>
-<html lang="en">
-<head>
-  <meta charset="UTF-8" />
-  <meta name="viewport" content="width=device-width, initial-scale=1.0" />
-  <title>${title} — Logo Motion</title>
-  <style>
-    * { margin: 0; padding: 0; box-sizing: border-box; }
-    html, body { width: 100%; height: 100%; background: transparent; }
-    canvas { display: block; }
-  </style>
-</head>
-<body>
-<canvas id="c"></canvas>
-<script>
-const SAMPLE_DATA = {
-  grid: ${gridJSON},
-  cols: ${sampleData.cols},
-  rows: ${sampleData.rows},
-  svgWidth:  ${sampleData.svgWidth},
-  svgHeight: ${sampleData.svgHeight},
-};
-const LOGO_ASPECT = SAMPLE_DATA.svgWidth / SAMPLE_DATA.svgHeight;
-// Current params from the editor (slider values at time of export)
-const PARAMS = ${paramsJSON};
-const BASE_W = ${baseW};
-const BASE_H = ${baseH};
-
-${MATH_UTILS_SRC}
-
-const getDefaultParams = ${getDefaultParamsSrc};
-const init             = ${initSrc};
-const drawFrame        = ${drawFrameSrc};
-
-const canvas = document.getElementById('c');
-let ctx, animState, rafId;
-
-function setup(w, h) {
-  const dpr = window.devicePixelRatio || 1;
-  canvas.width  = Math.round(w * dpr);
-  canvas.height = Math.round(h * dpr);
-  canvas.style.width  = w + 'px';
-  canvas.style.height = h + 'px';
-  ctx = canvas.getContext('2d');
-  ctx.setTransform(1, 0, 0, 1, 0, 0);
-  
-  // 원본 에디터 패널의 크기(BASE_W, BASE_H) 대비 현재 창 크기 스케일 계산
-  const scale = w / BASE_W;
-  
-  ctx.scale(dpr, dpr);
-  ctx.scale(scale, scale);
-  
-  // Merge editor params over defaults so exported file matches what was seen
-  // init()은 스케일을 적용받으므로 원본 BASE_W, BASE_H 크기로 넘겨줌
-  animState = init(SAMPLE_DATA, { ...getDefaultParams(), ...PARAMS }, BASE_W, BASE_H);
-}
-
-function loop(ts) {
-  rafId = requestAnimationFrame(loop);
-  drawFrame(ctx, animState, ts / 1000);
-}
-
-function resize() {
-  if (rafId) cancelAnimationFrame(rafId);
-  const vw = window.innerWidth;
-  const vh = window.innerHeight;
-  let w = vw, h = vw / LOGO_ASPECT;
-  if (h > vh) { h = vh; w = vh * LOGO_ASPECT; }
-  w = Math.floor(w); h = Math.floor(h);
-  canvas.style.position = 'fixed';
-  canvas.style.left = Math.round((vw - w) / 2) + 'px';
-  canvas.style.top  = Math.round((vh - h) / 2) + 'px';
-  setup(w, h);
-  rafId = requestAnimationFrame(loop);
-}
-
-window.addEventListener('resize', resize);
-resize();
-<\/script>
-</body>
-</html>`;
-}
-
-function downloadBlob(blob, filename) {
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url;
-  a.download = filename;
-  a.click();
-  URL.revokeObjectURL(url);
-}
+import ColorControl from './ColorControl.jsx';
+import GradientControl from './GradientControl.jsx';
+import SelectControl from './SelectControl.jsx';
+import VideoExportDialog from './VideoExportDialog.jsx';
+import FramesExportDialog from './FramesExportDialog.jsx';
+import GifExportDialog from './GifExportDialog.jsx';
+import LottieExportDialog from './LottieExportDialog.jsx';
+import CodeExportDialog, { CODE_FORMATS } from './CodeExportDialog.jsx';
+import StaticExportDialog from './StaticExportDialog.jsx';
+import SvgExportDialog from './SvgExportDialog.jsx';
+import PlotterExportDialog from './PlotterExportDialog.jsx';
+import { formatBytes, downloadBlob } from './ExportDialog.jsx';
 
 /**
  * EffectPairPanel — unified panel for both Generate and Animate modes.
@@ -156,6 +47,8 @@ function downloadBlob(blob, filename) {
  *   outputHeight — SVG coordinate height (generate mode only)
  *   params       — current param values (from App.jsx sharedParams)
  *   onParamChange — (key, value) => void — lifted to App.jsx
+ *   palette      — shared brand colors for `type: 'color'` params
+ *   onPaletteAdd — (hex) => void — adds a color to the shared palette
  */
 export default function EffectPairPanel({
   mode,
@@ -168,20 +61,35 @@ export default function EffectPairPanel({
   params,
   onParamChange,
   logoName = 'logo',
+  palette,
+  onPaletteAdd,
 }) {
   // Schema comes from animModule (the canonical unified schema)
   const schema = useMemo(() => animModule.getParamSchema(), [animModule]);
-  const motionOnlyKeys = new Set(['speed', 'waveFreq', 'waveAmp', 'pulseFrac']);
+  const motionOnlyKeys = new Set(['speed', 'waveFreq', 'waveAmp', 'pulseFrac', 'hold']);
+  const staticOnlyKeys = new Set(['progress']);
+  // Single color vs gradient stops — only the one matching colorMode is shown.
+  // 'source' (logo colors) keeps the single color as the transparent-area fallback.
+  const solidOnlyKeys = new Set(['color']);
+  const gradientOnlyKeys = new Set(['gradient']);
   const [collapsed, setCollapsed] = useState(false);
-  const [gifProgress, setGifProgress] = useState(null); // null | 0-100
   const canvasRef = useRef(null);
 
   const aspect = sampleData ? sampleData.svgWidth / sampleData.svgHeight : 1;
-
-  // logoName에서 확장자를 제거하고 소문자/대시 형태로 변환
-  const baseLogoName = logoName.replace(/\.[^/.]+$/, "").toLowerCase().replace(/[^a-z0-9]+/g, '-');
-  const safeName = title.toLowerCase().replace(/[^a-z0-9]+/g, '-');
-  const exportPrefix = `${baseLogoName}_${safeName}`;
+  // Seconds after which the animation repeats (null = no period) — exports
+  // snap their length to whole periods so they loop seamlessly
+  const loopDuration = animModule.getLoopDuration?.(params, sampleData) ?? null;
+  // Set when this logo cannot drive the effect (e.g. Outline Trace without
+  // vector outlines) — shown in place of the preview, exports are hidden
+  const unavailableReason = sampleData ? animModule.getUnavailableReason?.(sampleData) ?? null : null;
+  // Dark mode inverts the preview so black art reads on the dark panel;
+  // a brand color must be shown as-is, so the invert is skipped for it.
+  const isColored = (params.colorMode ?? 'solid') !== 'solid'
+    || (params.color ?? '#000000').toLowerCase() !== '#000000';
+  const previewBoxClass = `preview-aspect-box${isColored ? ' is-colored' : ''}`;
+
+  // <logo>_<effect> — shared with the batch export so names match
+  const exportPrefix = effectFilePrefix(logoName, title);
 
   // Generate mode: compute SVG string reactively
   const svgString = useMemo(() => {
@@ -189,176 +97,250 @@ export default function EffectPairPanel({
     return genModule.generate(sampleData, params, outputWidth, outputHeight);
   }, [mode, sampleData, params, outputWidth, outputHeight, genModule]);
 
-  // ── Export SVG (generate mode) ────────────────────────────────────────────
-  function exportSVG() {
+  // Animate mode: page weight of the Code export, shown on its button.
+  // Building the page is heavy, so it is measured on hover / focus (with the
+  // export's own base size) and only shown while params and logo still match.
+  const [codeMeasure, setCodeMeasure] = useState(null); // { size, params, sampleData }
+  const codeSize = codeMeasure && codeMeasure.params === params && codeMeasure.sampleData === sampleData
+    ? codeMeasure.size
+    : null;
+
+  function measureCode() {
+    if (!sampleData || codeSize !== null) return;
+    setCodeMeasure({ size: new Blob([buildCode('html')]).size, params, sampleData });
+  }
+
+  // ── Export SVG (generate mode) — through the shared optimizer ─────────────
+  // Layered exports re-run the generator with options.layers; the preview
+  // SVG is used as is otherwise.
+  function generateSVG(layers) {
+    if (!layers) return svgString;
+    return genModule.generate(sampleData, params, outputWidth, outputHeight, { layers });
+  }
+
+  function exportSVG({ layers, ...optimizeOptions }) {
     if (!svgString) return;
-    const blob = new Blob([svgString], { type: 'image/svg+xml' });
+    const blob = new Blob([optimizeSVG(generateSVG(layers), optimizeOptions)], { type: 'image/svg+xml' });
     downloadBlob(blob, `${exportPrefix}.svg`);
+    setExportDialog(null);
   }
 
-  // ── Export standalone HTML (animate mode) ────────────────────────────────
-  function exportCode() {
+  // ── Export animated SVG (generate mode) ──────────────────────────────────
+  // Same generator with options.animated: every element carries SMIL that
+  // replays the animModule's motion, so the file loops on its own on a web page.
+  function exportAnimatedSVG() {
     if (!sampleData) return;
-    // Pass current params so exported HTML  function exportCode() {
-    const canvas = canvasRef.current;
-    if (!canvas) return;
+    const animated = genModule.generate(sampleData, params, outputWidth, outputHeight, { animated: true });
+    const blob = new Blob([animated], { type: 'image/svg+xml' });
+    downloadBlob(blob, `${exportPrefix}_animated.svg`);
+  }
 
-    const dpr = window.devicePixelRatio || 1;
-    const baseW = Math.round(canvas.width / dpr);
-    const baseH = Math.round(canvas.height / dpr);
+  // ── Export PNG / PDF / EPS (generate mode) — all from svgString ──────────
+  async function exportStatic({ format, background, ...settings }) {
+    if (!svgString) return;
+    setRenderError(null);
+    try {
+      if (format === 'png') {
+        const size = resolvePngSize(settings, outputWidth, outputHeight);
+        downloadBlob(await svgToPNG(svgString, { ...size, background }), `${exportPrefix}@${size.width}w.png`);
+      } else if (format === 'pdf') {
+        downloadBlob(svgToPDF(svgString, { ...settings, background, title: exportPrefix }), `${exportPrefix}.pdf`);
+      } else {
+        const eps = svgToEPS(svgString, { ...settings, background, title: exportPrefix });
+        downloadBlob(new Blob([eps], { type: 'application/postscript' }), `${exportPrefix}.eps`);
+      }
+      setExportDialog(null);
+    } catch (err) {
+      console.error(err);
+      setRenderError(err.message);
+    }
+  }
 
-    const html = buildStandaloneHTML(title, animModule, sampleData, params, baseW, baseH);
-    const blob = new Blob([html], { type: 'text/html' });
-    downloadBlob(blob, `${exportPrefix}.html`);
+  // ── Export plotter SVG (generate mode) — pen strokes only, sized in mm ──
+  function exportPlotter(settings) {
+    if (!svgString) return;
+    setRenderError(null);
+    try {
+      const { svg } = buildPlotterSVG(svgString, settings);
+      downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), `${exportPrefix}_plotter.svg`);
+      setExportDialog(null);
+    } catch (err) {
+      console.error(err);
+      setRenderError(err.message);
+    }
   }
 
-  // ── Export GIF — transparent background, ~3 sec loop ─────────────────────
-  // gif.js의 transparent 옵션 동작 방식:
-  //   - canvas에서 alpha=0인 픽셀을 GIF 팅팩스 피랫 엔트리로 매핑
-  //   - transparent 값은 "어떤 RGB 색상을 투명 팩레트 인덱스로 쓸 것인가"
-  //   - 중요: transparent RGB == 효과 그리기 색상(검정)0x000000이면
-  //     gif.js가 팸레트 인덱스를 혼동해서 효과도 투명 처리→ 아무것도 안보임
-  //   → 0x00ff00 (라임그린)을 투명 인덱스로 지정하면 충돌 없음
-  //   → 배경은 clearRect(알파=0)로 지우면 gif.js가 알파=0 픽셀→투명으로 인식
-  function exportGIF() {
-    const canvas = canvasRef.current;
-    if (!canvas || gifProgress !== null) return;
+  // ── Export code (animate mode) — HTML page or React / Vue component ──────
+  // Current params are embedded so the export matches the preview; the
+  // components expose them as props with these values as defaults.
+  const componentName = toComponentName(exportPrefix);
 
-    const GIF_FPS = 20;
-    const GIF_SECS = 3;
-    const TOTAL_FRAMES = GIF_FPS * GIF_SECS;
+  function buildCode(format) {
+    const { baseW, baseH } = getBaseSize();
+    if (format === 'react') return buildReactComponent(componentName, animModule, sampleData, params, baseW, baseH);
+    if (format === 'vue') return buildVueComponent(componentName, animModule, sampleData, params, baseW, baseH);
+    return buildStandaloneHTML(title, animModule, sampleData, params, baseW, baseH);
+  }
 
-    const dpr = window.devicePixelRatio || 1;
-    const baseW = Math.round(canvas.width / dpr);
-    const baseH = Math.round(canvas.height / dpr);
-    // 화면 비율을 그대로 유지하되 고해상도(높이 1080)로 추출
-    const scale = 1080 / baseH;
-    const logicalW = Math.round(baseW * scale);
-    const logicalH = 1080;
-
-    const offscreen = document.createElement('canvas');
-    offscreen.width = logicalW;
-    offscreen.height = logicalH;
-    const offCtx = offscreen.getContext('2d', { willReadFrequently: true });
-    offCtx.scale(scale, scale);
-
-    const mergedParams = { ...animModule.getDefaultParams(), ...params };
-    // 파라미터가 브라우저 보이는 그대로 렌더링되게끔 baseW/baseH를 넘김
-    const animState = animModule.init(sampleData, mergedParams, baseW, baseH);
-
-    const gif = new GIF({
-      workers: 2,
-      quality: 6,
-      width: logicalW,
-      height: logicalH,
-      workerScript: '/gif.worker.js',
-      // transparent 옵션 없이 흡색 배경을 사용
-      // gif.js의 팅작스 투명도 정적 포맷이 팔레트 양자화 문제로 신뢰비 낮음
-    });
-
-    setGifProgress(0);
-
-    for (let i = 0; i < TOTAL_FRAMES; i++) {
-      const t = i / GIF_FPS;
-      // ⚠️ drawFrame 내부에서 ctx.clearRect()를 먼저 호출하므로
-      // fillRect로 미리 깐 배경이 지워짐.
-      // destination-over: 기존 픽셀 아래에 새로운 색상을 합성
-      // → drawFrame 이후에 흰색을 효과 "아래" 에 깔기
-      animModule.drawFrame(offCtx, animState, t);
-      offCtx.globalCompositeOperation = 'destination-over';
-      offCtx.fillStyle = '#ffffff';
-      offCtx.fillRect(0, 0, baseW, baseH);
-      offCtx.globalCompositeOperation = 'source-over'; // 복원
-      gif.addFrame(offCtx, { copy: true, delay: Math.round(1000 / GIF_FPS) });
+  function codeFileName(format) {
+    const { ext } = CODE_FORMATS.find((f) => f.value === format);
+    return format === 'html' ? `${exportPrefix}.${ext}` : `${componentName}.${ext}`;
+  }
+
+  function exportCode({ format }) {
+    if (!sampleData) return;
+    setRenderError(null);
+    try {
+      const { type } = CODE_FORMATS.find((f) => f.value === format);
+      downloadBlob(new Blob([buildCode(format)], { type }), codeFileName(format));
+      setExportDialog(null);
+    } catch (err) {
+      console.error(err);
+      setRenderError(err.message);
     }
+  }
 
-    gif.on('progress', (p) => setGifProgress(Math.round(p * 100)));
+  // ── Export embeddable component — <reffect-logo> + mount() ES module ─────
+  function exportComponent() {
+    if (!sampleData) return;
+    const { baseW, baseH } = getBaseSize();
+    const js = buildWebComponent(title, animModule, sampleData, params, baseW, baseH);
+    const blob = new Blob([js], { type: 'text/javascript' });
+    downloadBlob(blob, `${exportPrefix}.js`);
+  }
 
-    gif.on('finished', (blob) => {
-      downloadBlob(blob, `${exportPrefix}.gif`);
-      setGifProgress(null);
-    });
+  // ── Render exports — offline, frame-exact (see animate/video-export.js) ──
+  // Video: MP4 / WebM get a green screen; WebM-alpha and PNG sequences stay
+  // transparent. Frames: PNG sequence or sprite sheet + JSON atlas.
+  // GIF: size presets, palette / dithering, colour or key-colour background.
+  // Lottie: shape layers keyframed from the effect's getLottieShapes().
+  const [exportDialog, setExportDialog] = useState(null); // null | 'svg' | 'static' | 'plotter' | 'code' | 'gif' | 'video' | 'frames' | 'lottie'
+  const [renderProgress, setRenderProgress] = useState(null); // null | 0-1
+  const [renderError, setRenderError] = useState(null);
+  const renderAbortRef = useRef(null);
+
+  // Preview size the effect runs at — exports scale it up, never re-layout
+  function getBaseSize() {
+    const canvas = canvasRef.current;
+    const dpr = window.devicePixelRatio || 1;
+    return canvas
+      ? { baseW: Math.round(canvas.width / dpr), baseH: Math.round(canvas.height / dpr) }
+      : { baseW: outputWidth, baseH: outputHeight };
+  }
 
-    gif.render();
+  // Runs one render with progress / cancel / error wired to the open dialog
+  async function runRender(render, filename) {
+    if (!canvasRef.current || renderProgress !== null) return;
+    const controller = new AbortController();
+    renderAbortRef.current = controller;
+    setRenderError(null);
+    setRenderProgress(0);
+
+    try {
+      const blob = await render({
+        animModule,
+        sampleData,
+        params,
+        ...getBaseSize(),
+        loopDuration,
+        onProgress: setRenderProgress,
+        signal: controller.signal,
+      });
+      downloadBlob(blob, filename);
+      setExportDialog(null);
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        console.error(err);
+        setRenderError(err.message);
+      }
+    } finally {
+      renderAbortRef.current = null;
+      setRenderProgress(null);
+    }
   }
 
-  // ── Export Video — green screen background, 10 sec recording ───────────────
-  const [videoProgress, setVideoProgress] = useState(null); // null | 0-10
+  function exportVideo(settings) {
+    const filename = {
+      mp4: `${exportPrefix}.mp4`,
+      webm: `${exportPrefix}.webm`,
+      'webm-alpha': `${exportPrefix}_alpha.webm`,
+      png: `${exportPrefix}_frames.zip`,
+    }[settings.format];
+    // green screen — skipped by transparent formats
+    runRender((opts) => renderVideo({ ...opts, ...settings, background: '#00ff00' }), filename);
+  }
 
-  function exportVideo() {
-    const canvas = canvasRef.current;
-    if (!canvas || videoProgress !== null) return;
+  function exportGIF(settings) {
+    runRender((opts) => renderGIF({ ...opts, ...settings }), `${exportPrefix}.gif`);
+  }
 
-    const VIDEO_SECS = 10;
-    const FPS = 60;
+  function exportFrames(settings) {
+    if (settings.type === 'sprite') {
+      const name = `${exportPrefix}_sprites`;
+      runRender((opts) => renderSpriteSheet({ ...opts, ...settings, name }), `${name}.zip`);
+    } else {
+      runRender((opts) => renderPNGSequence({ ...opts, ...settings }), `${exportPrefix}_frames.zip`);
+    }
+  }
 
-    const dpr = window.devicePixelRatio || 1;
-    const baseW = Math.round(canvas.width / dpr);
-    const baseH = Math.round(canvas.height / dpr);
-    // 화면 비율을 그대로 유지하되 고해상도(높이 1080)로 추출
-    const scale = 1080 / baseH;
-    const logicalW = Math.round(baseW * scale);
-    const logicalH = 1080;
-
-    const offscreen = document.createElement('canvas');
-    offscreen.width = logicalW;
-    offscreen.height = logicalH;
-    const offCtx = offscreen.getContext('2d');
-    offCtx.scale(scale, scale);
-
-    const mergedParams = { ...animModule.getDefaultParams(), ...params };
-    const animState = animModule.init(sampleData, mergedParams, baseW, baseH);
-
-    const stream = offscreen.captureStream(FPS);
-    const mimeType = MediaRecorder.isTypeSupported('video/mp4')
-      ? 'video/mp4'
-      : (MediaRecorder.isTypeSupported('video/webm;codecs=vp9') ? 'video/webm;codecs=vp9' : 'video/webm');
-
-    const recorder = new MediaRecorder(stream, { mimeType, videoBitsPerSecond: 8_000_000 });
-    const chunks = [];
-
-    recorder.ondataavailable = (e) => { if (e.data.size > 0) chunks.push(e.data); };
-    recorder.onstop = () => {
-      const blob = new Blob(chunks, { type: mimeType });
-      const ext = mimeType.includes('mp4') ? 'mp4' : 'webm';
-      downloadBlob(blob, `${exportPrefix}.${ext}`);
-      setVideoProgress(null);
-    };
-
-    setVideoProgress(0);
-    recorder.start();
-
-    let startMs = performance.now();
-    let rafId;
-
-    function renderLoop(now) {
-      const elapsed = (now - startMs) / 1000;
-      if (elapsed >= VIDEO_SECS) {
-        recorder.stop();
-        return;
-      }
+  // Synchronous — shapes are sampled, not rendered, so there is no progress
+  function exportLottie(settings) {
+    setRenderError(null);
+    try {
+      const lottie = buildLottie({ animModule, sampleData, params, ...getBaseSize(), ...settings, name: exportPrefix });
+      downloadBlob(new Blob([JSON.stringify(lottie)], { type: 'application/json' }), `${exportPrefix}.json`);
+      setExportDialog(null);
+    } catch (err) {
+      console.error(err);
+      setRenderError(err.message);
+    }
+  }
 
-      setVideoProgress(Math.floor(elapsed));
+  function closeExportDialog() {
+    setExportDialog(null);
+    setRenderError(null);
+  }
 
-      offCtx.clearRect(0, 0, baseW, baseH);
-      animModule.drawFrame(offCtx, animState, elapsed);
+  // Hidden (not removed) so the control grid keeps its layout across modes
+  function isControlHidden(s) {
+    if (mode === 'generate') return motionOnlyKeys.has(s.key);
+    return staticOnlyKeys.has(s.key);
+  }
 
-      // 그린스크린 배경 합성
-      offCtx.globalCompositeOperation = 'destination-over';
-      offCtx.fillStyle = '#00ff00';
-      offCtx.fillRect(0, 0, baseW, baseH);
-      offCtx.globalCompositeOperation = 'source-over';
+  function isControlShown(s) {
+    const colorMode = params.colorMode ?? 'solid';
+    const gradientOn = colorMode !== 'solid' && colorMode !== 'source';
+    if (solidOnlyKeys.has(s.key)) return !gradientOn;
+    if (gradientOnlyKeys.has(s.key)) return gradientOn;
+    return true;
+  }
 
-      rafId = requestAnimationFrame(renderLoop);
+  function renderControl(s) {
+    const value = params[s.key] ?? s.default;
+    switch (s.type) {
+      case 'color':
+        return (
+          <ColorControl
+            schema={s}
+            value={value}
+            onChange={onParamChange}
+            palette={palette}
+            onPaletteAdd={onPaletteAdd}
+          />
+        );
+      case 'gradient':
+        return <GradientControl schema={s} value={value} onChange={onParamChange} palette={palette} />;
+      case 'select':
+        return <SelectControl schema={s} value={value} onChange={onParamChange} />;
+      default:
+        return <ParamSlider schema={s} value={value} onChange={onParamChange} />;
     }
-
-    rafId = requestAnimationFrame(renderLoop);
   }
 
-  const isExportingGIF = gifProgress !== null;
-  const isExportingVideo = videoProgress !== null;
-  const gifLabel = isExportingGIF ? `● ${gifProgress}%` : 'GIF';
-  const videoLabel = isExportingVideo ? `● ${videoProgress}s` : 'Video';
+  const isRendering = renderProgress !== null;
+  const renderLabel = (kind, label) => (
+    isRendering && exportDialog === kind ? `● ${Math.round(renderProgress * 100)}%` : label
+  );
 
   return (
     <div className="effect-panel">
@@ -367,40 +349,183 @@ export default function EffectPairPanel({
         <span>{title}</span>
 
         <div className="export-buttons">
-          {mode === 'generate' ? (
-            <button className="export-btn export-btn-svg" onClick={exportSVG}>
-              SVG
-            </button>
+          {unavailableReason ? null : mode === 'generate' ? (
+            <>
+              <button
+                className="export-btn export-btn-svg"
+                onClick={() => setExportDialog('svg')}
+                title="Optimized SVG — merged paths, grouped attributes, chosen precision, optional named layers"
+              >
+                SVG
+              </button>
+              <button
+                className="export-btn export-btn-svg-anim"
+                onClick={exportAnimatedSVG}
+                title="SVG with SMIL animation — loops on its own, no script"
+              >
+                Animated SVG
+              </button>
+              <button
+                className="export-btn export-btn-image"
+                onClick={() => setExportDialog('static')}
+                title="PNG at 2× / 4× or print DPI, vector PDF and EPS"
+              >
+                PNG / PDF / EPS
+              </button>
+              <button
+                className="export-btn export-btn-plotter"
+                onClick={() => setExportDialog('plotter')}
+                title="Single-stroke SVG in mm for pen plotters — hatched fills, one layer per pen"
+              >
+                Plotter
+              </button>
+            </>
           ) : (
             <>
-              <button className="export-btn export-btn-code" onClick={exportCode}>
+              <button
+                className="export-btn export-btn-code"
+                onClick={() => setExportDialog('code')}
+                onMouseEnter={measureCode}
+                onFocus={measureCode}
+                title="Standalone HTML page or React / Vue component — grid embedded as 8-bit base64"
+              >
                 Code
+                {codeSize !== null && <span className="export-btn-size">{formatBytes(codeSize)}</span>}
+              </button>
+              <button
+                className="export-btn export-btn-component"
+                onClick={exportComponent}
+                title="ES module with a <reffect-logo> element and mount() API"
+              >
+                Component
               </button>
               <button
                 className="export-btn export-btn-gif"
-                onClick={exportGIF}
-                disabled={isExportingGIF || isExportingVideo}
+                onClick={() => setExportDialog('gif')}
+                disabled={isRendering}
               >
-                {gifLabel}
+                {renderLabel('gif', 'GIF')}
               </button>
               <button
                 className="export-btn export-btn-video"
-                onClick={exportVideo}
-                disabled={isExportingGIF || isExportingVideo}
+                onClick={() => setExportDialog('video')}
+                disabled={isRendering}
               >
-                {videoLabel}
+                {renderLabel('video', 'Video')}
               </button>
+              <button
+                className="export-btn export-btn-frames"
+                onClick={() => setExportDialog('frames')}
+                disabled={isRendering}
+              >
+                {renderLabel('frames', 'Frames')}
+              </button>
+              {isLottieExportSupported(animModule) && (
+                <button
+                  className="export-btn export-btn-lottie"
+                  onClick={() => setExportDialog('lottie')}
+                  disabled={isRendering}
+                >
+                  Lottie
+                </button>
+              )}
             </>
           )}
         </div>
       </div>
 
+      {exportDialog === 'gif' && (
+        <GifExportDialog
+          {...getBaseSize()}
+          loopDuration={loopDuration}
+          coverage={inkCoverage(sampleData)}
+          progress={renderProgress}
+          error={renderError}
+          onExport={exportGIF}
+          onCancel={() => renderAbortRef.current?.abort()}
+          onClose={closeExportDialog}
+        />
+      )}
+      {exportDialog === 'video' && (
+        <VideoExportDialog
+          {...getBaseSize()}
+          loopDuration={loopDuration}
+          progress={renderProgress}
+          error={renderError}
+          onExport={exportVideo}
+          onCancel={() => renderAbortRef.current?.abort()}
+          onClose={closeExportDialog}
+        />
+      )}
+      {exportDialog === 'frames' && (
+        <FramesExportDialog
+          {...getBaseSize()}
+          loopDuration={loopDuration}
+          progress={renderProgress}
+          error={renderError}
+          onExport={exportFrames}
+          onCancel={() => renderAbortRef.current?.abort()}
+          onClose={closeExportDialog}
+        />
+      )}
+
+      {exportDialog === 'svg' && svgString && (
+        <SvgExportDialog
+          generateSVG={generateSVG}
+          progress={null}
+          error={null}
+          onExport={exportSVG}
+          onClose={closeExportDialog}
+        />
+      )}
+      {exportDialog === 'static' && (
+        <StaticExportDialog
+          svgWidth={outputWidth}
+          svgHeight={outputHeight}
+          progress={null}
+          error={renderError}
+          onExport={exportStatic}
+          onClose={closeExportDialog}
+        />
+      )}
+      {exportDialog === 'plotter' && svgString && (
+        <PlotterExportDialog
+          svgString={svgString}
+          progress={null}
+          error={renderError}
+          onExport={exportPlotter}
+          onClose={closeExportDialog}
+        />
+      )}
+      {exportDialog === 'code' && (
+        <CodeExportDialog
+          build={buildCode}
+          fileName={codeFileName}
+          progress={null}
+          error={renderError}
+          onExport={exportCode}
+          onClose={closeExportDialog}
+        />
+      )}
+      {exportDialog === 'lottie' && (
+        <LottieExportDialog
+          {...getBaseSize()}
+          loopDuration={loopDuration}
+          progress={null}
+          error={renderError}
+          onExport={exportLottie}
+          onClose={closeExportDialog}
+        />
+      )}
+
       {/* ── Preview area: SVG (generate) or Canvas (animate) ── */}
       <div className="panel-preview">
-        {mode === 'generate' ? (
+        {unavailableReason ? (
+          <p className="preview-unavailable">{unavailableReason}</p>
+        ) : mode === 'generate' ? (
           svgString && (
             <div
-              className="preview-aspect-box"
+              className={previewBoxClass}
               style={{ '--logo-aspect': aspect }}
             >
               <div className="preview-svg-wrap" dangerouslySetInnerHTML={{ __html: svgString }} />
@@ -409,7 +534,7 @@ export default function EffectPairPanel({
         ) : (
           sampleData && (
             <div
-              className="preview-aspect-box"
+              className={previewBoxClass}
               style={{ '--logo-aspect': aspect }}
             >
               <AnimatedCanvas
@@ -431,13 +556,9 @@ export default function EffectPairPanel({
         {!collapsed && (
           <div className="panel-controls-main">
             <div className="panel-controls-list">
-              {schema.map((s) => (
-                <div key={s.key} style={mode === 'generate' && motionOnlyKeys.has(s.key) ? { visibility: 'hidden' } : undefined}>
-                  <ParamSlider
-                    schema={s}
-                    value={params[s.key] ?? s.default}
-                    onChange={onParamChange}
-                  />
+              {schema.filter(isControlShown).map((s) => (
+                <div key={s.key} style={isControlHidden(s) ? { visibility: 'hidden' } : undefined}>
+                  {renderControl(s)}
                 </div>
               ))}
             </div>
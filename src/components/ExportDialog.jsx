@@ -0,0 +1,125 @@
+import { useState } from 'react';
+import { createPortal } from 'react-dom';
+import ParamSlider from './ParamSlider.jsx';
+import SelectControl from './SelectControl.jsx';
+import ColorControl from './ColorControl.jsx';
+
+// "4.71s (3 loops)" when the length was snapped to the effect's period
+export function formatLength(length, loopDuration) {
+  const secs = `${+length.toFixed(2)}s`;
+  if (!loopDuration) return secs;
+  const loops = Math.round(length / loopDuration);
+  return `${secs} (${loops} loop${loops === 1 ? '' : 's'})`;
+}
+
+// "24 KB" / "1.3 MB"
+export function formatBytes(bytes) {
+  if (bytes < 1024 * 1024) return `${Math.max(1, Math.round(bytes / 1024))} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+}
+
+// Save a Blob through a temporary link
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * ExportDialog — settings + progress shell shared by the render-based
+ * exports (video, frames, …). Each export passes its own schema; the dialog
+ * keeps the settings while it is open.
+ *
+ * Rendered into document.body so the fixed overlay is not trapped by the
+ * panel's own stacking context.
+ *
+ * Props:
+ *   title    — dialog heading
+ *   schema   — [{ key, label, type?, … }] — 'select', 'color' or slider entries
+ *   isHidden — (schemaEntry, settings) => boolean — hides controls that do not
+ *              apply to the current settings (they keep their value)
+ *   summary  — (settings) => string — one-line readout under the controls
+ *   note     — (settings) => string | null — e.g. an unsupported-format warning;
+ *              a note disables Export
+ *   progress — null while idle, 0..1 while rendering
+ *   error    — message of the last failed render, or null
+ *   onExport — (settings) => void
+ *   onCancel — aborts a running render
+ *   onClose  — closes the dialog (ignored while rendering)
+ */
+export default function ExportDialog({
+  title,
+  schema,
+  isHidden,
+  summary,
+  note,
+  progress,
+  error,
+  onExport,
+  onCancel,
+  onClose,
+}) {
+  const [settings, setSettings] = useState(() => Object.fromEntries(schema.map((s) => [s.key, s.default])));
+  const rendering = progress !== null;
+  const noteText = note?.(settings) ?? null;
+
+  function handleChange(key, value) {
+    const s = schema.find((entry) => entry.key === key);
+    // <select> hands back strings — keep numeric settings numeric
+    setSettings((prev) => ({ ...prev, [key]: typeof s.default === 'number' ? Number(value) : value }));
+  }
+
+  return createPortal(
+    <div className="info-overlay" onClick={rendering ? undefined : onClose}>
+      <div className="export-dialog" onClick={(e) => e.stopPropagation()}>
+        <h2 className="export-dialog-title">{title}</h2>
+
+        <div className="export-dialog-controls">
+          {schema.filter((s) => !isHidden?.(s, settings)).map((s) => {
+            switch (s.type) {
+              case 'select':
+                return <SelectControl key={s.key} schema={s} value={settings[s.key]} onChange={handleChange} />;
+              case 'color':
+                return <ColorControl key={s.key} schema={s} value={settings[s.key]} onChange={handleChange} />;
+              default:
+                return <ParamSlider key={s.key} schema={s} value={settings[s.key]} onChange={handleChange} />;
+            }
+          })}
+        </div>
+
+        {summary && <p className="export-dialog-summary">{summary(settings)}</p>}
+
+        {noteText && <p className="export-dialog-note">{noteText}</p>}
+
+        {error && <p className="export-dialog-note">Export failed: {error}</p>}
+
+        {rendering && (
+          <div className="export-progress">
+            <div className="export-progress-bar" style={{ width: `${Math.round(progress * 100)}%` }} />
+          </div>
+        )}
+
+        <div className="export-dialog-actions">
+          {rendering ? (
+            <button className="export-btn" onClick={onCancel}>
+              Cancel · {Math.round(progress * 100)}%
+            </button>
+          ) : (
+            <>
+              <button className="export-btn" onClick={onClose}>
+                Close
+              </button>
+              <button className="export-btn" onClick={() => onExport(settings)} disabled={!!noteText}>
+                Export
+              </button>
+            </>
+          )}
+        </div>
+      </div>
+    </div>,
+    document.body,
+  );
+}
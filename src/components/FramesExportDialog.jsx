@@ -0,0 +1,56 @@
+import { getExportSize, snapDuration } from '../animate/video-export.js';
+import ExportDialog, { formatLength } from './ExportDialog.jsx';
+
+const FRAMES_SCHEMA = [
+  {
+    key: 'type',
+    label: 'Type',
+    type: 'select',
+    options: [
+      { value: 'sequence', label: 'PNG sequence (ZIP)' },
+      { value: 'sprite', label: 'Sprite sheet + JSON' },
+    ],
+    default: 'sprite',
+  },
+  {
+    key: 'height',
+    label: 'Frame Size',
+    type: 'select',
+    options: [128, 256, 512, 720, 1080].map((v) => ({ value: v, label: `${v}px` })),
+    default: 256,
+  },
+  {
+    key: 'fps',
+    label: 'FPS',
+    type: 'select',
+    options: [10, 12, 15, 24, 30, 60].map((v) => ({ value: v, label: String(v) })),
+    default: 15,
+  },
+  { key: 'duration', label: 'Duration', min: 0.5, max: 10, step: 0.5, default: 3 },
+  { key: 'columns', label: 'Columns', min: 0, max: 32, step: 1, default: 0 }, // 0 = auto
+];
+
+/**
+ * FramesExportDialog — transparent PNG frames for game / web teams, either
+ * as a numbered sequence or packed into one sprite sheet with an atlas.
+ *
+ * Props:
+ *   baseW, baseH — preview size, for the frame size readout
+ *   loopDuration — effect loop period (s) or null; shown as the snapped length
+ *   …plus ExportDialog's progress / error / onExport / onCancel / onClose;
+ *   onExport receives { type, height, fps, duration, columns }
+ */
+export default function FramesExportDialog({ baseW, baseH, loopDuration, ...rest }) {
+  function summary({ type, height, fps, duration, columns }) {
+    const { width: w, height: h } = getExportSize(baseW, baseH, height);
+    const length = snapDuration(duration, loopDuration);
+    const frames = Math.max(1, Math.round(length * fps));
+    const head = `${formatLength(length, loopDuration)} · ${frames} frames`;
+    if (type === 'sequence') return `${head} · ${w} × ${h} each`;
+    const cols = columns > 0 ? Math.min(columns, frames) : Math.ceil(Math.sqrt(frames));
+    const rows = Math.ceil(frames / cols);
+    return `${head} · ${cols} × ${rows} grid · sheet ${cols * w} × ${rows * h}`;
+  }
+
+  return <ExportDialog title="Export Frames" schema={FRAMES_SCHEMA} summary={summary} {...rest} />;
+}
@@ -0,0 +1,90 @@
+import { snapDuration } from '../animate/video-export.js';
+import {
+  GIF_PRESETS,
+  GIF_DITHERS,
+  GIF_COLORS,
+  resolveGifSize,
+  estimateGifSize,
+} from '../animate/gif-export.js';
+import ExportDialog, { formatLength, formatBytes } from './ExportDialog.jsx';
+
+const GIF_SCHEMA = [
+  { key: 'preset', label: 'Preset', type: 'select', options: GIF_PRESETS, default: 'logo' },
+  { key: 'width', label: 'Width', min: 64, max: 1920, step: 8, default: 600 },
+  { key: 'height', label: 'Height', min: 32, max: 1920, step: 8, default: 200 },
+  {
+    key: 'fps',
+    label: 'FPS',
+    type: 'select',
+    options: [10, 12, 15, 20, 25, 30].map((v) => ({ value: v, label: String(v) })),
+    default: 20,
+  },
+  { key: 'duration', label: 'Duration', min: 1, max: 10, step: 0.5, default: 3 },
+  {
+    key: 'backgroundMode',
+    label: 'Background',
+    type: 'select',
+    options: [
+      { value: 'color', label: 'Color' },
+      { value: 'transparent', label: 'Transparent' },
+    ],
+    default: 'color',
+  },
+  { key: 'background', label: 'Background Color', type: 'color', default: '#ffffff' },
+  {
+    key: 'colors',
+    label: 'Colors',
+    type: 'select',
+    options: GIF_COLORS.map((v) => ({ value: v, label: String(v) })),
+    default: 256,
+  },
+  { key: 'dither', label: 'Dithering', type: 'select', options: GIF_DITHERS, default: 'none' },
+];
+
+function isHidden(s, settings) {
+  if (s.key === 'width' || s.key === 'height') return settings.preset !== 'custom';
+  if (s.key === 'background') return settings.backgroundMode === 'transparent';
+  return false;
+}
+
+/**
+ * GifExportDialog — GIF settings with size presets, palette size, dithering
+ * and a rough file size estimate (GIF size is hard to predict — it is only
+ * a guide for staying under email / ad network limits).
+ *
+ * Props:
+ *   baseW, baseH — preview size, for the 'Logo size' preset and coverage
+ *   loopDuration — effect loop period (s) or null; shown as the snapped length
+ *   coverage     — share of the logo carrying ink (inkCoverage()), for the estimate
+ *   …plus ExportDialog's progress / error / onExport / onCancel / onClose;
+ *   onExport receives { preset, width, height, fps, duration, background, colors, dither }
+ *   with background null for a transparent GIF
+ */
+export default function GifExportDialog({ baseW, baseH, loopDuration, coverage, onExport, ...rest }) {
+  function summary(settings) {
+    const { width, height, fit } = resolveGifSize(settings, baseW, baseH);
+    const length = snapDuration(settings.duration, loopDuration);
+    const frames = Math.max(1, Math.round(length * settings.fps));
+    // fitted presets leave the logo a smaller share of the frame
+    const fill = fit === 'contain'
+      ? Math.min(width / baseW, height / baseH) ** 2 * (baseW * baseH) / (width * height)
+      : 1;
+    const bytes = estimateGifSize({ width, height, frames, colors: settings.colors, dither: settings.dither, coverage: coverage * fill });
+    return `${width} × ${height} · ${formatLength(length, loopDuration)} · ${frames} frames · ≈ ${formatBytes(bytes)}`;
+  }
+
+  function handleExport({ backgroundMode, background, ...settings }) {
+    onExport({ ...settings, background: backgroundMode === 'transparent' ? null : background });
+  }
+
+  return (
+    <ExportDialog
+      title="Export GIF"
+      schema={GIF_SCHEMA}
+      isHidden={isHidden}
+      summary={summary}
+      onExport={handleExport}
+      {...rest}
+    />
+  );
+}
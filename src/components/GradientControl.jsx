@@ -0,0 +1,97 @@
+import { useState } from 'react';
+
+const MIN_STOPS = 2;
+const MAX_STOPS = 5;
+
+/**
+ * GradientControl — schema `type: 'gradient'` control.
+ *
+ * Edits an array of evenly spaced color stops. The selected stop can be
+ * picked with the native color input or set from the shared palette.
+ *
+ * Props:
+ *   schema   — { key, label, type: 'gradient', default }
+ *   value    — array of hex colors
+ *   onChange — (key, value) => void
+ *   palette  — array of hex colors shared across panels (from App.jsx)
+ */
+export default function GradientControl({ schema, value, onChange, palette = [] }) {
+  const stops = value ?? schema.default;
+  const [active, setActive] = useState(0);
+  const activeIdx = Math.min(active, stops.length - 1);
+
+  function setStop(i, hex) {
+    const next = [...stops];
+    next[i] = hex;
+    onChange(schema.key, next);
+  }
+
+  function addStop() {
+    if (stops.length >= MAX_STOPS) return;
+    onChange(schema.key, [...stops, stops[stops.length - 1]]);
+    setActive(stops.length);
+  }
+
+  function removeStop() {
+    if (stops.length <= MIN_STOPS) return;
+    onChange(schema.key, stops.filter((_, i) => i !== activeIdx));
+  }
+
+  return (
+    <div className="control-item control-item-color">
+      <label>{schema.label}</label>
+      <div className="color-wrap">
+        <div
+          className="gradient-bar"
+          style={{ background: `linear-gradient(90deg, ${stops.join(', ')})` }}
+        >
+          {stops.map((c, i) => (
+            <input
+              key={i}
+              type="color"
+              className={`color-input gradient-stop${i === activeIdx ? ' active' : ''}`}
+              value={c}
+              onFocus={() => setActive(i)}
+              onClick={() => setActive(i)}
+              onChange={(e) => setStop(i, e.target.value)}
+              title={c}
+            />
+          ))}
+        </div>
+        <div className="color-palette">
+          {palette.map((c) => (
+            <button
+              key={c}
+              type="button"
+              className="color-swatch"
+              style={{ background: c }}
+              onClick={() => setStop(activeIdx, c)}
+              aria-label={c}
+              title={c}
+            />
+          ))}
+          <button
+            type="button"
+            className="color-swatch color-swatch-add"
+            onClick={addStop}
+            disabled={stops.length >= MAX_STOPS}
+            aria-label="Add stop"
+            title="Add stop"
+          >
+            +
+          </button>
+          <button
+            type="button"
+            className="color-swatch color-swatch-add"
+            onClick={removeStop}
+            disabled={stops.length <= MIN_STOPS}
+            aria-label="Remove stop"
+            title="Remove stop"
+          >
+            −
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,44 @@
+import { getExportSize } from '../animate/video-export.js';
+import { LOTTIE_DEFAULT_LOOP } from '../animate/lottie-export.js';
+import ExportDialog, { formatLength } from './ExportDialog.jsx';
+
+const LOTTIE_SCHEMA = [
+  {
+    key: 'height',
+    label: 'Size',
+    type: 'select',
+    options: [360, 540, 720, 1080].map((v) => ({ value: v, label: `${v}px` })),
+    default: 540,
+  },
+  {
+    key: 'fps',
+    label: 'FPS',
+    type: 'select',
+    options: [24, 25, 30, 60].map((v) => ({ value: v, label: String(v) })),
+    default: 30,
+  },
+  { key: 'keyframes', label: 'Keyframes', min: 4, max: 48, step: 1, default: 16 },
+];
+
+/**
+ * LottieExportDialog — Bodymovin JSON settings. The export is one loop
+ * long (the player repeats it); Keyframes sets how finely each shape's
+ * motion is sampled per loop, trading smoothness for file size.
+ *
+ * Props:
+ *   baseW, baseH — preview size, for the composition size readout
+ *   loopDuration — effect loop period (s) or null (exported as LOTTIE_DEFAULT_LOOP)
+ *   …plus ExportDialog's progress / error / onExport / onClose (no cancel —
+ *   building the JSON is synchronous);
+ *   onExport receives { height, fps, keyframes }
+ */
+export default function LottieExportDialog({ baseW, baseH, loopDuration, ...rest }) {
+  function summary({ height, fps, keyframes }) {
+    const { width: w, height: h } = getExportSize(baseW, baseH, height);
+    const length = loopDuration ?? LOTTIE_DEFAULT_LOOP;
+    const frames = Math.max(1, Math.round(length * fps));
+    return `${w} × ${h} · ${formatLength(length, loopDuration)} · ${frames} frames · ${keyframes} keys / shape`;
+  }
+
+  return <ExportDialog title="Export Lottie" schema={LOTTIE_SCHEMA} summary={summary} {...rest} />;
+}
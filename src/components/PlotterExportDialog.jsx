@@ -0,0 +1,63 @@
+import { useMemo } from 'react';
+import {
+  PLOTTER_FILLS,
+  PLOTTER_LAYERS,
+  PEN_WIDTHS,
+  buildPlotterSVG,
+} from '../engine/plotter-export.js';
+import ExportDialog from './ExportDialog.jsx';
+
+const PLOTTER_SCHEMA = [
+  { key: 'widthMm', label: 'Width (mm)', min: 10, max: 1000, step: 5, default: 200 },
+  {
+    key: 'penMm',
+    label: 'Pen (mm)',
+    type: 'select',
+    options: PEN_WIDTHS.map((v) => ({ value: v, label: String(v) })),
+    default: 0.3,
+  },
+  { key: 'fill', label: 'Fills', type: 'select', options: PLOTTER_FILLS, default: 'hatch' },
+  { key: 'hatchAngle', label: 'Hatch Angle', min: 0, max: 180, step: 15, default: 45 },
+  { key: 'fillSpacing', label: 'Line Spacing (× pen)', min: 1, max: 5, step: 0.5, default: 1.5 },
+  { key: 'layers', label: 'Layers', type: 'select', options: PLOTTER_LAYERS, default: 'color' },
+];
+
+function isHidden(s, settings) {
+  if (s.key === 'hatchAngle') return settings.fill !== 'hatch';
+  if (s.key === 'fillSpacing') return settings.fill === 'outline';
+  return false;
+}
+
+const formatMeters = (mm) => `${+(mm / 1000).toFixed(1)} m`;
+
+/**
+ * PlotterExportDialog — single-stroke SVG for pen plotters. The summary
+ * runs the conversion for the current settings (cached per settings), so
+ * stroke count and pen travel are known before downloading.
+ *
+ * Props:
+ *   svgString — generated SVG to convert
+ *   …plus ExportDialog's error / onExport / onClose;
+ *   onExport receives the plotter settings (see buildPlotterSVG)
+ */
+export default function PlotterExportDialog({ svgString, ...rest }) {
+  const cache = useMemo(() => new Map(), [svgString]);
+
+  function summary(settings) {
+    const key = JSON.stringify(settings);
+    if (!cache.has(key)) cache.set(key, buildPlotterSVG(svgString, settings).stats);
+    const { widthMm, heightMm, layers, strokes, drawMm, travelMm } = cache.get(key);
+    return `${widthMm} × ${+heightMm.toFixed(1)} mm · ${layers} layer${layers === 1 ? '' : 's'} · ` +
+      `${strokes} strokes · draw ${formatMeters(drawMm)} · travel ${formatMeters(travelMm)}`;
+  }
+
+  return (
+    <ExportDialog
+      title="Export for Plotter"
+      schema={PLOTTER_SCHEMA}
+      isHidden={isHidden}
+      summary={summary}
+      {...rest}
+    />
+  );
+}
@@ -0,0 +1,71 @@
+import { useState, useRef, useEffect } from 'react';
+import { SAMPLING_MODES } from '../engine/svg-sampler.js';
+import ParamSlider from './ParamSlider.jsx';
+import SelectControl from './SelectControl.jsx';
+
+const DISTANCE_FIELD_OPTIONS = [
+  { value: 'on', label: 'On' },
+  { value: 'off', label: 'Off' },
+];
+
+const SAMPLING_SCHEMA = [
+  { key: 'mode', label: 'Mode', type: 'select', options: SAMPLING_MODES, default: 'auto' },
+  { key: 'resolution', label: 'Resolution', min: 100, max: 800, step: 50, default: 300 },
+  { key: 'threshold', label: 'Threshold', min: 0.05, max: 0.9, step: 0.01, default: 0.3 },
+  { key: 'distanceField', label: 'Distance Field', type: 'select', options: DISTANCE_FIELD_OPTIONS, default: 'on' },
+];
+
+export const DEFAULT_SAMPLING = Object.fromEntries(SAMPLING_SCHEMA.map((s) => [s.key, s.default]));
+
+/**
+ * SamplingSettings — session-wide sampler options shown as a popover next
+ * to SvgUploader.
+ *
+ *   mode       — how the logo is read (see SAMPLING_MODES)
+ *   resolution — sampler grid columns (rows follow the logo aspect)
+ *   threshold  — darkness below which effects treat a cell as background
+ *   distanceField — 'on' | 'off' — compute sampleData.distance (edge-aware
+ *                   effects); off skips the work at high resolutions
+ *
+ * Props:
+ *   settings — { mode, resolution, threshold, distanceField }
+ *   onChange — (key, value) => void
+ */
+export default function SamplingSettings({ settings, onChange }) {
+  const [open, setOpen] = useState(false);
+  const wrapRef = useRef(null);
+
+  // Close when clicking anywhere outside the popover
+  useEffect(() => {
+    if (!open) return;
+    const onDown = (e) => {
+      if (wrapRef.current && !wrapRef.current.contains(e.target)) setOpen(false);
+    };
+    window.addEventListener('pointerdown', onDown);
+    return () => window.removeEventListener('pointerdown', onDown);
+  }, [open]);
+
+  return (
+    <div className="sampling-settings" ref={wrapRef}>
+      <button
+        type="button"
+        className={`sampling-btn${open ? ' active' : ''}`}
+        onClick={() => setOpen((o) => !o)}
+        title="Sampling settings"
+      >
+        Sampling
+      </button>
+      {open && (
+        <div className="sampling-popover">
+          {SAMPLING_SCHEMA.map((s) =>
+            s.type === 'select' ? (
+              <SelectControl key={s.key} schema={s} value={settings[s.key]} onChange={onChange} />
+            ) : (
+              <ParamSlider key={s.key} schema={s} value={settings[s.key]} onChange={onChange} />
+            ),
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,26 @@
+/**
+ * SelectControl — schema `type: 'select'` control.
+ *
+ * Props:
+ *   schema   — { key, label, type: 'select', options: [{ value, label }], default }
+ *   value    — current option value
+ *   onChange — (key, value) => void
+ */
+export default function SelectControl({ schema, value, onChange }) {
+  return (
+    <div className="control-item">
+      <label>{schema.label}</label>
+      <select
+        className="control-select"
+        value={value ?? schema.default}
+        onChange={(e) => onChange(schema.key, e.target.value)}
+      >
+        {schema.options.map((opt) => (
+          <option key={opt.value} value={opt.value}>
+            {opt.label}
+          </option>
+        ))}
+      </select>
+    </div>
+  );
+}
@@ -0,0 +1,78 @@
+import {
+  STATIC_FORMATS,
+  PNG_SIZES,
+  PRINT_DPIS,
+  resolvePngSize,
+  printHeightMm,
+} from '../engine/static-export.js';
+import ExportDialog from './ExportDialog.jsx';
+
+const STATIC_SCHEMA = [
+  { key: 'format', label: 'Format', type: 'select', options: STATIC_FORMATS, default: 'png' },
+  { key: 'pngSize', label: 'Size', type: 'select', options: PNG_SIZES, default: 'x2' },
+  { key: 'widthMm', label: 'Width (mm)', min: 10, max: 1000, step: 5, default: 100 },
+  {
+    key: 'dpi',
+    label: 'DPI',
+    type: 'select',
+    options: PRINT_DPIS.map((v) => ({ value: v, label: String(v) })),
+    default: 300,
+  },
+  {
+    key: 'backgroundMode',
+    label: 'Background',
+    type: 'select',
+    options: [
+      { value: 'transparent', label: 'Transparent' },
+      { value: 'color', label: 'Color' },
+    ],
+    default: 'transparent',
+  },
+  { key: 'background', label: 'Background Color', type: 'color', default: '#ffffff' },
+];
+
+function isHidden(s, settings) {
+  const png = settings.format === 'png';
+  if (s.key === 'pngSize') return !png;
+  if (s.key === 'widthMm') return png && settings.pngSize !== 'print';
+  if (s.key === 'dpi') return !png || settings.pngSize !== 'print';
+  if (s.key === 'background') return settings.backgroundMode === 'transparent';
+  return false;
+}
+
+/**
+ * StaticExportDialog — PNG / PDF / EPS settings for the generated SVG.
+ * PNG is sized as a multiple of the SVG or as a print width at a DPI;
+ * PDF and EPS are vector pages of the chosen physical width.
+ *
+ * Props:
+ *   svgWidth, svgHeight — size of the generated SVG (px)
+ *   …plus ExportDialog's error / onExport / onClose;
+ *   onExport receives { format, pngSize, widthMm, dpi, background }
+ *   with background null for a transparent export
+ */
+export default function StaticExportDialog({ svgWidth, svgHeight, onExport, ...rest }) {
+  function summary(settings) {
+    if (settings.format === 'png') {
+      const { width, height, dpi } = resolvePngSize(settings, svgWidth, svgHeight);
+      return `${width} × ${height} px${dpi ? ` · ${dpi} DPI` : ''}`;
+    }
+    const heightMm = printHeightMm(settings.widthMm, svgWidth, svgHeight);
+    return `${settings.widthMm} × ${+heightMm.toFixed(1)} mm · vector`;
+  }
+
+  function handleExport({ backgroundMode, background, ...settings }) {
+    onExport({ ...settings, background: backgroundMode === 'transparent' ? null : background });
+  }
+
+  return (
+    <ExportDialog
+      title="Export Image"
+      schema={STATIC_SCHEMA}
+      isHidden={isHidden}
+      summary={summary}
+      onExport={handleExport}
+      {...rest}
+    />
+  );
+}
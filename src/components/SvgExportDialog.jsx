@@ -0,0 +1,75 @@
+import { SVG_PRECISIONS, optimizeSVG } from '../engine/utils/svg-optimize.js';
+import { LAYER_MODES, TONE_BAND_COUNTS } from '../engine/utils/svg-layers.js';
+import ExportDialog, { formatBytes } from './ExportDialog.jsx';
+
+const ON_OFF = [
+  { value: 'on', label: 'On' },
+  { value: 'off', label: 'Off' },
+];
+
+const SVG_SCHEMA = [
+  { key: 'precision', label: 'Precision', type: 'select', options: SVG_PRECISIONS, default: '1' },
+  { key: 'mergePaths', label: 'Merge Paths', type: 'select', options: ON_OFF, default: 'on' },
+  { key: 'groupAttributes', label: 'Group Attributes', type: 'select', options: ON_OFF, default: 'on' },
+  { key: 'layerMode', label: 'Layers', type: 'select', options: LAYER_MODES, default: 'none' },
+  {
+    key: 'toneBands',
+    label: 'Tonal Bands',
+    type: 'select',
+    options: TONE_BAND_COUNTS.map((v) => ({ value: v, label: String(v) })),
+    default: 4,
+  },
+  { key: 'layerCount', label: 'Strips', min: 2, max: 12, step: 1, default: 4 },
+];
+
+function isHidden(s, settings) {
+  if (s.key === 'toneBands') return settings.layerMode !== 'tone';
+  if (s.key === 'layerCount') return settings.layerMode !== 'row' && settings.layerMode !== 'column';
+  return false;
+}
+
+// Dialog settings → generate() options.layers (null = no layers)
+function layerSpec({ layerMode, toneBands, layerCount }) {
+  if (layerMode === 'none') return null;
+  return { by: layerMode, count: layerMode === 'tone' ? toneBands : layerCount };
+}
+
+// Dialog settings → optimizeSVG() options
+function optimizeOptions({ precision, mergePaths, groupAttributes }) {
+  return {
+    precision: precision === 'original' ? null : Number(precision),
+    mergePaths: mergePaths === 'on',
+    groupAttributes: groupAttributes === 'on',
+  };
+}
+
+/**
+ * SvgExportDialog — optimizer and layer settings for the SVG download, with
+ * the file size before and after optimizing.
+ *
+ * Props:
+ *   generateSVG — (layers) => generate() output for an options.layers spec
+ *   …plus ExportDialog's error / onExport / onClose;
+ *   onExport receives optimizeSVG() options { precision, mergePaths, groupAttributes }
+ *   plus `layers`
+ */
+export default function SvgExportDialog({ generateSVG, onExport, ...rest }) {
+  function summary(settings) {
+    const svgString = generateSVG(layerSpec(settings));
+    const before = new Blob([svgString]).size;
+    const after = new Blob([optimizeSVG(svgString, optimizeOptions(settings))]).size;
+    const saved = Math.round((1 - after / before) * 100);
+    return `${formatBytes(before)} → ${formatBytes(after)} (${saved >= 0 ? '−' : '+'}${Math.abs(saved)}%)`;
+  }
+
+  return (
+    <ExportDialog
+      title="Export SVG"
+      schema={SVG_SCHEMA}
+      isHidden={isHidden}
+      summary={summary}
+      onExport={(settings) => onExport({ ...optimizeOptions(settings), layers: layerSpec(settings) })}
+      {...rest}
+    />
+  );
+}
@@ -1,18 +1,36 @@
 import { useState, useRef, useMemo } from 'react';
 
-export default function SvgUploader({ currentName, svgSource, onSvgLoaded, onClear }) {
+// Raster logos are sampled through the same path as SVGs (see sampleRaster)
+const RASTER_TYPES = ['image/png', 'image/jpeg', 'image/webp'];
+const RASTER_EXT = /\.(png|jpe?g|webp)$/;
+
+export default function SvgUploader({
+  currentName,
+  svgSource,
+  imageSource,
+  onSvgLoaded,
+  onImageLoaded,
+  onClear,
+}) {
   const [dragover, setDragover] = useState(false);
   const inputRef = useRef(null);
   const thumbnailSrc = useMemo(() => {
+    if (imageSource) return imageSource;
     if (!svgSource) return null;
     return `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svgSource)}`;
-  }, [svgSource]);
+  }, [svgSource, imageSource]);
 
   function handleFile(file) {
-    if (!file || !file.name.toLowerCase().endsWith('.svg')) return;
+    if (!file) return;
+    const name = file.name.toLowerCase();
     const reader = new FileReader();
-    reader.onload = (e) => onSvgLoaded(e.target.result, file.name);
-    reader.readAsText(file);
+    if (name.endsWith('.svg')) {
+      reader.onload = (e) => onSvgLoaded(e.target.result, file.name);
+      reader.readAsText(file);
+    } else if (RASTER_TYPES.includes(file.type) || RASTER_EXT.test(name)) {
+      reader.onload = (e) => onImageLoaded?.(e.target.result, file.name);
+      reader.readAsDataURL(file);
+    }
   }
 
   function onDrop(e) {
@@ -67,7 +85,7 @@ export default function SvgUploader({ currentName, svgSource, onSvgLoaded, onCle
             aria-label="Upload logo"
             title="Upload"
           >
-            UPLOAD SVG LOGO
+            UPLOAD LOGO
           </button>
           {thumbnailSrc && (
             <div className="logo-thumb-wrap">
@@ -92,7 +110,7 @@ export default function SvgUploader({ currentName, svgSource, onSvgLoaded, onCle
         <input
           ref={inputRef}
           type="file"
-          accept=".svg"
+          accept=".svg,.png,.jpg,.jpeg,.webp"
           onChange={onFileChange}
         />
       </div>
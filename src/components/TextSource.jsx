@@ -0,0 +1,146 @@
+import { useState, useRef, useEffect } from 'react';
+import { textToSVG } from '../engine/text-to-svg.js';
+import ParamSlider from './ParamSlider.jsx';
+import SelectControl from './SelectControl.jsx';
+
+// Local font stacks offered out of the box — uploaded fonts are appended
+const FONT_PRESETS = [
+  { value: "'Helvetica Neue', Helvetica, Arial, sans-serif", label: 'Helvetica' },
+  { value: "Futura, 'Trebuchet MS', sans-serif", label: 'Futura' },
+  { value: "Georgia, 'Times New Roman', serif", label: 'Georgia' },
+  { value: "'Times New Roman', Times, serif", label: 'Times' },
+  { value: "'Courier New', Courier, monospace", label: 'Courier' },
+  { value: 'system-ui, sans-serif', label: 'System' },
+];
+
+const TEXT_SCHEMA = [
+  { key: 'fontSize', label: 'Size', min: 40, max: 400, step: 10, default: 200 },
+  { key: 'tracking', label: 'Tracking', min: -200, max: 600, step: 10, default: 0 },
+  { key: 'weight', label: 'Weight', min: 100, max: 900, step: 100, default: 700 },
+];
+
+const FONT_EXT = /\.(ttf|otf|woff2?)$/;
+
+/**
+ * TextSource — second logo source next to SvgUploader.
+ *
+ * A typed wordmark is rendered with the chosen local or uploaded font into
+ * an SVG string (engine/text-to-svg.js) and handed to App exactly like an
+ * uploaded SVG, so it feeds sampleData into every effect panel.
+ *
+ * Props:
+ *   onSvgLoaded — (svgText, name) => void — same callback SvgUploader uses
+ */
+export default function TextSource({ onSvgLoaded }) {
+  const [open, setOpen] = useState(false);
+  const [text, setText] = useState('');
+  const [fontFamily, setFontFamily] = useState(FONT_PRESETS[0].value);
+  const [uploadedFonts, setUploadedFonts] = useState([]); // [{ value, label, url }]
+  const [settings, setSettings] = useState(() =>
+    Object.fromEntries(TEXT_SCHEMA.map((s) => [s.key, s.default])),
+  );
+  const wrapRef = useRef(null);
+  const fontInputRef = useRef(null);
+
+  // Close when clicking anywhere outside the popover
+  useEffect(() => {
+    if (!open) return;
+    const onDown = (e) => {
+      if (wrapRef.current && !wrapRef.current.contains(e.target)) setOpen(false);
+    };
+    window.addEventListener('pointerdown', onDown);
+    return () => window.removeEventListener('pointerdown', onDown);
+  }, [open]);
+
+  // Re-render the wordmark whenever text, font or type settings change.
+  // Nothing is emitted until something is typed, so the current logo stays.
+  useEffect(() => {
+    const trimmed = text.trim();
+    if (!trimmed) return;
+    let cancelled = false;
+    const uploaded = uploadedFonts.find((f) => f.value === fontFamily);
+    textToSVG({ text: trimmed, fontFamily, fontUrl: uploaded?.url, ...settings })
+      .then((svg) => {
+        if (cancelled) return;
+        const slug = trimmed.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'text';
+        onSvgLoaded(svg, `${slug}.svg`);
+      })
+      .catch(console.error);
+    return () => { cancelled = true; };
+  }, [text, fontFamily, uploadedFonts, settings, onSvgLoaded]);
+
+  function handleFontFile(e) {
+    const file = e.target.files[0];
+    if (!file || !FONT_EXT.test(file.name.toLowerCase())) return;
+    const reader = new FileReader();
+    reader.onload = (ev) => {
+      const family = `reffect-${file.name.replace(/\.[^/.]+$/, '').replace(/[^a-zA-Z0-9-]+/g, '-')}`;
+      setUploadedFonts((prev) => [
+        ...prev.filter((f) => f.value !== family),
+        { value: family, label: file.name, url: ev.target.result },
+      ]);
+      setFontFamily(family);
+    };
+    reader.readAsDataURL(file);
+    e.target.value = '';
+  }
+
+  function handleSetting(key, value) {
+    setSettings((prev) => ({ ...prev, [key]: value }));
+  }
+
+  const fontSchema = {
+    key: 'fontFamily',
+    label: 'Font',
+    type: 'select',
+    options: [...FONT_PRESETS, ...uploadedFonts],
+    default: FONT_PRESETS[0].value,
+  };
+
+  return (
+    <div className="sampling-settings" ref={wrapRef}>
+      <button
+        type="button"
+        className={`sampling-btn${open ? ' active' : ''}`}
+        onClick={() => setOpen((o) => !o)}
+        title="Type a wordmark instead of uploading a logo"
+      >
+        Text
+      </button>
+      {open && (
+        <div className="sampling-popover">
+          <input
+            type="text"
+            className="text-source-input"
+            value={text}
+            onChange={(e) => setText(e.target.value)}
+            placeholder="Type a wordmark"
+            autoFocus
+          />
+          <SelectControl
+            schema={fontSchema}
+            value={fontFamily}
+            onChange={(_, value) => setFontFamily(value)}
+          />
+          {TEXT_SCHEMA.map((s) => (
+            <ParamSlider key={s.key} schema={s} value={settings[s.key]} onChange={handleSetting} />
+          ))}
+          <button
+            type="button"
+            className="text-source-font-btn"
+            onClick={() => fontInputRef.current?.click()}
+          >
+            Upload font (TTF / OTF / WOFF2)
+          </button>
+          <input
+            ref={fontInputRef}
+            type="file"
+            accept=".ttf,.otf,.woff,.woff2"
+            onChange={handleFontFile}
+            hidden
+          />
+        </div>
+      )}
+    </div>
+  );
+}
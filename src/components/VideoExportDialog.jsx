@@ -0,0 +1,59 @@
+import {
+  VIDEO_FORMATS,
+  TRANSPARENT_FORMATS,
+  getExportSize,
+  isVideoExportSupported,
+  snapDuration,
+} from '../animate/video-export.js';
+import ExportDialog, { formatLength } from './ExportDialog.jsx';
+
+const VIDEO_SCHEMA = [
+  { key: 'format', label: 'Format', type: 'select', options: VIDEO_FORMATS, default: 'mp4' },
+  {
+    key: 'height',
+    label: 'Resolution',
+    type: 'select',
+    options: [
+      { value: 720, label: '720p' },
+      { value: 1080, label: '1080p' },
+      { value: 1440, label: '1440p' },
+      { value: 2160, label: '4K' },
+    ],
+    default: 1080,
+  },
+  {
+    key: 'fps',
+    label: 'FPS',
+    type: 'select',
+    options: [24, 25, 30, 50, 60].map((v) => ({ value: v, label: String(v) })),
+    default: 60,
+  },
+  { key: 'duration', label: 'Duration', min: 1, max: 30, step: 0.5, default: 10 },
+];
+
+/**
+ * VideoExportDialog — offline video render settings.
+ *
+ * Props:
+ *   baseW, baseH — preview size, for the output resolution readout
+ *   loopDuration — effect loop period (s) or null; shown as the snapped length
+ *   …plus ExportDialog's progress / error / onExport / onCancel / onClose;
+ *   onExport receives { format, height, fps, duration }
+ */
+export default function VideoExportDialog({ baseW, baseH, loopDuration, ...rest }) {
+  function summary({ format, height, fps, duration }) {
+    const { width: w, height: h } = getExportSize(baseW, baseH, height);
+    const bg = TRANSPARENT_FORMATS.has(format) ? 'transparent' : 'green screen';
+    const length = snapDuration(duration, loopDuration);
+    const frames = Math.max(1, Math.round(length * fps));
+    return `${w} × ${h} · ${formatLength(length, loopDuration)} · ${frames} frames · ${bg}`;
+  }
+
+  function note({ format }) {
+    return isVideoExportSupported(format)
+      ? null
+      : 'This browser has no WebCodecs video encoder — try a recent Chrome, Edge or Safari.';
+  }
+
+  return <ExportDialog title="Export Video" schema={VIDEO_SCHEMA} summary={summary} note={note} {...rest} />;
+}
@@ -14,6 +14,9 @@
  */
 
 import { lerp, sampleBilinear } from '../utils/math.js';
+import { COLOR_MODE_OPTIONS, svgPaint } from '../utils/color.js';
+import { withMotion } from '../utils/svg-animate.js';
+import { createLayers } from '../utils/svg-layers.js';
 
 // ── 1. 기본 파라미터 ────────────────────────────────────────────────────────
 // getDefaultParams()는 generate와 animate 모듈이 동일한 키/기본값을 공유합니다.
@@ -25,6 +28,8 @@ export function getDefaultParams() {
         size: 4.0,
         speed: 1.5,   // animate-only (generate에서는 무시됨)
         color: '#000000',
+        colorMode: 'solid',          // 'solid' | 'darkness' | 'horizontal' | 'vertical'
+        gradient: ['#0a64ff', '#ff3b30'], // evenly spaced stops, light → dark / start → end
     };
 }
 
@@ -32,24 +37,40 @@ export function getDefaultParams() {
 // UI 슬라이더에 표시될 파라미터 목록입니다.
 // animate-only 파라미터에는 key 이름을 App.jsx의 motionOnlyKeys Set에 추가하면
 // Static 탭에서 자동으로 숨겨집니다.
+// type: 'color' 항목은 슬라이더 대신 컬러 피커 + 팔레트로 표시됩니다.
 export function getParamSchema() {
     return [
         { key: 'count', label: 'Count', min: 10, max: 500, step: 10, default: 100 },
         { key: 'size', label: 'Size', min: 1, max: 20, step: 0.5, default: 4.0 },
         { key: 'speed', label: 'Speed', min: 0.1, max: 5, step: 0.1, default: 1.5 },
+        { key: 'colorMode', label: 'Color Map', type: 'select', options: COLOR_MODE_OPTIONS, default: 'solid' },
+        { key: 'color', label: 'Color', type: 'color', default: '#000000' },
+        { key: 'gradient', label: 'Gradient', type: 'gradient', default: ['#0a64ff', '#ff3b30'] },
     ];
 }
 
 // ── 3. SVG 생성 함수 ───────────────────────────────────────────────────────
 // sampleData.grid: 2D 배열 (0=검정, 1=흰색), 로고의 픽셀 밝기 맵
+// sampleData.threshold: 배경 컷오프 — darkness가 이 값 미만이면 건너뜀 (Sampling 설정, 기본 0.3)
+// sampleData.distance: 로고 외곽선까지의 부호 있는 거리 (안쪽 음수, u 단위) — Distance Field가 꺼져 있으면 null
+//   sampleDistance(distance, cols, rows, u, v)로 읽음 (utils/math.js). 엣지 글로우·윤곽선 오프셋용
+// sampleData.paths: SVG 외곽선을 평탄화한 폴리라인 { polylines, length } (u,v 좌표, 호 길이 파라미터) — 래스터 로고는 null
+//   pointAtLength(polyline, s)로 윤곽을 따라 이동 (engine/svg-paths.js)
 // params: 현재 파라미터 값 (getDefaultParams 기본값과 병합됨)
 // outputWidth / outputHeight: SVG 좌표계 크기 (기본 1000px 기준)
+// options.animated: 참이면 Animated SVG export — 요소마다 anim 모듈과 같은 움직임을
+//   선언형 motion 객체로 withMotion()에 넘겨 SMIL로 붙임 (utils/svg-animate.js)
+// options.layers: 명암 단계 / 행 / 열별 이름 붙은 <g> 레이어 (SVG export) — 요소를
+//   createLayers()의 layers.add(layers.layerAt(darkness, x, y), element)로 담음 (utils/svg-layers.js)
 // 반환값: SVG 문자열
-export function generate(sampleData, params, outputWidth, outputHeight) {
-    const { grid, cols: gridCols, rows: gridRows } = sampleData;
-    const { count, size, color } = { ...getDefaultParams(), ...params };
+export function generate(sampleData, params, outputWidth, outputHeight, options = {}) {
+    const { grid, cols: gridCols, rows: gridRows, threshold = 0.3 } = sampleData;
+    const merged = { ...getDefaultParams(), ...params };
+    const { count, size, speed } = merged;
+    // 색상: colorMode에 따라 단색 / 그라디언트(<linearGradient> 또는 요소별 fill)
+    const paint = svgPaint(merged, outputWidth, outputHeight, sampleData);
 
-    let elements = '';
+    const layers = createLayers(options.layers, outputWidth, outputHeight);
 
     for (let i = 0; i < count; i++) {
         // 예시: 랜덤 위치에 원 배치 (실제 효과 로직으로 교체하세요)
@@ -57,15 +78,19 @@ export function generate(sampleData, params, outputWidth, outputHeight) {
         const v = Math.random();
         const brightness = sampleBilinear(grid, gridCols, gridRows, u, v);
         const darkness = 1 - brightness;
-        if (darkness < 0.3) continue;
+        if (darkness < threshold) continue;
 
         const x = u * outputWidth;
         const y = v * outputHeight;
         const r = lerp(1, size, darkness);
-        elements += `<circle cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="${r.toFixed(1)}" />`;
+        const circle = `<circle cx="${x.toFixed(1)}" cy="${y.toFixed(1)}" r="${r.toFixed(1)}" fill="${paint.fillAt(darkness, u, v)}" />`;
+        // 예시: anim 모듈의 lerp(0.5, r, 0.5 + 0.5 * sin(t * speed + phase))와 같은 파형
+        layers.add(layers.layerAt(darkness, x, y), options.animated
+            ? withMotion(circle, [{ type: 'wave', attr: 'r', from: 0.5, to: r, period: (Math.PI * 2) / speed, phase: Math.random() * Math.PI * 2 }])
+            : circle);
     }
 
-    return `<svg xmlns="http://www.w3.org/2000/svg" width="${outputWidth}" height="${outputHeight}" viewBox="0 0 ${outputWidth} ${outputHeight}">
-  <g fill="${color}">${elements}</g>
+    return `<svg xmlns="http://www.w3.org/2000/svg"${layers.namespace} width="${outputWidth}" height="${outputHeight}" viewBox="0 0 ${outputWidth} ${outputHeight}">
+  ${paint.defs}${layers.markup()}
 </svg>`;
 }
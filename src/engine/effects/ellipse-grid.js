@@ -1,13 +1,18 @@
 import { lerp, sampleBilinear } from '../utils/math.js';
+import { COLOR_MODE_OPTIONS, svgPaint } from '../utils/color.js';
+import { withMotion } from '../utils/svg-animate.js';
+import { createLayers } from '../utils/svg-layers.js';
 
 export function getDefaultParams() {
   return {
     cols: 60,
     maxRy: 18,          // max vertical radius (px, relative to outputHeight=1000)
     eccentricity: 0.40, // rx = ry * eccentricity
-    speed: 4.0,         // animate-only (ignored by generate)
-    pulseFrac: 0.5,     // animate-only (ignored by generate)
+    speed: 4.0,         // animate-only (animated SVG export only)
+    pulseFrac: 0.5,     // animate-only (animated SVG export only)
     color: '#000000',
+    colorMode: 'solid',          // 'solid' | 'darkness' | 'horizontal' | 'vertical'
+    gradient: ['#0a64ff', '#ff3b30'], // evenly spaced stops, light → dark / start → end
   };
 }
 
@@ -18,6 +23,9 @@ export function getParamSchema() {
     { key: 'eccentricity', label: 'Shape', min: 0, max: 1, step: 0.01, default: 0.40 },
     { key: 'speed', label: 'Speed', min: 0.1, max: 6, step: 0.1, default: 4.0 },
     { key: 'pulseFrac', label: 'Pulse', min: 0, max: 1, step: 0.01, default: 0.5 },
+    { key: 'colorMode', label: 'Color Map', type: 'select', options: COLOR_MODE_OPTIONS, default: 'solid' },
+    { key: 'color', label: 'Color', type: 'color', default: '#000000' },
+    { key: 'gradient', label: 'Gradient', type: 'gradient', default: ['#0a64ff', '#ff3b30'] },
   ];
 }
 
@@ -26,14 +34,20 @@ export function getParamSchema() {
  * Dark areas → large ellipses. Light → tiny or absent.
  * Uses maxRy pixel params scaled relative to outputHeight so values are
  * consistent between tabs.
+ *
+ * options.animated — ellipses pulse down to (1 - pulseFrac) of their size in
+ * a diagonal wave (SMIL), like ellipse-grid-anim.js.
+ *
+ * options.layers — ellipses sorted into named layers by their cell's
+ * darkness or position (utils/svg-layers.js).
  */
-export function generate(sampleData, params, outputWidth, outputHeight) {
+export function generate(sampleData, params, outputWidth, outputHeight, options = {}) {
   const { grid, cols: gridCols, rows: gridRows, aspect } = sampleData;
-  // speed/pulseFrac are animate-only — ignored here
-  const { cols, maxRy, eccentricity, color } = {
-    ...getDefaultParams(),
-    ...params,
-  };
+  // speed/pulseFrac only drive the animated export
+  const merged = { ...getDefaultParams(), ...params };
+  const { cols, maxRy, eccentricity, speed, pulseFrac } = merged;
+  const period = (Math.PI * 2) / speed;
+  const paint = svgPaint(merged, outputWidth, outputHeight, sampleData);
 
   const rows = Math.max(1, Math.round(cols / aspect));
   const cellW = outputWidth / cols;
@@ -43,7 +57,7 @@ export function generate(sampleData, params, outputWidth, outputHeight) {
   const scale = outputHeight / 1000;
   const ryMax = maxRy * scale;
 
-  const elements = [];
+  const layers = createLayers(options.layers, outputWidth, outputHeight);
 
   for (let r = 0; r < rows; r++) {
     for (let c = 0; c < cols; c++) {
@@ -61,14 +75,24 @@ export function generate(sampleData, params, outputWidth, outputHeight) {
       if (rx < 0.3 && ry < 0.3) continue;
 
       // No rotation in static generate mode
-      elements.push(
-        `<ellipse cx="${cx.toFixed(2)}" cy="${cy.toFixed(2)}" rx="${rx.toFixed(2)}" ry="${ry.toFixed(2)}" fill="${color}"/>`
-      );
+      const layer = layers.layerAt(darkness, cx, cy);
+      const ellipse = `<ellipse cx="${cx.toFixed(2)}" cy="${cy.toFixed(2)}" rx="${rx.toFixed(2)}" ry="${ry.toFixed(2)}" fill="${paint.fillAt(darkness, u, v)}"/>`;
+      if (!options.animated) {
+        layers.add(layer, ellipse);
+        continue;
+      }
+      // Same diagonal phase as the animation (fixed 0.35 rad per cell)
+      const phase = (r + c) * 0.35;
+      const ryLow = ry * (1 - pulseFrac);
+      layers.add(layer, withMotion(ellipse, [
+        { type: 'wave', attr: 'ry', from: ryLow, to: ry, period, phase },
+        { type: 'wave', attr: 'rx', from: Math.max(ryLow * eccentricity, 0.5), to: rx, period, phase },
+      ]));
     }
   }
 
-  return `<svg xmlns="http://www.w3.org/2000/svg" width="${outputWidth}" height="${outputHeight}" viewBox="0 0 ${outputWidth} ${outputHeight}">
-  <rect width="${outputWidth}" height="${outputHeight}" fill="none"/>
-  ${elements.join('\n  ')}
+  return `<svg xmlns="http://www.w3.org/2000/svg"${layers.namespace} width="${outputWidth}" height="${outputHeight}" viewBox="0 0 ${outputWidth} ${outputHeight}">
+  ${paint.defs}<rect width="${outputWidth}" height="${outputHeight}" fill="none"/>
+  ${layers.markup()}
 </svg>`;
 }
@@ -1,4 +1,7 @@
 import { lerp, sampleBilinear } from '../utils/math.js';
+import { COLOR_MODE_OPTIONS, svgPaint } from '../utils/color.js';
+import { withMotion } from '../utils/svg-animate.js';
+import { createLayers } from '../utils/svg-layers.js';
 
 export function getDefaultParams() {
   return {
@@ -7,9 +10,11 @@ export function getDefaultParams() {
     minLength: 0.08,
     minStroke: 0.5,     // min stroke width (px)
     maxStroke: 6.0,     // max stroke width (px)
-    speed: 4.0,         // animate-only (ignored by generate)
-    waveFreq: 0.20,     // animate-only (ignored by generate)
+    speed: 4.0,         // animate-only (animated SVG export only)
+    waveFreq: 0.20,     // animate-only (animated SVG export only)
     color: '#000000',
+    colorMode: 'solid',          // 'solid' | 'darkness' | 'horizontal' | 'vertical'
+    gradient: ['#0a64ff', '#ff3b30'], // evenly spaced stops, light → dark / start → end
   };
 }
 
@@ -20,6 +25,9 @@ export function getParamSchema() {
     { key: 'maxLength', label: 'Length', min: 0.2, max: 1.0, step: 0.01, default: 1.0 },
     { key: 'speed', label: 'Speed', min: 0.1, max: 5, step: 0.1, default: 4.0 },
     { key: 'waveFreq', label: 'Spacing', min: 0.01, max: 0.5, step: 0.01, default: 0.20 },
+    { key: 'colorMode', label: 'Color Map', type: 'select', options: COLOR_MODE_OPTIONS, default: 'solid' },
+    { key: 'color', label: 'Color', type: 'color', default: '#000000' },
+    { key: 'gradient', label: 'Gradient', type: 'gradient', default: ['#0a64ff', '#ff3b30'] },
   ];
 }
 
@@ -27,14 +35,19 @@ export function getParamSchema() {
  * Horizontal lines — per-cell segments whose length maps to darkness.
  * Each grid cell gets a short horizontal line. Dark = long, light = short.
  * Stroke width = average of minStroke and maxStroke (shared with animate).
+ *
+ * options.animated — stroke width runs a travelling wave between min and
+ * max per row (SMIL), like the animate version.
+ *
+ * options.layers — segments sorted into named layers by darkness or
+ * position; merging by colour happens within each layer.
  */
-export function generate(sampleData, params, outputWidth, outputHeight) {
+export function generate(sampleData, params, outputWidth, outputHeight, options = {}) {
   const { grid, cols: gridCols, rows: gridRows } = sampleData;
-  // speed/waveFreq are animate-only — ignored here
-  const { maxLength, minLength, minStroke, maxStroke, color } = {
-    ...getDefaultParams(),
-    ...params,
-  };
+  // speed/waveFreq only drive the animated export
+  const merged = { ...getDefaultParams(), ...params };
+  const { maxLength, minLength, minStroke, maxStroke } = merged;
+  const paint = svgPaint(merged, outputWidth, outputHeight, sampleData);
   const safeMinStroke = Math.min(minStroke, maxStroke);
   const safeMaxStroke = Math.max(minStroke, maxStroke);
   const safeMaxLength = Math.max(maxLength, minLength);
@@ -53,7 +66,10 @@ export function generate(sampleData, params, outputWidth, outputHeight) {
   // Static: use midpoint stroke width
   const strokeWidth = (effectiveMinStroke + effectiveMaxStroke) / 2;
 
-  let pathD = '';
+  // One path per stroke color — a single path in solid / position modes.
+  // Animated: one per row and color, since each row pulses on its own.
+  const pathsByKey = new Map();
+  const layers = createLayers(options.layers, outputWidth, outputHeight);
 
   for (let r = 0; r < rows; r++) {
     const cy = r * cellH + cellH / 2;
@@ -71,12 +87,35 @@ export function generate(sampleData, params, outputWidth, outputHeight) {
       const x1 = cx - w / 2;
       const x2 = cx + w / 2;
 
-      pathD += `M${x1.toFixed(1)},${cy.toFixed(1)}L${x2.toFixed(1)},${cy.toFixed(1)}`;
+      const stroke = paint.fillAt(darkness, u, v);
+      const layer = layers.layerAt(darkness, cx, cy);
+      const key = options.animated ? `${layer}|${r}|${stroke}` : `${layer}|${stroke}`;
+      const entry = pathsByKey.get(key) ?? { stroke, r, layer, d: '' };
+      entry.d += `M${x1.toFixed(1)},${cy.toFixed(1)}L${x2.toFixed(1)},${cy.toFixed(1)}`;
+      pathsByKey.set(key, entry);
+    }
+  }
+
+  // Travelling wave as in the animation: sin(t * speed - r * waveFreq)
+  const period = (Math.PI * 2) / merged.speed;
+  for (const { stroke, r, layer, d } of pathsByKey.values()) {
+    const path = `<path d="${d}" stroke="${stroke}" stroke-width="${strokeWidth.toFixed(1)}" stroke-linecap="butt" fill="none"/>`;
+    if (!options.animated) {
+      layers.add(layer, path);
+      continue;
     }
+    layers.add(layer, withMotion(path, [{
+      type: 'wave',
+      attr: 'stroke-width',
+      from: effectiveMinStroke,
+      to: effectiveMaxStroke,
+      period,
+      phase: -r * merged.waveFreq,
+    }]));
   }
 
-  return `<svg xmlns="http://www.w3.org/2000/svg" width="${outputWidth}" height="${outputHeight}" viewBox="0 0 ${outputWidth} ${outputHeight}">
-  <rect width="${outputWidth}" height="${outputHeight}" fill="none"/>
-  <path d="${pathD}" stroke="${color}" stroke-width="${strokeWidth.toFixed(1)}" stroke-linecap="butt" fill="none"/>
+  return `<svg xmlns="http://www.w3.org/2000/svg"${layers.namespace} width="${outputWidth}" height="${outputHeight}" viewBox="0 0 ${outputWidth} ${outputHeight}">
+  ${paint.defs}<rect width="${outputWidth}" height="${outputHeight}" fill="none"/>
+  ${layers.markup()}
 </svg>`;
 }
@@ -3,6 +3,9 @@
  */
 
 import { lerp, sampleBilinear } from '../utils/math.js';
+import { COLOR_MODE_OPTIONS, svgPaint } from '../utils/color.js';
+import { withMotion } from '../utils/svg-animate.js';
+import { createLayers } from '../utils/svg-layers.js';
 
 export function getDefaultParams() {
     return {
@@ -11,6 +14,8 @@ export function getDefaultParams() {
         pulse: 1.5,
         speed: 3.0,     // animate-only
         color: '#000000',
+        colorMode: 'solid',          // 'solid' | 'darkness' | 'horizontal' | 'vertical'
+        gradient: ['#0a64ff', '#ff3b30'], // evenly spaced stops, light → dark / start → end
     };
 }
 
@@ -20,12 +25,23 @@ export function getParamSchema() {
         { key: 'contrast', label: 'Contrast', min: 1.0, max: 20.0, step: 0.5, default: 12.0 },
         { key: 'pulse', label: 'Pulse', min: 0.1, max: 5.0, step: 0.1, default: 1.5 },
         { key: 'speed', label: 'Speed', min: 0, max: 10, step: 0.1, default: 3 },
+        { key: 'colorMode', label: 'Color Map', type: 'select', options: COLOR_MODE_OPTIONS, default: 'solid' },
+        { key: 'color', label: 'Color', type: 'color', default: '#000000' },
+        { key: 'gradient', label: 'Gradient', type: 'gradient', default: ['#0a64ff', '#ff3b30'] },
     ];
 }
 
-export function generate(sampleData, params, outputWidth, outputHeight) {
-    const { grid, cols: gridCols, rows: gridRows } = sampleData;
-    const { density, contrast, pulse, color } = { ...getDefaultParams(), ...params };
+/**
+ * options.animated — 조각마다 stroke-width가 X축을 따라 흐르는 물결로 변함
+ * (SMIL, line-halftone-anim.js와 같은 파형 — 한 주기 π / speed).
+ * options.layers — 조각을 명암 단계 또는 위치별로 이름 붙은 레이어에 나눠 담음 (utils/svg-layers.js).
+ */
+export function generate(sampleData, params, outputWidth, outputHeight, options = {}) {
+    const { grid, cols: gridCols, rows: gridRows, threshold = 0.3 } = sampleData;
+    const merged = { ...getDefaultParams(), ...params };
+    const { density, contrast, pulse, speed } = merged;
+    const period = speed > 0 ? Math.PI / speed : null;
+    const paint = svgPaint(merged, outputWidth, outputHeight, sampleData);
 
     const rows = Math.floor(density);
     const cellH = outputHeight / rows;
@@ -38,7 +54,7 @@ export function generate(sampleData, params, outputWidth, outputHeight) {
     // 블리딩(뭉개짐) 방지를 위해 최대 굵기를 셀 높이의 1.8배까지만 허용
     const maxStroke = Math.min(contrast, cellH * 1.8);
 
-    const paths = [];
+    const layers = createLayers(options.layers, outputWidth, outputHeight);
 
     for (let r = 0; r < rows; r++) {
         const cy = r * cellH + cellH / 2;
@@ -53,7 +69,7 @@ export function generate(sampleData, params, outputWidth, outputHeight) {
             const darkness = 1 - brightness;
 
             // 1. Background Skip: 임계치 미만인 빈 배경 영역은 아예 그리지 않음 (로고 실루엣 보존)
-            if (darkness < 0.3) {
+            if (darkness < threshold) {
                 continue;
             }
 
@@ -71,12 +87,22 @@ export function generate(sampleData, params, outputWidth, outputHeight) {
 
             // 개별 라인 세그먼트 생성 (굵기가 동적이므로 각각의 path로 추가 혹은 svg stroke-width 활용)
             // SVG 특성상 하나의 <path>는 하나의 stroke-width만 가지므로 조각마다 생성
-            paths.push(`<path d="M${x1.toFixed(1)},${cy.toFixed(1)}L${x2.toFixed(1)},${cy.toFixed(1)}" stroke="${color}" stroke-width="${strokeW.toFixed(2)}" stroke-linecap="butt" fill="none"/>`);
+            const segment = `<path d="M${x1.toFixed(1)},${cy.toFixed(1)}L${x2.toFixed(1)},${cy.toFixed(1)}" stroke="${paint.fillAt(darkness, cx / outputWidth, cy / outputHeight)}" stroke-width="${strokeW.toFixed(2)}" stroke-linecap="butt" fill="none"/>`;
+            layers.add(layers.layerAt(darkness, cx, cy), options.animated
+                ? withMotion(segment, [{
+                    type: 'wave',
+                    attr: 'stroke-width',
+                    from: lerp(minStroke, maxStroke, darkness * 0.2),
+                    to: lerp(minStroke, maxStroke, darkness),
+                    period,
+                    phase: (cx / outputWidth) * Math.PI * 2 * pulse,
+                }])
+                : segment);
         }
     }
 
-    return `<svg xmlns="http://www.w3.org/2000/svg" width="${outputWidth}" height="${outputHeight}" viewBox="0 0 ${outputWidth} ${outputHeight}">
-  <rect width="${outputWidth}" height="${outputHeight}" fill="none"/>
-  ${paths.join('\n  ')}
+    return `<svg xmlns="http://www.w3.org/2000/svg"${layers.namespace} width="${outputWidth}" height="${outputHeight}" viewBox="0 0 ${outputWidth} ${outputHeight}">
+  ${paint.defs}<rect width="${outputWidth}" height="${outputHeight}" fill="none"/>
+  ${layers.markup()}
 </svg>`;
 }
@@ -0,0 +1,95 @@
+import { clamp } from '../utils/math.js';
+import { COLOR_MODE_OPTIONS, svgPaint } from '../utils/color.js';
+import { withMotion } from '../utils/svg-animate.js';
+import { createLayers } from '../utils/svg-layers.js';
+
+export function getDefaultParams() {
+  return {
+    strokeWidth: 2.0,   // px
+    drawDuration: 2.0,  // seconds one contour takes to draw itself
+    stagger: 0.08,      // seconds between consecutive contours starting
+    hold: 1.0,          // animate-only — seconds the finished outline stays up
+    progress: 1.0,      // generate-only — 0 = nothing drawn, 1 = fully drawn
+    color: '#000000',
+    colorMode: 'solid',          // 'solid' | 'darkness' | 'horizontal' | 'vertical'
+    gradient: ['#0a64ff', '#ff3b30'], // evenly spaced stops, light → dark / start → end
+  };
+}
+
+export function getParamSchema() {
+  return [
+    { key: 'strokeWidth', label: 'Stroke', min: 0.5, max: 8, step: 0.1, default: 2.0 },
+    { key: 'drawDuration', label: 'Draw Time', min: 0.2, max: 6, step: 0.1, default: 2.0 },
+    { key: 'stagger', label: 'Stagger', min: 0, max: 0.5, step: 0.01, default: 0.08 },
+    { key: 'hold', label: 'Hold', min: 0, max: 4, step: 0.1, default: 1.0 },
+    { key: 'progress', label: 'Progress', min: 0, max: 1, step: 0.01, default: 1.0 },
+    { key: 'colorMode', label: 'Color Map', type: 'select', options: COLOR_MODE_OPTIONS, default: 'solid' },
+    { key: 'color', label: 'Color', type: 'color', default: '#000000' },
+    { key: 'gradient', label: 'Gradient', type: 'gradient', default: ['#0a64ff', '#ff3b30'] },
+  ];
+}
+
+/**
+ * One stroked <path> per logo contour (sampleData.paths), each with
+ * stroke-dasharray = its length and stroke-dashoffset set to the point the
+ * draw-on has reached at `progress`. Animating the offset to 0 in CSS
+ * replays the reveal outside the tool.
+ *
+ * options.animated — each contour gets that animation as SMIL keyframes on
+ * the animation's timeline (draw, stagger, hold, repeat); progress is ignored.
+ *
+ * options.layers — contours sorted into named layers by their first point
+ * (all in the darkest tonal band).
+ *
+ * Contours are colored at their first point, as if fully dark. Raster logos
+ * have no vector outline and produce an empty SVG.
+ */
+export function generate(sampleData, params, outputWidth, outputHeight, options = {}) {
+  const merged = { ...getDefaultParams(), ...params };
+  const { strokeWidth, drawDuration, stagger, hold, progress } = merged;
+  const paint = svgPaint(merged, outputWidth, outputHeight, sampleData);
+  const polylines = sampleData.paths?.polylines ?? [];
+
+  // Same timeline as the animation, without the hold
+  const drawSpan = drawDuration + stagger * Math.max(0, polylines.length - 1);
+  const time = options.animated ? 0 : clamp(progress, 0, 1) * drawSpan;
+  const cycle = drawSpan + hold;
+
+  const layers = createLayers(options.layers, outputWidth, outputHeight);
+  polylines.forEach((pl, i) => {
+    const { points } = pl;
+    const p = drawDuration > 0 ? clamp((time - i * stagger) / drawDuration, 0, 1) : 1;
+    const length = pl.length * outputWidth;
+
+    let d = '';
+    for (let k = 0; k < points.length; k += 2) {
+      d += `${k === 0 ? 'M' : 'L'}${(points[k] * outputWidth).toFixed(1)},${(points[k + 1] * outputHeight).toFixed(1)}`;
+    }
+    if (pl.closed) d += 'Z';
+
+    const stroke = paint.fillAt(1, points[0], points[1]);
+    const layer = layers.layerAt(1, points[0] * outputWidth, points[1] * outputHeight);
+    const path =
+      `<path d="${d}" stroke="${stroke}" stroke-width="${strokeWidth.toFixed(1)}" stroke-linecap="round" stroke-linejoin="round" fill="none" ` +
+      `stroke-dasharray="${length.toFixed(1)}" stroke-dashoffset="${(length * (1 - p)).toFixed(1)}"/>`;
+    if (!options.animated || cycle <= 0) {
+      layers.add(layer, path);
+      return;
+    }
+    // Hidden until its turn, drawn over drawDuration, then held to the end
+    const start = (i * stagger) / cycle;
+    const end = (i * stagger + drawDuration) / cycle;
+    layers.add(layer, withMotion(path, [{
+      type: 'keyframes',
+      attr: 'stroke-dashoffset',
+      values: [length, length, 0, 0],
+      keyTimes: [0, start, Math.min(end, 1), 1],
+      dur: cycle,
+    }]));
+  });
+
+  return `<svg xmlns="http://www.w3.org/2000/svg"${layers.namespace} width="${outputWidth}" height="${outputHeight}" viewBox="0 0 ${outputWidth} ${outputHeight}">
+  ${paint.defs}<rect width="${outputWidth}" height="${outputHeight}" fill="none"/>
+  ${layers.markup()}
+</svg>`;
+}
@@ -1,4 +1,7 @@
 import { lerp, mulberry32, sampleBilinear } from '../utils/math.js';
+import { COLOR_MODE_OPTIONS, svgPaint } from '../utils/color.js';
+import { withMotion } from '../utils/svg-animate.js';
+import { createLayers } from '../utils/svg-layers.js';
 
 export function getDefaultParams() {
   return {
@@ -7,8 +10,10 @@ export function getDefaultParams() {
     minRadius: 0.5,
     seed: 42,           // internal only — not exposed in schema
     scatter: 1.0,       // jitter spread: 0 = tight inside logo, 3 = diffuse cloud
-    speed: 4.0,         // animate-only (ignored by generate)
+    speed: 4.0,         // animate-only (animated SVG export only)
     color: '#000000',
+    colorMode: 'solid',          // 'solid' | 'darkness' | 'horizontal' | 'vertical'
+    gradient: ['#0a64ff', '#ff3b30'], // evenly spaced stops, light → dark / start → end
   };
 }
 
@@ -19,6 +24,9 @@ export function getParamSchema() {
     { key: 'minRadius', label: 'Min Size', min: 0.1, max: 3, step: 0.1, default: 0.5 },
     { key: 'scatter', label: 'Spread', min: 0, max: 3, step: 0.1, default: 1.0 },
     { key: 'speed', label: 'Speed', min: 0.1, max: 6, step: 0.1, default: 4.0 },
+    { key: 'colorMode', label: 'Color Map', type: 'select', options: COLOR_MODE_OPTIONS, default: 'solid' },
+    { key: 'color', label: 'Color', type: 'color', default: '#000000' },
+    { key: 'gradient', label: 'Gradient', type: 'gradient', default: ['#0a64ff', '#ff3b30'] },
   ];
 }
 
@@ -26,14 +34,19 @@ export function getParamSchema() {
  * Particle / dot scatter — dots are placed randomly with density
  * proportional to logo darkness.  Uses a seeded PRNG so the pattern
  * is reproducible.
+ *
+ * options.animated — each dot's radius breathes between minRadius and its
+ * base radius (SMIL), like particle-scatter-anim.js.
+ *
+ * options.layers — dots sorted into named layers by the darkness under
+ * them or their position (utils/svg-layers.js).
  */
-export function generate(sampleData, params, outputWidth, outputHeight) {
+export function generate(sampleData, params, outputWidth, outputHeight, options = {}) {
   const { grid, cols: gridCols, rows: gridRows } = sampleData;
-  // speed is animate-only — ignored here
-  const { maxDots, maxRadius, minRadius, seed, scatter, color } = {
-    ...getDefaultParams(),
-    ...params,
-  };
+  // speed only drives the animated export
+  const merged = { ...getDefaultParams(), ...params };
+  const { maxDots, maxRadius, minRadius, seed, scatter } = merged;
+  const paint = svgPaint(merged, outputWidth, outputHeight, sampleData);
   const densityPower = 1.8; // internal — not user-controlled
   const safeMinRadius = Math.min(minRadius, maxRadius);
   const safeMaxRadius = Math.max(minRadius, maxRadius);
@@ -61,7 +74,7 @@ export function generate(sampleData, params, outputWidth, outputHeight) {
   const cellW = outputWidth / gridCols;
   const cellH = outputHeight / gridRows;
 
-  const circles = [];
+  const layers = createLayers(options.layers, outputWidth, outputHeight);
 
   for (let i = 0; i < dotCount; i++) {
     // Weighted random cell pick via binary search
@@ -95,13 +108,16 @@ export function generate(sampleData, params, outputWidth, outputHeight) {
     const pulse = 0.5 + 0.5 * Math.sin(ph);
     const r = lerp(safeMinRadius, baseR, pulse);
 
-    if (r < 0.15) continue;
+    if (r < 0.15 && !options.animated) continue;
 
-    circles.push(`<circle cx="${px.toFixed(2)}" cy="${py.toFixed(2)}" r="${r.toFixed(2)}" fill="${color}"/>`);
+    const circle = `<circle cx="${px.toFixed(2)}" cy="${py.toFixed(2)}" r="${r.toFixed(2)}" fill="${paint.fillAt(darkness, u, v)}"/>`;
+    layers.add(layers.layerAt(darkness, px, py), options.animated
+      ? withMotion(circle, [{ type: 'wave', attr: 'r', from: safeMinRadius, to: baseR, period: (Math.PI * 2) / merged.speed, phase: ph }])
+      : circle);
   }
 
-  return `<svg xmlns="http://www.w3.org/2000/svg" width="${outputWidth}" height="${outputHeight}" viewBox="0 0 ${outputWidth} ${outputHeight}">
-  <rect width="${outputWidth}" height="${outputHeight}" fill="none"/>
-  ${circles.join('\n  ')}
+  return `<svg xmlns="http://www.w3.org/2000/svg"${layers.namespace} width="${outputWidth}" height="${outputHeight}" viewBox="0 0 ${outputWidth} ${outputHeight}">
+  ${paint.defs}<rect width="${outputWidth}" height="${outputHeight}" fill="none"/>
+  ${layers.markup()}
 </svg>`;
 }
@@ -2,13 +2,10 @@
  * star-glint.js — Static SVG 효과 모듈
  */
 
-import { lerp, sampleBilinear } from '../utils/math.js';
-
-// 일관된 랜덤값을 갖기 위한 간단한 시드 난수 생성기
-function pseudoRandom(seed) {
-    let x = Math.sin(seed) * 10000;
-    return x - Math.floor(x);
-}
+import { lerp, pseudoRandom, sampleBilinear } from '../utils/math.js';
+import { COLOR_MODE_OPTIONS, svgPaint } from '../utils/color.js';
+import { withMotion } from '../utils/svg-animate.js';
+import { createLayers } from '../utils/svg-layers.js';
 
 export function getDefaultParams() {
     return {
@@ -18,6 +15,8 @@ export function getDefaultParams() {
         jitter: 5,
         speed: 4.0,     // animate-only
         color: '#000000',
+        colorMode: 'solid',          // 'solid' | 'darkness' | 'horizontal' | 'vertical'
+        gradient: ['#0a64ff', '#ff3b30'], // evenly spaced stops, light → dark / start → end
     };
 }
 
@@ -28,12 +27,29 @@ export function getParamSchema() {
         { key: 'sharpness', label: 'Sharpness', min: 0.1, max: 0.9, step: 0.05, default: 0.7 },
         { key: 'jitter', label: 'Jitter', min: 0, max: 15, step: 1, default: 2 },
         { key: 'speed', label: 'Speed', min: 0, max: 10, step: 0.1, default: 4 },
+        { key: 'colorMode', label: 'Color Map', type: 'select', options: COLOR_MODE_OPTIONS, default: 'solid' },
+        { key: 'color', label: 'Color', type: 'color', default: '#000000' },
+        { key: 'gradient', label: 'Gradient', type: 'gradient', default: ['#0a64ff', '#ff3b30'] },
     ];
 }
 
-export function generate(sampleData, params, outputWidth, outputHeight) {
-    const { grid, cols: gridCols, rows: gridRows } = sampleData;
-    const { density, scale: maxScale, sharpness, jitter, color } = { ...getDefaultParams(), ...params };
+// 크기 1짜리 십자별 (원점 중심) — 애니메이션 SVG에서 <use>로 재사용
+function unitStarPath(sharpness) {
+    const cp = (1 - sharpness).toFixed(3);
+    return `M 0,-1 Q ${cp},-${cp} 1,0 Q ${cp},${cp} 0,1 Q -${cp},${cp} -1,0 Q -${cp},-${cp} 0,-1 Z`;
+}
+
+/**
+ * options.animated — 별마다 scale이 무작위 위상으로 반짝임 (SMIL, star-glint-anim.js와 같은 파형).
+ * 모든 별은 <defs>의 단위 별 하나를 <use>로 참조해 파일 크기를 줄임.
+ * options.layers — 별을 명암 단계 또는 위치별 레이어로 묶음 (utils/svg-layers.js).
+ */
+export function generate(sampleData, params, outputWidth, outputHeight, options = {}) {
+    const { grid, cols: gridCols, rows: gridRows, threshold = 0.3 } = sampleData;
+    const merged = { ...getDefaultParams(), ...params };
+    const { density, scale: maxScale, sharpness, jitter, speed } = merged;
+    const paint = svgPaint(merged, outputWidth, outputHeight, sampleData);
+    const period = speed > 0 ? (Math.PI * 2) / speed : null;
 
     const cols = Math.floor(density);
     const cellW = outputWidth / cols;
@@ -42,7 +58,7 @@ export function generate(sampleData, params, outputWidth, outputHeight) {
 
     const minScale = 1.0;
 
-    const paths = [];
+    const layers = createLayers(options.layers, outputWidth, outputHeight);
 
     for (let r = 0; r < rows; r++) {
         const v = rows > 1 ? r / (rows - 1) : 0.5;
@@ -53,7 +69,7 @@ export function generate(sampleData, params, outputWidth, outputHeight) {
             const darkness = 1 - brightness;
 
             // 1. Background Skip: 로고 실루엣 밖의 여백은 무시
-            if (darkness < 0.3) {
+            if (darkness < threshold) {
                 continue;
             }
 
@@ -79,6 +95,24 @@ export function generate(sampleData, params, outputWidth, outputHeight) {
 
             if (currentScale < 0.5) continue;
 
+            const layer = layers.layerAt(darkness, cx, cy);
+            if (options.animated) {
+                // <use>는 translate/scale된 좌표계라 위치 그라디언트가 별 안에서만 풀림 → 별 중심의 단색
+                const fill = paint.solidAt(darkness, cx / outputWidth, cy / outputHeight);
+                // 정지(speed 0)면 현재 크기 고정, 아니면 scale은 animateTransform이 translate 뒤에 더함
+                const at = `translate(${cx.toFixed(1)} ${cy.toFixed(1)})`;
+                const star = `<use href="#glint" transform="${period ? at : `${at} scale(${currentScale.toFixed(2)})`}" fill="${fill}"/>`;
+                layers.add(layer, withMotion(star, [{
+                    type: 'wave',
+                    attr: 'scale',
+                    from: lerp(minScale, effectiveMaxScale, darkness * 0.2),
+                    to: lerp(minScale, effectiveMaxScale, darkness),
+                    period,
+                    phase: rPhase,
+                }]));
+                continue;
+            }
+
             // 십자별 뾰족함 계산
             const cpDist = currentScale * (1 - sharpness);
 
@@ -89,12 +123,15 @@ export function generate(sampleData, params, outputWidth, outputHeight) {
             d += `Q ${(cx - cpDist).toFixed(1)},${(cy - cpDist).toFixed(1)} ${cx.toFixed(1)},${(cy - currentScale).toFixed(1)} `;
             d += 'Z';
 
-            paths.push(`<path d="${d}" fill="${color}" stroke="none" />`);
+            const fill = paint.fillAt(darkness, cx / outputWidth, cy / outputHeight);
+            layers.add(layer, `<path d="${d}" fill="${fill}" stroke="none" />`);
         }
     }
 
-    return `<svg xmlns="http://www.w3.org/2000/svg" width="${outputWidth}" height="${outputHeight}" viewBox="0 0 ${outputWidth} ${outputHeight}">
-  <rect width="${outputWidth}" height="${outputHeight}" fill="none"/>
-  ${paths.join('\n  ')}
+    const starDefs = options.animated ? `<defs><path id="glint" d="${unitStarPath(sharpness)}"/></defs>` : '';
+
+    return `<svg xmlns="http://www.w3.org/2000/svg"${layers.namespace} width="${outputWidth}" height="${outputHeight}" viewBox="0 0 ${outputWidth} ${outputHeight}">
+  ${paint.defs}${starDefs}<rect width="${outputWidth}" height="${outputHeight}" fill="none"/>
+  ${layers.markup()}
 </svg>`;
 }
@@ -1,4 +1,7 @@
 import { lerp, sampleBilinear } from '../utils/math.js';
+import { COLOR_MODE_OPTIONS, svgPaint } from '../utils/color.js';
+import { withMotion } from '../utils/svg-animate.js';
+import { createLayers } from '../utils/svg-layers.js';
 
 export function getDefaultParams() {
   return {
@@ -10,6 +13,8 @@ export function getDefaultParams() {
     speed: 4.0,       // animate-only (ignored by generate)
     waveFreq: 0.20,   // animate-only (ignored by generate)
     color: '#000000',
+    colorMode: 'solid',          // 'solid' | 'darkness' | 'horizontal' | 'vertical'
+    gradient: ['#0a64ff', '#ff3b30'], // evenly spaced stops, light → dark / start → end
   };
 }
 
@@ -20,6 +25,9 @@ export function getParamSchema() {
     { key: 'maxLength', label: 'Length', min: 0.2, max: 1.0, step: 0.01, default: 1.0 },
     { key: 'speed', label: 'Speed', min: 0.1, max: 5, step: 0.1, default: 4.0 },
     { key: 'waveFreq', label: 'Spacing', min: 0.01, max: 0.5, step: 0.01, default: 0.20 },
+    { key: 'colorMode', label: 'Color Map', type: 'select', options: COLOR_MODE_OPTIONS, default: 'solid' },
+    { key: 'color', label: 'Color', type: 'color', default: '#000000' },
+    { key: 'gradient', label: 'Gradient', type: 'gradient', default: ['#0a64ff', '#ff3b30'] },
   ];
 }
 
@@ -28,14 +36,19 @@ export function getParamSchema() {
  * Each (col, row) cell gets a vertical dash of height proportional to darkness.
  * This faithfully preserves any logo shape.
  * Stroke width uses midpoint between min and max (static snapshot).
+ *
+ * options.animated — stroke width runs a travelling wave between min and
+ * max per column (SMIL), like the animate version.
+ *
+ * options.layers — segments sorted into named layers by darkness or
+ * position; merging by colour happens within each layer.
  */
-export function generate(sampleData, params, outputWidth, outputHeight) {
+export function generate(sampleData, params, outputWidth, outputHeight, options = {}) {
   const { grid, cols: gridCols, rows: gridRows } = sampleData;
-  // speed/waveFreq are animate-only — ignored here
-  const { minStroke, maxStroke, maxLength, minLength, color } = {
-    ...getDefaultParams(),
-    ...params,
-  };
+  // speed/waveFreq only drive the animated export
+  const merged = { ...getDefaultParams(), ...params };
+  const { minStroke, maxStroke, maxLength, minLength } = merged;
+  const paint = svgPaint(merged, outputWidth, outputHeight, sampleData);
   const safeMaxLength = Math.max(maxLength, minLength);
 
   const cols = gridCols;
@@ -54,7 +67,10 @@ export function generate(sampleData, params, outputWidth, outputHeight) {
   // Static: use midpoint stroke width
   const strokeWidth = (effectiveMinStroke + effectiveMaxStroke) / 2;
 
-  let pathD = '';
+  // One path per stroke color — a single path in solid / position modes.
+  // Animated: one per column and color, since each column pulses on its own.
+  const pathsByKey = new Map();
+  const layers = createLayers(options.layers, outputWidth, outputHeight);
 
   for (let c = 0; c < cols; c++) {
     const cx = c * cellW + cellW / 2;
@@ -72,12 +88,35 @@ export function generate(sampleData, params, outputWidth, outputHeight) {
       const y1 = cy - h / 2;
       const y2 = cy + h / 2;
 
-      pathD += `M${cx.toFixed(1)},${y1.toFixed(1)}L${cx.toFixed(1)},${y2.toFixed(1)}`;
+      const stroke = paint.fillAt(darkness, u, v);
+      const layer = layers.layerAt(darkness, cx, cy);
+      const key = options.animated ? `${layer}|${c}|${stroke}` : `${layer}|${stroke}`;
+      const entry = pathsByKey.get(key) ?? { stroke, c, layer, d: '' };
+      entry.d += `M${cx.toFixed(1)},${y1.toFixed(1)}L${cx.toFixed(1)},${y2.toFixed(1)}`;
+      pathsByKey.set(key, entry);
+    }
+  }
+
+  // Travelling wave as in the animation: sin(t * speed - c * waveFreq)
+  const period = (Math.PI * 2) / merged.speed;
+  for (const { stroke, c, layer, d } of pathsByKey.values()) {
+    const path = `<path d="${d}" stroke="${stroke}" stroke-width="${strokeWidth.toFixed(1)}" stroke-linecap="butt" fill="none"/>`;
+    if (!options.animated) {
+      layers.add(layer, path);
+      continue;
     }
+    layers.add(layer, withMotion(path, [{
+      type: 'wave',
+      attr: 'stroke-width',
+      from: effectiveMinStroke,
+      to: effectiveMaxStroke,
+      period,
+      phase: -c * merged.waveFreq,
+    }]));
   }
 
-  return `<svg xmlns="http://www.w3.org/2000/svg" width="${outputWidth}" height="${outputHeight}" viewBox="0 0 ${outputWidth} ${outputHeight}">
-  <rect width="${outputWidth}" height="${outputHeight}" fill="none"/>
-  <path d="${pathD}" stroke="${color}" stroke-width="${strokeWidth.toFixed(1)}" stroke-linecap="butt" fill="none"/>
+  return `<svg xmlns="http://www.w3.org/2000/svg"${layers.namespace} width="${outputWidth}" height="${outputHeight}" viewBox="0 0 ${outputWidth} ${outputHeight}">
+  ${paint.defs}<rect width="${outputWidth}" height="${outputHeight}" fill="none"/>
+  ${layers.markup()}
 </svg>`;
 }
@@ -0,0 +1,512 @@
+/**
+ * Plotter export — single-stroke SVG for pen plotters (AxiDraw & co.),
+ * sized in mm, built from a generate() SVG string.
+ *
+ * Every shape becomes pen strokes of one fixed width:
+ *   fills   → hatch lines, a spiral (for round / star-like shapes) or just
+ *             the outline
+ *   strokes → the centreline, or parallel passes when the stroke is wider
+ *             than the pen (line-halftone's variable widths); dashes are cut
+ * Collinear overlapping segments are joined (neighbouring halftone cells
+ * become one long line), strokes are ordered nearest-neighbour to cut pen
+ * travel, and strokes that meet end to start are plotted without lifting.
+ *
+ * Output has one Inkscape layer per colour (pen), numbered in plot order so
+ * the AxiDraw extension can plot them one at a time.
+ */
+
+import { rgbToHex } from './utils/color.js';
+import { readSVGShapes } from './static-export.js';
+
+export const PLOTTER_FILLS = [
+  { value: 'hatch', label: 'Hatch' },
+  { value: 'spiral', label: 'Spiral' },
+  { value: 'outline', label: 'Outline only' },
+];
+
+export const PLOTTER_LAYERS = [
+  { value: 'color', label: 'One per colour' },
+  { value: 'single', label: 'Single pen' },
+];
+
+export const PEN_WIDTHS = [0.1, 0.2, 0.3, 0.5, 0.7, 1.0];
+
+// Grid the nearest-neighbour search buckets stroke ends into (per side)
+const ORDER_GRID = 64;
+
+const fmt = (n) => String(+n.toFixed(2));
+
+// ── Geometry ──────────────────────────────────────────────────────────────
+
+/**
+ * Shape ops (SVG units) → contours [{ pts: [x0, y0, …], closed }] in mm.
+ * Curves are split into pieces about one pen width long.
+ */
+function flattenOps(ops, scale, penMm) {
+  const contours = [];
+  let current = null;
+  let x = 0;
+  let y = 0;
+  for (const [op, ...a] of ops) {
+    if (op === 'M') {
+      x = a[0] * scale;
+      y = a[1] * scale;
+      current = { pts: [x, y], closed: false };
+      contours.push(current);
+    } else if (op === 'L') {
+      x = a[0] * scale;
+      y = a[1] * scale;
+      current.pts.push(x, y);
+    } else if (op === 'C') {
+      const [c1x, c1y, c2x, c2y, ex, ey] = a.map((v) => v * scale);
+      const approx = Math.hypot(c1x - x, c1y - y) + Math.hypot(c2x - c1x, c2y - c1y) + Math.hypot(ex - c2x, ey - c2y);
+      const n = Math.min(64, Math.max(2, Math.ceil(approx / penMm)));
+      for (let k = 1; k <= n; k++) {
+        const t = k / n;
+        const mt = 1 - t;
+        current.pts.push(
+          mt * mt * mt * x + 3 * mt * mt * t * c1x + 3 * mt * t * t * c2x + t * t * t * ex,
+          mt * mt * mt * y + 3 * mt * mt * t * c1y + 3 * mt * t * t * c2y + t * t * t * ey,
+        );
+      }
+      x = ex;
+      y = ey;
+    } else if (op === 'Z' && current) {
+      current.closed = true;
+      if (current.pts[0] !== x || current.pts[1] !== y) current.pts.push(current.pts[0], current.pts[1]);
+      x = current.pts[0];
+      y = current.pts[1];
+    }
+  }
+  return contours.filter((c) => c.pts.length >= 4);
+}
+
+// Plot colour of a paint — gradients use the stop nearest the shape's centre
+function paintColor(paint, cx, cy) {
+  if (paint.rgb) return rgbToHex(...paint.rgb);
+  const { x1, y1, x2, y2, stops } = paint.gradient;
+  const len2 = (x2 - x1) ** 2 + (y2 - y1) ** 2;
+  const t = len2 > 0 ? ((cx - x1) * (x2 - x1) + (cy - y1) * (y2 - y1)) / len2 : 0;
+  let nearest = stops[0];
+  for (const stop of stops) {
+    if (Math.abs(stop.offset - t) < Math.abs(nearest.offset - t)) nearest = stop;
+  }
+  return rgbToHex(...nearest.rgb);
+}
+
+function bounds(contours) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  for (const { pts } of contours) {
+    for (let i = 0; i < pts.length; i += 2) {
+      minX = Math.min(minX, pts[i]);
+      maxX = Math.max(maxX, pts[i]);
+      minY = Math.min(minY, pts[i + 1]);
+      maxY = Math.max(maxY, pts[i + 1]);
+    }
+  }
+  return { minX, minY, maxX, maxY };
+}
+
+/**
+ * Even-odd scanline hatch of closed contours: parallel lines `spacing`
+ * apart at `angleDeg`. Returns two-point polylines.
+ */
+function hatch(contours, spacing, angleDeg) {
+  const a = (angleDeg * Math.PI) / 180;
+  const cos = Math.cos(a);
+  const sin = Math.sin(a);
+  // rotate into hatch space (hatch lines horizontal)
+  const rotated = contours.map(({ pts }) => {
+    const out = new Array(pts.length);
+    for (let i = 0; i < pts.length; i += 2) {
+      out[i] = pts[i] * cos + pts[i + 1] * sin;
+      out[i + 1] = -pts[i] * sin + pts[i + 1] * cos;
+    }
+    return out;
+  });
+  const { minY, maxY } = bounds(rotated.map((pts) => ({ pts })));
+
+  const lines = [];
+  for (let y = minY + spacing / 2; y < maxY; y += spacing) {
+    const xs = [];
+    for (const pts of rotated) {
+      for (let i = 0; i + 3 < pts.length; i += 2) {
+        const y0 = pts[i + 1];
+        const y1 = pts[i + 3];
+        if ((y0 <= y && y1 > y) || (y1 <= y && y0 > y)) {
+          xs.push(pts[i] + ((y - y0) / (y1 - y0)) * (pts[i + 2] - pts[i]));
+        }
+      }
+    }
+    xs.sort((p, q) => p - q);
+    for (let k = 0; k + 1 < xs.length; k += 2) {
+      // back to drawing space
+      lines.push({
+        pts: [xs[k] * cos - y * sin, xs[k] * sin + y * cos, xs[k + 1] * cos - y * sin, xs[k + 1] * sin + y * cos],
+        closed: false,
+      });
+    }
+  }
+  return lines;
+}
+
+/**
+ * Spiral fill: the outer contour scaled from its centre, growing one
+ * `spacing` per turn, ending on the outline itself. Exact for circles and
+ * ellipses, close for stars and other shapes seen whole from their centre.
+ */
+function spiral(contours, spacing) {
+  // largest contour — holes are not spiralled
+  const outer = contours.reduce((best, c) => (c.pts.length > best.pts.length ? c : best));
+  const { minX, minY, maxX, maxY } = bounds([outer]);
+  const cx = (minX + maxX) / 2;
+  const cy = (minY + maxY) / 2;
+  const radius = Math.max(maxX - minX, maxY - minY) / 2;
+
+  const ring = resampleClosed(outer.pts, Math.min(256, Math.max(24, Math.round((Math.PI * 2 * radius) / spacing))));
+  const n = ring.length / 2;
+  const turns = Math.max(1, Math.ceil(radius / spacing));
+  const pts = [];
+  for (let i = 0; i <= turns * n; i++) {
+    const k = (i % n) * 2;
+    const f = i / (turns * n);
+    pts.push(cx + (ring[k] - cx) * f, cy + (ring[k + 1] - cy) * f);
+  }
+  // one more lap on the outline for a clean edge
+  for (let k = 0; k <= n; k++) pts.push(ring[(k % n) * 2], ring[(k % n) * 2 + 1]);
+  return [{ pts, closed: false }];
+}
+
+// n points evenly spaced by arc length around a closed polyline
+function resampleClosed(pts, n) {
+  const cum = [0];
+  for (let i = 2; i < pts.length; i += 2) cum.push(cum[cum.length - 1] + Math.hypot(pts[i] - pts[i - 2], pts[i + 1] - pts[i - 1]));
+  const total = cum[cum.length - 1];
+  const out = [];
+  let seg = 0;
+  for (let k = 0; k < n; k++) {
+    const s = (k / n) * total;
+    while (seg < cum.length - 2 && cum[seg + 1] < s) seg++;
+    const len = cum[seg + 1] - cum[seg];
+    const t = len > 0 ? (s - cum[seg]) / len : 0;
+    out.push(pts[seg * 2] + (pts[seg * 2 + 2] - pts[seg * 2]) * t, pts[seg * 2 + 1] + (pts[seg * 2 + 3] - pts[seg * 2 + 1]) * t);
+  }
+  return out;
+}
+
+// Polyline shifted sideways by `d` (vertex normals averaged from both sides)
+function offsetPolyline({ pts, closed }, d) {
+  const n = pts.length / 2;
+  const out = new Array(pts.length);
+  for (let i = 0; i < n; i++) {
+    const prev = i > 0 ? i - 1 : closed ? n - 2 : i;
+    const next = i < n - 1 ? i + 1 : closed ? 1 : i;
+    let dx = pts[next * 2] - pts[prev * 2];
+    let dy = pts[next * 2 + 1] - pts[prev * 2 + 1];
+    const len = Math.hypot(dx, dy) || 1;
+    dx /= len;
+    dy /= len;
+    out[i * 2] = pts[i * 2] - dy * d;
+    out[i * 2 + 1] = pts[i * 2 + 1] + dx * d;
+  }
+  return { pts: out, closed };
+}
+
+// Cut a polyline into its visible dashes
+function applyDash({ pts }, dash, offset) {
+  const period = dash.reduce((sum, v) => sum + v, 0);
+  if (period <= 0) return [{ pts, closed: false }];
+
+  // position within the pattern at the start of the line
+  let phase = ((offset % period) + period) % period;
+  let index = 0;
+  while (phase >= dash[index]) {
+    phase -= dash[index];
+    index = (index + 1) % dash.length;
+  }
+  let left = dash[index] - phase; // length left in the current dash / gap
+  let on = index % 2 === 0;
+
+  const out = [];
+  let current = on ? [pts[0], pts[1]] : null;
+  for (let i = 2; i < pts.length; i += 2) {
+    let x0 = pts[i - 2];
+    let y0 = pts[i - 1];
+    const x1 = pts[i];
+    const y1 = pts[i + 1];
+    let segLen = Math.hypot(x1 - x0, y1 - y0);
+    while (segLen > left) {
+      const t = left / segLen;
+      x0 += (x1 - x0) * t;
+      y0 += (y1 - y0) * t;
+      segLen -= left;
+      if (on) {
+        current.push(x0, y0);
+        out.push({ pts: current, closed: false });
+        current = null;
+      } else {
+        current = [x0, y0];
+      }
+      on = !on;
+      index = (index + 1) % dash.length;
+      left = dash[index];
+    }
+    left -= segLen;
+    if (on) current.push(x1, y1);
+  }
+  if (current && current.length >= 4) out.push({ pts: current, closed: false });
+  return out;
+}
+
+/** Pen strokes (mm) for one shape from readSVGShapes(). */
+function shapeStrokes(shape, scale, settings) {
+  const { penMm, fill, hatchAngle, fillSpacing } = settings;
+  const contours = flattenOps(shape.ops, scale, penMm);
+  if (contours.length === 0) return [];
+  const strokes = [];
+
+  if (shape.fill) {
+    const closed = contours.map((c) => (c.closed ? c : { pts: [...c.pts, c.pts[0], c.pts[1]], closed: true }));
+    const spacing = penMm * fillSpacing;
+    if (fill === 'hatch') strokes.push(...hatch(closed, spacing, hatchAngle), ...closed);
+    else if (fill === 'spiral') strokes.push(...spiral(closed, spacing));
+    else strokes.push(...closed);
+  }
+
+  if (shape.stroke) {
+    const width = shape.strokeWidth * scale;
+    const passes = Math.max(1, Math.round(width / penMm));
+    const dashed = shape.dash
+      ? contours.flatMap((c) => applyDash(c, shape.dash.map((v) => v * scale), shape.dashOffset * scale))
+      : contours;
+    for (const c of dashed) {
+      for (let k = 0; k < passes; k++) {
+        const d = passes > 1 ? -(width - penMm) / 2 + ((width - penMm) * k) / (passes - 1) : 0;
+        strokes.push(d ? offsetPolyline(c, d) : c);
+      }
+    }
+  }
+  return strokes;
+}
+
+// ── Stroke clean-up ───────────────────────────────────────────────────────
+
+/**
+ * Join two-point strokes that lie on one line and overlap or touch into
+ * single longer strokes. Longer polylines pass through unchanged.
+ */
+function joinCollinear(strokes, tolerance) {
+  const out = [];
+  const byLine = new Map();
+  for (const s of strokes) {
+    if (s.pts.length !== 4) {
+      out.push(s);
+      continue;
+    }
+    let [x0, y0, x1, y1] = s.pts;
+    let angle = Math.atan2(y1 - y0, x1 - x0);
+    // one direction per line — flip strokes pointing the other way
+    if (angle < 0 || angle >= Math.PI) {
+      [x0, y0, x1, y1] = [x1, y1, x0, y0];
+      angle = Math.atan2(y1 - y0, x1 - x0);
+    }
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const rho = -sin * x0 + cos * y0;
+    const key = `${Math.round(angle * 1e4)}:${Math.round(rho / tolerance)}`;
+    if (!byLine.has(key)) byLine.set(key, { cos, sin, rho, spans: [] });
+    byLine.get(key).spans.push([cos * x0 + sin * y0, cos * x1 + sin * y1]);
+  }
+
+  for (const { cos, sin, rho, spans } of byLine.values()) {
+    spans.sort((p, q) => p[0] - q[0]);
+    let [t0, t1] = spans[0];
+    const emit = () => out.push({
+      pts: [t0 * cos - rho * sin, t0 * sin + rho * cos, t1 * cos - rho * sin, t1 * sin + rho * cos],
+      closed: false,
+    });
+    for (let i = 1; i < spans.length; i++) {
+      if (spans[i][0] <= t1 + tolerance) t1 = Math.max(t1, spans[i][1]);
+      else {
+        emit();
+        [t0, t1] = spans[i];
+      }
+    }
+    emit();
+  }
+  return out;
+}
+
+/**
+ * Greedy nearest-neighbour order from the origin; open strokes may be
+ * drawn backwards. Ends are bucketed in a grid so each pick only looks at
+ * nearby cells. Returns the ordered strokes and the pen-up travel (mm).
+ */
+function orderStrokes(strokes, width, height) {
+  const cell = Math.max(width, height) / ORDER_GRID || 1;
+  const buckets = new Map();
+  const keyOf = (x, y) => `${Math.floor(x / cell)},${Math.floor(y / cell)}`;
+  const ends = (s) => [[s.pts[0], s.pts[1]], [s.pts[s.pts.length - 2], s.pts[s.pts.length - 1]]];
+  strokes.forEach((s, i) => {
+    ends(s).forEach(([x, y], end) => {
+      if (end === 1 && s.closed) return;
+      const key = keyOf(x, y);
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push({ i, end, x, y });
+    });
+  });
+
+  const used = new Uint8Array(strokes.length);
+  const ordered = [];
+  let x = 0;
+  let y = 0;
+  let travel = 0;
+  const maxRing = ORDER_GRID + 2;
+
+  while (ordered.length < strokes.length) {
+    const cx = Math.floor(x / cell);
+    const cy = Math.floor(y / cell);
+    let best = null;
+    let bestD = Infinity;
+    for (let r = 0; r <= maxRing; r++) {
+      for (let gx = cx - r; gx <= cx + r; gx++) {
+        for (let gy = cy - r; gy <= cy + r; gy++) {
+          if (Math.max(Math.abs(gx - cx), Math.abs(gy - cy)) !== r) continue; // ring only
+          const bucket = buckets.get(`${gx},${gy}`);
+          if (!bucket) continue;
+          for (let k = bucket.length - 1; k >= 0; k--) {
+            const entry = bucket[k];
+            if (used[entry.i]) {
+              bucket.splice(k, 1);
+              continue;
+            }
+            const d = Math.hypot(entry.x - x, entry.y - y);
+            if (d < bestD) {
+              bestD = d;
+              best = entry;
+            }
+          }
+        }
+      }
+      // every cell further out is at least r · cell away
+      if (best && bestD <= r * cell) break;
+    }
+    if (!best) {
+      // outside the grid (e.g. spirals past the page edge) — plain scan
+      strokes.forEach((s, i) => {
+        if (used[i]) return;
+        const d = Math.hypot(s.pts[0] - x, s.pts[1] - y);
+        if (d < bestD) {
+          bestD = d;
+          best = { i, end: 0 };
+        }
+      });
+    }
+
+    used[best.i] = 1;
+    const s = strokes[best.i];
+    const pts = best.end === 1 ? reversePoints(s.pts) : s.pts;
+    travel += bestD;
+    ordered.push({ pts, closed: s.closed });
+    x = pts[pts.length - 2];
+    y = pts[pts.length - 1];
+  }
+  travel += Math.hypot(x, y); // back home
+  return { ordered, travel };
+}
+
+function reversePoints(pts) {
+  const out = new Array(pts.length);
+  for (let i = 0; i < pts.length; i += 2) {
+    out[pts.length - 2 - i] = pts[i];
+    out[pts.length - 1 - i] = pts[i + 1];
+  }
+  return out;
+}
+
+// Strokes that start where the previous one ended continue without a pen lift
+function chainStrokes(ordered, tolerance) {
+  const out = [];
+  for (const s of ordered) {
+    const last = out[out.length - 1];
+    if (last && Math.hypot(s.pts[0] - last.pts[last.pts.length - 2], s.pts[1] - last.pts[last.pts.length - 1]) <= tolerance) {
+      last.pts.push(...s.pts.slice(2));
+    } else {
+      out.push({ pts: [...s.pts] });
+    }
+  }
+  return out;
+}
+
+function strokeLength(pts) {
+  let len = 0;
+  for (let i = 2; i < pts.length; i += 2) len += Math.hypot(pts[i] - pts[i - 2], pts[i + 1] - pts[i - 1]);
+  return len;
+}
+
+// ── Export ────────────────────────────────────────────────────────────────
+
+/**
+ * settings:
+ *   widthMm     — drawing width; height follows the SVG's aspect
+ *   penMm       — pen (line) width
+ *   fill        — one of PLOTTER_FILLS
+ *   hatchAngle  — degrees, for 'hatch'
+ *   fillSpacing — hatch / spiral line spacing in pen widths
+ *   layers      — one of PLOTTER_LAYERS
+ *
+ * Returns { svg, stats: { widthMm, heightMm, layers, strokes, drawMm, travelMm } }.
+ */
+export function buildPlotterSVG(svgString, settings) {
+  const { widthMm, penMm, layers: layerMode } = settings;
+  const { width, height, shapes } = readSVGShapes(svgString);
+  const scale = widthMm / width;
+  const heightMm = height * scale;
+
+  // strokes per pen colour, in first-use order
+  const byColor = new Map();
+  for (const shape of shapes) {
+    const paint = shape.fill ?? shape.stroke;
+    const p = shape.ops.find((op) => op.length >= 3);
+    const color = layerMode === 'single' ? '#000000' : paintColor(paint, p?.[1] ?? 0, p?.[2] ?? 0);
+    if (!byColor.has(color)) byColor.set(color, []);
+    byColor.get(color).push(...shapeStrokes(shape, scale, settings));
+  }
+
+  const tolerance = penMm / 4;
+  let drawMm = 0;
+  let travelMm = 0;
+  let strokeCount = 0;
+  const layerSrc = [];
+  let index = 0;
+  for (const [color, raw] of byColor) {
+    if (raw.length === 0) continue;
+    index++;
+    const { ordered, travel } = orderStrokes(joinCollinear(raw, tolerance), widthMm, heightMm);
+    const chained = chainStrokes(ordered, tolerance);
+    travelMm += travel;
+    strokeCount += chained.length;
+    const paths = chained.map(({ pts }) => {
+      drawMm += strokeLength(pts);
+      let d = '';
+      for (let i = 0; i < pts.length; i += 2) d += `${i === 0 ? 'M' : 'L'}${fmt(pts[i])},${fmt(pts[i + 1])}`;
+      return `<path d="${d}"/>`;
+    });
+    layerSrc.push(
+      `<g inkscape:groupmode="layer" inkscape:label="${index} pen ${color}" id="layer${index}" ` +
+      `fill="none" stroke="${color}" stroke-width="${fmt(penMm)}" stroke-linecap="round" stroke-linejoin="round">\n` +
+      `${paths.join('\n')}\n</g>`,
+    );
+  }
+
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" xmlns:inkscape="http://www.inkscape.org/namespaces/inkscape" ` +
+    `width="${fmt(widthMm)}mm" height="${fmt(heightMm)}mm" viewBox="0 0 ${fmt(widthMm)} ${fmt(heightMm)}">\n` +
+    `${layerSrc.join('\n')}\n</svg>`;
+  return {
+    svg,
+    stats: { widthMm, heightMm, layers: layerSrc.length, strokes: strokeCount, drawMm, travelMm },
+  };
+}
@@ -0,0 +1,608 @@
+/**
+ * Static exports — PNG, PDF and EPS built in the browser from a generate()
+ * SVG string.
+ *
+ * PNG rasterises the SVG through an <img> onto a canvas at the requested
+ * pixel size (optionally tagged with a DPI for print). PDF and EPS are
+ * written directly as vector drawing operators: the SVG is walked into
+ * filled / stroked paths with transforms resolved, and both writers share
+ * one operator vocabulary (the EPS prolog aliases PostScript to PDF's names).
+ *
+ * Supported: <path>, <rect>, <circle>, <ellipse>, <line>, <polyline>,
+ * <polygon>, <g> and <use> with transforms; hex fills / strokes,
+ * userSpaceOnUse <linearGradient>s, stroke width, caps, joins and dashes —
+ * everything the generators emit. Opacity, clip paths, masks, text and
+ * SMIL animation are ignored.
+ */
+
+import { zlibSync } from 'fflate';
+import { hexToRgb } from './utils/color.js';
+import { IDENTITY, parsePathData, arcTo, multiply, parseTransform, applyMatrix } from './svg-paths.js';
+
+export const STATIC_FORMATS = [
+  { value: 'png', label: 'PNG' },
+  { value: 'pdf', label: 'PDF (vector)' },
+  { value: 'eps', label: 'EPS (vector)' },
+];
+
+// PNG sizes — multiples of the SVG's own size, or a print size at a DPI
+export const PNG_SIZES = [
+  { value: 'x1', label: '1×', scale: 1 },
+  { value: 'x2', label: '2×', scale: 2 },
+  { value: 'x4', label: '4×', scale: 4 },
+  { value: 'print', label: 'Print (mm @ DPI)', scale: 0 },
+];
+
+export const PRINT_DPIS = [150, 300, 600];
+
+const MM_PER_INCH = 25.4;
+const PT_PER_INCH = 72;
+
+// Bézier handle length for a quarter ellipse
+const KAPPA = 0.5522847498;
+
+// Arcs are flattened to lines no longer than this (SVG units)
+const ARC_TOLERANCE = 0.25;
+
+const SHAPE_TAGS = new Set(['path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon']);
+
+const LINE_CAPS = { butt: 0, round: 1, square: 2 };
+const LINE_JOINS = { miter: 0, round: 1, bevel: 2 };
+
+// Presentation attributes inherited from <g> / <use> down to the shapes
+const INHERITED = ['fill', 'stroke', 'stroke-width', 'stroke-linecap', 'stroke-linejoin', 'stroke-dasharray', 'stroke-dashoffset', 'fill-rule'];
+const DEFAULT_STYLE = { fill: '#000000', stroke: 'none', 'stroke-width': '1' };
+
+const fmt = (n) => String(+n.toFixed(2));
+const fmtMatrix = (m) => m.map((n) => String(+n.toFixed(6))).join(' ');
+const fmtColor = (v) => String(+(v / 255).toFixed(3));
+
+/**
+ * Pixel size of a PNG export.
+ *   pngSize — one of PNG_SIZES
+ *   widthMm, dpi — print size, for 'print'
+ * Returns { width, height, dpi } (dpi null for the multiples).
+ */
+export function resolvePngSize({ pngSize, widthMm, dpi }, svgW, svgH) {
+  const size = PNG_SIZES.find((s) => s.value === pngSize) ?? PNG_SIZES[0];
+  const width = size.scale
+    ? Math.round(svgW * size.scale)
+    : Math.round((widthMm / MM_PER_INCH) * dpi);
+  return { width, height: Math.max(1, Math.round((width * svgH) / svgW)), dpi: size.scale ? null : dpi };
+}
+
+// Page height in mm for a vector export `widthMm` wide
+export function printHeightMm(widthMm, svgW, svgH) {
+  return (widthMm * svgH) / svgW;
+}
+
+// ── SVG → shape list ──────────────────────────────────────────────────────
+
+/**
+ * Walk an SVG string into { width, height, shapes } (also the input of the
+ * plotter export). Each shape is
+ * { ops, fill, stroke, strokeWidth, cap, join, dash, dashOffset, evenOdd }
+ * with ops [['M', x, y] | ['L', x, y] | ['C', x1, y1, x2, y2, x, y] | ['Z']]
+ * in viewBox units (transforms applied, origin at the viewBox corner) and
+ * paints { rgb } | { gradient } | null.
+ */
+export function readSVGShapes(svgString) {
+  const doc = new DOMParser().parseFromString(svgString, 'image/svg+xml');
+  const svg = doc.querySelector('svg');
+  if (!svg) throw new Error('Not an SVG document');
+
+  const vb = (svg.getAttribute('viewBox') || '').split(/[\s,]+/).map(Number);
+  const hasViewBox = vb.length === 4 && vb.every(Number.isFinite);
+  const width = hasViewBox ? vb[2] : parseFloat(svg.getAttribute('width')) || 0;
+  const height = hasViewBox ? vb[3] : parseFloat(svg.getAttribute('height')) || 0;
+  if (!(width > 0 && height > 0)) throw new Error('SVG has no size');
+
+  const defs = new Map();
+  for (const el of svg.querySelectorAll('[id]')) defs.set(el.getAttribute('id'), el);
+
+  const shapes = [];
+  const origin = hasViewBox ? [1, 0, 0, 1, -vb[0], -vb[1]] : IDENTITY;
+  walk(svg, origin, inheritStyle(DEFAULT_STYLE, svg), defs, shapes);
+  return { width, height, shapes };
+}
+
+function inheritStyle(parent, el) {
+  const style = { ...parent };
+  for (const name of INHERITED) {
+    if (el.hasAttribute(name)) style[name] = el.getAttribute(name);
+  }
+  return style;
+}
+
+function walk(el, matrix, style, defs, out) {
+  for (const child of el.children) {
+    const tag = child.localName;
+    if (child.getAttribute('display') === 'none') continue;
+    const m = multiply(matrix, parseTransform(child.getAttribute('transform')));
+    const s = inheritStyle(style, child);
+
+    if (tag === 'g' || tag === 'a') {
+      walk(child, m, s, defs, out);
+    } else if (tag === 'use') {
+      const ref = defs.get((child.getAttribute('href') || child.getAttribute('xlink:href') || '').slice(1));
+      if (!ref || !SHAPE_TAGS.has(ref.localName)) continue;
+      const at = multiply(m, [1, 0, 0, 1, num(child, 'x'), num(child, 'y')]);
+      addShape(ref, multiply(at, parseTransform(ref.getAttribute('transform'))), inheritStyle(s, ref), defs, out);
+    } else if (SHAPE_TAGS.has(tag)) {
+      addShape(child, m, s, defs, out);
+    }
+    // <defs>, <linearGradient>, <animate> … draw nothing themselves
+  }
+}
+
+function num(el, name, fallback = 0) {
+  const v = parseFloat(el.getAttribute(name));
+  return Number.isFinite(v) ? v : fallback;
+}
+
+function addShape(el, m, style, defs, out) {
+  const fill = parsePaint(style.fill, m, defs);
+  const scale = Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+  const strokeWidth = (parseFloat(style['stroke-width']) || 0) * scale;
+  const stroke = strokeWidth > 0 ? parsePaint(style.stroke, m, defs) : null;
+  if (!fill && !stroke) return;
+
+  const ops = transformOps(shapeOps(el), m);
+  if (ops.length === 0) return;
+
+  const dash = (style['stroke-dasharray'] || 'none') === 'none'
+    ? null
+    : style['stroke-dasharray'].split(/[\s,]+/).map(Number).filter((v) => v >= 0).map((v) => v * scale);
+  out.push({
+    ops,
+    fill,
+    stroke,
+    strokeWidth,
+    cap: LINE_CAPS[style['stroke-linecap']] ?? 0,
+    join: LINE_JOINS[style['stroke-linejoin']] ?? 0,
+    dash: dash && dash.some((v) => v > 0) ? dash : null,
+    dashOffset: (parseFloat(style['stroke-dashoffset']) || 0) * scale,
+    evenOdd: style['fill-rule'] === 'evenodd',
+  });
+}
+
+// 'none' → null, url(#id) → gradient, anything else → hex colour
+function parsePaint(value, m, defs) {
+  if (!value || value === 'none' || value === 'transparent') return null;
+  const ref = value.match(/^url\(\s*#([^)\s]+)\s*\)/);
+  if (!ref) return { rgb: hexToRgb(value) };
+
+  const el = defs.get(ref[1]);
+  if (!el || el.localName !== 'linearGradient') return null;
+  const stops = [...el.querySelectorAll('stop')].map((stop) => ({
+    offset: Math.min(1, Math.max(0, parseFloat(stop.getAttribute('offset')) || 0)),
+    rgb: hexToRgb(stop.getAttribute('stop-color') || '#000000'),
+  }));
+  if (stops.length === 0) return null;
+  if (stops.length === 1) return { rgb: stops[0].rgb };
+  // Pad to the full 0..1 domain the shading function covers
+  if (stops[0].offset > 0) stops.unshift({ offset: 0, rgb: stops[0].rgb });
+  if (stops[stops.length - 1].offset < 1) stops.push({ offset: 1, rgb: stops[stops.length - 1].rgb });
+  // userSpaceOnUse coordinates follow the referencing element's transform
+  const [x1, y1, x2, y2] = applyMatrix(m, [num(el, 'x1'), num(el, 'y1'), num(el, 'x2', 1), num(el, 'y2')]);
+  return { gradient: { x1, y1, x2, y2, stops } };
+}
+
+// Element geometry as absolute M / L / C / Z ops in its own user space
+function shapeOps(el) {
+  switch (el.localName) {
+    case 'path':
+      return pathOps(el.getAttribute('d') || '');
+    case 'line':
+      return [['M', num(el, 'x1'), num(el, 'y1')], ['L', num(el, 'x2'), num(el, 'y2')]];
+    case 'polyline':
+    case 'polygon': {
+      const pts = (el.getAttribute('points') || '').trim().split(/[\s,]+/).map(Number).filter(Number.isFinite);
+      const ops = [];
+      for (let i = 0; i + 1 < pts.length; i += 2) ops.push([i === 0 ? 'M' : 'L', pts[i], pts[i + 1]]);
+      if (el.localName === 'polygon' && ops.length) ops.push(['Z']);
+      return ops;
+    }
+    case 'circle': {
+      const r = num(el, 'r');
+      return r > 0 ? ellipseOps(num(el, 'cx'), num(el, 'cy'), r, r) : [];
+    }
+    case 'ellipse': {
+      const rx = num(el, 'rx');
+      const ry = num(el, 'ry');
+      return rx > 0 && ry > 0 ? ellipseOps(num(el, 'cx'), num(el, 'cy'), rx, ry) : [];
+    }
+    case 'rect': {
+      const x = num(el, 'x');
+      const y = num(el, 'y');
+      const w = num(el, 'width');
+      const h = num(el, 'height');
+      if (w <= 0 || h <= 0) return [];
+      const rx = Math.min(num(el, 'rx', num(el, 'ry')), w / 2);
+      const ry = Math.min(num(el, 'ry', rx), h / 2);
+      if (rx <= 0 || ry <= 0) return [['M', x, y], ['L', x + w, y], ['L', x + w, y + h], ['L', x, y + h], ['Z']];
+      return pathOps(
+        `M${x + rx},${y} H${x + w - rx} A${rx},${ry} 0 0 1 ${x + w},${y + ry} V${y + h - ry} ` +
+        `A${rx},${ry} 0 0 1 ${x + w - rx},${y + h} H${x + rx} A${rx},${ry} 0 0 1 ${x},${y + h - ry} ` +
+        `V${y + ry} A${rx},${ry} 0 0 1 ${x + rx},${y} Z`,
+      );
+    }
+    default:
+      return [];
+  }
+}
+
+function ellipseOps(cx, cy, rx, ry) {
+  const kx = rx * KAPPA;
+  const ky = ry * KAPPA;
+  return [
+    ['M', cx + rx, cy],
+    ['C', cx + rx, cy + ky, cx + kx, cy + ry, cx, cy + ry],
+    ['C', cx - kx, cy + ry, cx - rx, cy + ky, cx - rx, cy],
+    ['C', cx - rx, cy - ky, cx - kx, cy - ry, cx, cy - ry],
+    ['C', cx + kx, cy - ry, cx + rx, cy - ky, cx + rx, cy],
+    ['Z'],
+  ];
+}
+
+// Path data → absolute ops. Quadratics are raised to cubics (exact), arcs
+// are flattened — PDF and PostScript only draw lines and cubics.
+function pathOps(d) {
+  const ops = [];
+  let x = 0;
+  let y = 0;
+  let startX = 0;
+  let startY = 0;
+  let ctrlX = 0; // last control point, reflected by S / T
+  let ctrlY = 0;
+  let prev = '';
+
+  const cubic = (c1x, c1y, c2x, c2y, ex, ey) => {
+    ops.push(['C', c1x, c1y, c2x, c2y, ex, ey]);
+    x = ex;
+    y = ey;
+  };
+  const quad = (qx, qy, ex, ey) => {
+    cubic(x + (2 / 3) * (qx - x), y + (2 / 3) * (qy - y), ex + (2 / 3) * (qx - ex), ey + (2 / 3) * (qy - ey), ex, ey);
+    ctrlX = qx;
+    ctrlY = qy;
+  };
+  const lineTo = (nx, ny) => {
+    ops.push(['L', nx, ny]);
+    x = nx;
+    y = ny;
+  };
+
+  for (const { cmd, args } of parsePathData(d)) {
+    const upper = cmd.toUpperCase();
+    const ox = cmd === upper ? 0 : x;
+    const oy = cmd === upper ? 0 : y;
+
+    switch (upper) {
+      case 'M':
+        x = startX = ox + args[0];
+        y = startY = oy + args[1];
+        ops.push(['M', x, y]);
+        break;
+      case 'L':
+        lineTo(ox + args[0], oy + args[1]);
+        break;
+      case 'H':
+        lineTo(ox + args[0], y);
+        break;
+      case 'V':
+        lineTo(x, oy + args[0]);
+        break;
+      case 'C':
+        cubic(ox + args[0], oy + args[1], ox + args[2], oy + args[3], ox + args[4], oy + args[5]);
+        ctrlX = ox + args[2];
+        ctrlY = oy + args[3];
+        break;
+      case 'S': {
+        const smooth = prev === 'C' || prev === 'S';
+        const c2x = ox + args[0];
+        const c2y = oy + args[1];
+        cubic(smooth ? 2 * x - ctrlX : x, smooth ? 2 * y - ctrlY : y, c2x, c2y, ox + args[2], oy + args[3]);
+        ctrlX = c2x;
+        ctrlY = c2y;
+        break;
+      }
+      case 'Q':
+        quad(ox + args[0], oy + args[1], ox + args[2], oy + args[3]);
+        break;
+      case 'T': {
+        const smooth = prev === 'Q' || prev === 'T';
+        quad(smooth ? 2 * x - ctrlX : x, smooth ? 2 * y - ctrlY : y, ox + args[0], oy + args[1]);
+        break;
+      }
+      case 'A':
+        arcTo(x, y, args[0], args[1], args[2], args[3], args[4], ox + args[5], oy + args[6], ARC_TOLERANCE, lineTo);
+        break;
+      case 'Z':
+        ops.push(['Z']);
+        x = startX;
+        y = startY;
+        break;
+    }
+    prev = upper;
+  }
+  return ops;
+}
+
+function transformOps(ops, m) {
+  if (m === IDENTITY) return ops;
+  return ops.map(([op, ...pts]) => [op, ...applyMatrix(m, pts)]);
+}
+
+// ── Shared drawing operators (PDF names; the EPS prolog defines them) ─────
+
+function pathSrc(ops) {
+  return ops.map(([op, ...pts]) => {
+    const xy = pts.map(fmt).join(' ');
+    if (op === 'M') return `${xy} m`;
+    if (op === 'L') return `${xy} l`;
+    if (op === 'C') return `${xy} c`;
+    return 'h';
+  }).join('\n');
+}
+
+const rgbSrc = (rgb) => rgb.map(fmtColor).join(' ');
+
+// Same dictionary syntax in PDF and PostScript 3
+function shadingSrc({ x1, y1, x2, y2, stops }) {
+  const pieces = stops.slice(1).map((stop, i) =>
+    `<< /FunctionType 2 /Domain [0 1] /C0 [${rgbSrc(stops[i].rgb)}] /C1 [${rgbSrc(stop.rgb)}] /N 1 >>`,
+  );
+  const fn = pieces.length === 1
+    ? pieces[0]
+    : `<< /FunctionType 3 /Domain [0 1] /Functions [${pieces.join(' ')}] ` +
+      `/Bounds [${stops.slice(1, -1).map((s) => fmt(s.offset)).join(' ')}] /Encode [${pieces.map(() => '0 1').join(' ')}] >>`;
+  return `<< /ShadingType 2 /ColorSpace /DeviceRGB /Coords [${[x1, y1, x2, y2].map(fmt).join(' ')}] /Function ${fn} /Extend [true true] >>`;
+}
+
+// Gradients used by the shapes, deduplicated → [{ name, gradient }]
+function collectPatterns(shapes) {
+  const byKey = new Map();
+  for (const shape of shapes) {
+    for (const paint of [shape.fill, shape.stroke]) {
+      if (!paint?.gradient) continue;
+      const key = JSON.stringify(paint.gradient);
+      if (!byKey.has(key)) byKey.set(key, { name: `P${byKey.size}`, gradient: paint.gradient });
+      paint.pattern = byKey.get(key).name;
+    }
+  }
+  return [...byKey.values()];
+}
+
+/**
+ * Drawing operators for every shape. Graphics state is only re-emitted
+ * when it changes — line-halftone output is thousands of segments that
+ * mostly share one colour and width.
+ *
+ * paintSrc(paint, stroking) — colour-setting operators for the dialect
+ * singleColor — PostScript has one current colour for fill and stroke
+ */
+function drawingSrc(shapes, paintSrc, singleColor) {
+  const lines = [];
+  const state = {};
+  const set = (key, value, src) => {
+    if (state[key] === value) return;
+    state[key] = value;
+    lines.push(src);
+  };
+  const paintKey = (paint) => paint.pattern ?? paint.rgb.join(',');
+  const setPaint = (paint, stroking) => {
+    set(singleColor || !stroking ? 'fill' : 'stroke', paintKey(paint), paintSrc(paint, stroking));
+    if (singleColor) state.stroke = state.fill;
+  };
+
+  for (const shape of shapes) {
+    if (shape.stroke) {
+      set('width', shape.strokeWidth, `${fmt(shape.strokeWidth)} w`);
+      set('cap', shape.cap, `${shape.cap} J`);
+      set('join', shape.join, `${shape.join} j`);
+      const dash = shape.dash ? `[${shape.dash.map(fmt).join(' ')}] ${fmt(shape.dashOffset)} d` : '[] 0 d';
+      set('dash', dash, dash);
+    }
+    lines.push(pathSrc(shape.ops));
+
+    const fillOp = shape.evenOdd ? 'f*' : 'f';
+    if (shape.fill && shape.stroke && singleColor) {
+      // fill a copy of the path, then stroke the original
+      lines.push(`gsave ${paintSrc(shape.fill, false)} ${fillOp} grestore`);
+      setPaint(shape.stroke, true);
+      lines.push('S');
+    } else if (shape.fill && shape.stroke) {
+      setPaint(shape.fill, false);
+      setPaint(shape.stroke, true);
+      lines.push(shape.evenOdd ? 'B*' : 'B');
+    } else if (shape.fill) {
+      setPaint(shape.fill, false);
+      lines.push(fillOp);
+    } else {
+      setPaint(shape.stroke, true);
+      lines.push('S');
+    }
+  }
+  return lines.join('\n');
+}
+
+// SVG units → points, y flipped (PDF and PostScript put the origin bottom-left)
+function pageTransform(width, height, widthMm) {
+  const pageW = (widthMm / MM_PER_INCH) * PT_PER_INCH;
+  const s = pageW / width;
+  return { pageW, pageH: height * s, matrix: [s, 0, 0, -s, 0, height * s] };
+}
+
+// ── PDF ───────────────────────────────────────────────────────────────────
+
+const pdfString = (text) => `(${String(text).replace(/[\\()]/g, '\\$&').replace(/[^\x20-\x7e]/g, '?')})`;
+
+/**
+ * Vector PDF, one page `widthMm` wide (height follows the SVG's aspect).
+ * options: widthMm, background (hex or null for none), title
+ * Returns a Blob.
+ */
+export function svgToPDF(svgString, { widthMm, background = null, title = '' }) {
+  const { width, height, shapes } = readSVGShapes(svgString);
+  const { pageW, pageH, matrix } = pageTransform(width, height, widthMm);
+  const patterns = collectPatterns(shapes);
+
+  const paintSrc = (paint, stroking) => {
+    if (paint.pattern) return stroking ? `/Pattern CS /${paint.pattern} SCN` : `/Pattern cs /${paint.pattern} scn`;
+    return `${rgbSrc(paint.rgb)} ${stroking ? 'RG' : 'rg'}`;
+  };
+  const content = [
+    `q ${fmtMatrix(matrix)} cm`,
+    background ? `${rgbSrc(hexToRgb(background))} rg 0 0 ${fmt(width)} ${fmt(height)} re f` : '',
+    drawingSrc(shapes, paintSrc, false),
+    'Q',
+  ].filter(Boolean).join('\n');
+  const stream = zlibSync(new TextEncoder().encode(content), { level: 9 });
+
+  // Objects 1–5 are fixed; patterns follow
+  const patternRefs = patterns.map((p, i) => `/${p.name} ${6 + i} 0 R`).join(' ');
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${fmt(pageW)} ${fmt(pageH)}] ` +
+      `/Resources << /Pattern << ${patternRefs} >> >> /Contents 4 0 R >>`,
+    [`<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`, stream, '\nendstream'],
+    `<< /Title ${pdfString(title)} /Producer (Logo Motion) >>`,
+    ...patterns.map((p) => `<< /PatternType 2 /Matrix [${fmtMatrix(matrix)}] /Shading ${shadingSrc(p.gradient)} >>`),
+  ];
+
+  const encoder = new TextEncoder();
+  const parts = [];
+  let offset = 0;
+  const write = (chunk) => {
+    const bytes = typeof chunk === 'string' ? encoder.encode(chunk) : chunk;
+    parts.push(bytes);
+    offset += bytes.length;
+  };
+
+  write('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n');
+  const offsets = objects.map((body, i) => {
+    const at = offset;
+    write(`${i + 1} 0 obj\n`);
+    for (const chunk of [].concat(body)) write(chunk);
+    write('\nendobj\n');
+    return at;
+  });
+  const xref = offset;
+  write(
+    `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n` +
+    offsets.map((at) => `${String(at).padStart(10, '0')} 00000 n \n`).join('') +
+    `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`,
+  );
+  return new Blob(parts, { type: 'application/pdf' });
+}
+
+// ── EPS ───────────────────────────────────────────────────────────────────
+
+// PostScript aliases for the PDF operator names drawingSrc() writes
+const EPS_PROLOG = `/m /moveto load def /l /lineto load def /c /curveto load def /h /closepath load def
+/f /fill load def /f* /eofill load def /S /stroke load def
+/w /setlinewidth load def /J /setlinecap load def /j /setlinejoin load def /d /setdash load def
+/rg /setrgbcolor load def /RG /setrgbcolor load def`;
+
+/**
+ * Encapsulated PostScript, `widthMm` wide. Gradients need PostScript
+ * level 3 (smooth shading); flat artwork stays level 2.
+ * options: widthMm, background (hex or null), title
+ * Returns the EPS source string.
+ */
+export function svgToEPS(svgString, { widthMm, background = null, title = '' }) {
+  const { width, height, shapes } = readSVGShapes(svgString);
+  const { pageW, pageH, matrix } = pageTransform(width, height, widthMm);
+  const patterns = collectPatterns(shapes);
+
+  const paintSrc = (paint) => (paint.pattern ? `${paint.pattern} setpattern` : `${rgbSrc(paint.rgb)} rg`);
+  const body = [
+    'gsave',
+    `[${fmtMatrix(matrix)}] concat`,
+    // makepattern captures the current (flipped) matrix, like PDF's /Matrix
+    ...patterns.map((p) => `/${p.name} << /PatternType 2 /Shading ${shadingSrc(p.gradient)} >> matrix makepattern def`),
+    background ? `${rgbSrc(hexToRgb(background))} rg 0 0 ${fmt(width)} ${fmt(height)} rectfill` : '',
+    drawingSrc(shapes, paintSrc, true),
+    'grestore',
+  ].filter(Boolean).join('\n');
+
+  return `%!PS-Adobe-3.0 EPSF-3.0
+%%BoundingBox: 0 0 ${Math.ceil(pageW)} ${Math.ceil(pageH)}
+%%HiResBoundingBox: 0 0 ${fmt(pageW)} ${fmt(pageH)}
+%%Title: ${String(title).replace(/[^\x20-\x7e]/g, '?')}
+%%Creator: Logo Motion
+%%LanguageLevel: ${patterns.length ? 3 : 2}
+%%Pages: 1
+%%EndComments
+%%BeginProlog
+${EPS_PROLOG}
+%%EndProlog
+%%Page: 1 1
+${body}
+%%EOF
+`;
+}
+
+// ── PNG ───────────────────────────────────────────────────────────────────
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+
+function crc32(bytes) {
+  let c = 0xffffffff;
+  for (const b of bytes) c = CRC_TABLE[(c ^ b) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+}
+
+// Insert a pHYs chunk (pixels per metre) after IHDR so print software
+// opens the image at its physical size
+async function withDpi(blob, dpi) {
+  const png = new Uint8Array(await blob.arrayBuffer());
+  const ppm = Math.round(dpi / 0.0254);
+  const chunk = new Uint8Array(21);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, 9);
+  chunk.set([0x70, 0x48, 0x59, 0x73], 4); // 'pHYs'
+  view.setUint32(8, ppm);
+  view.setUint32(12, ppm);
+  chunk[16] = 1; // unit: metre
+  view.setUint32(17, crc32(chunk.subarray(4, 17)));
+  const ihdrEnd = 8 + 25; // signature + IHDR (length, type, 13 data bytes, crc)
+  return new Blob([png.subarray(0, ihdrEnd), chunk, png.subarray(ihdrEnd)], { type: 'image/png' });
+}
+
+/**
+ * Rasterise the SVG to a PNG Blob.
+ * options: width, height (px), background (hex or null for transparent),
+ * dpi (optional — written to the file's pHYs chunk)
+ */
+export async function svgToPNG(svgString, { width, height, background = null, dpi = null }) {
+  const url = URL.createObjectURL(new Blob([svgString], { type: 'image/svg+xml' }));
+  try {
+    const img = new Image();
+    img.src = url;
+    await img.decode();
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    if (background) {
+      ctx.fillStyle = background;
+      ctx.fillRect(0, 0, width, height);
+    }
+    ctx.drawImage(img, 0, 0, width, height);
+
+    const blob = await new Promise((resolve, reject) => {
+      canvas.toBlob((b) => (b ? resolve(b) : reject(new Error('PNG encoding failed'))), 'image/png');
+    });
+    return dpi ? withDpi(blob, dpi) : blob;
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
@@ -0,0 +1,503 @@
+/**
+ * SVG Paths — parses the uploaded SVG's geometry into flattened polylines
+ * so effects can follow the logo outline instead of only the raster grid.
+ *
+ * Supported: <path>, <rect> (incl. rx/ry), <circle>, <ellipse>, <line>,
+ * <polyline>, <polygon>, with `transform` on the element and its ancestors.
+ * Text, <use> references and anything inside <defs>/<clipPath>/<mask>/
+ * <symbol>/<pattern> are ignored.
+ *
+ * Coordinates are normalised to the same u, v ∈ [0, 1] space as
+ * sampleData.grid (0,0 = top-left of the viewBox). Arc length is measured
+ * isotropically in u-units (fractions of the logo width), like
+ * sampleData.distance.
+ *
+ * Result (sampleData.paths):
+ *   polylines — [{ points, lengths, length, closed }]
+ *     points  — Float32Array [u0, v0, u1, v1, …]
+ *     lengths — Float32Array cumulative arc length at each point (lengths[0] = 0)
+ *     length  — total arc length of the polyline
+ *     closed  — last point joins the first (Z, rect, circle, polygon …)
+ *   length    — summed length of every polyline
+ *
+ * The path-data, arc and transform helpers are also used by the vector
+ * PDF / EPS writers in static-export.js.
+ */
+
+import { clamp } from './utils/math.js';
+
+const GEOMETRY_TAGS = new Set(['path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon']);
+const SKIPPED_TAGS = new Set(['defs', 'clipPath', 'mask', 'symbol', 'pattern', 'marker', 'text', 'style', 'script']);
+
+// Curves are split into segments no longer than roughly this fraction of the
+// larger viewBox side.
+const FLATTEN_TOLERANCE = 1 / 400;
+const MAX_CURVE_SEGMENTS = 64;
+
+export const IDENTITY = [1, 0, 0, 1, 0, 0];
+
+/**
+ * dims — { width, height } from parseSVGDimensions(), the extent u, v are
+ * normalised against
+ */
+export function extractPaths(svgString, dims) {
+  const doc = new DOMParser().parseFromString(svgString, 'image/svg+xml');
+  const svg = doc.querySelector('svg');
+  if (!svg) return { polylines: [], length: 0 };
+
+  const { width, height } = dims;
+  const vb = (svg.getAttribute('viewBox') || '').split(/[\s,]+/).map(Number);
+  const minX = vb.length === 4 ? vb[0] : 0;
+  const minY = vb.length === 4 ? vb[1] : 0;
+  const tolerance = Math.max(width, height) * FLATTEN_TOLERANCE;
+
+  // Raw subpaths in viewBox units, transforms already applied
+  const subpaths = [];
+  walk(svg, IDENTITY, tolerance, subpaths);
+
+  const polylines = [];
+  let total = 0;
+  for (const sp of subpaths) {
+    if (sp.points.length < 4) continue;
+    const n = sp.points.length / 2;
+    const points = new Float32Array(sp.points.length);
+    const lengths = new Float32Array(n);
+    for (let i = 0; i < n; i++) {
+      points[i * 2] = (sp.points[i * 2] - minX) / width;
+      points[i * 2 + 1] = (sp.points[i * 2 + 1] - minY) / height;
+      if (i > 0) {
+        // isotropic — both axes measured in viewBox units, then / width
+        const dx = sp.points[i * 2] - sp.points[i * 2 - 2];
+        const dy = sp.points[i * 2 + 1] - sp.points[i * 2 - 1];
+        lengths[i] = lengths[i - 1] + Math.hypot(dx, dy) / width;
+      }
+    }
+    const length = lengths[n - 1];
+    if (length <= 0) continue;
+    polylines.push({ points, lengths, length, closed: sp.closed });
+    total += length;
+  }
+
+  return { polylines, length: total };
+}
+
+/**
+ * Point at arc length s along a polyline (clamped to [0, length]).
+ * Returns { u, v, du, dv } — du/dv is the direction of the segment the
+ * point lies on, in u/v units (not normalised).
+ */
+export function pointAtLength(polyline, s) {
+  const { points, lengths, length } = polyline;
+  const target = clamp(s, 0, length);
+  // binary search for the segment containing `target`
+  let lo = 0;
+  let hi = lengths.length - 1;
+  while (hi - lo > 1) {
+    const mid = (lo + hi) >> 1;
+    if (lengths[mid] <= target) lo = mid;
+    else hi = mid;
+  }
+  const segLen = lengths[hi] - lengths[lo];
+  const t = segLen > 0 ? (target - lengths[lo]) / segLen : 0;
+  const du = points[hi * 2] - points[lo * 2];
+  const dv = points[hi * 2 + 1] - points[lo * 2 + 1];
+  return {
+    u: points[lo * 2] + du * t,
+    v: points[lo * 2 + 1] + dv * t,
+    du,
+    dv,
+  };
+}
+
+// ── Tree walk ─────────────────────────────────────────────────────────────
+
+function walk(el, parentMatrix, tolerance, out) {
+  for (const child of el.children) {
+    const tag = child.localName;
+    if (SKIPPED_TAGS.has(tag)) continue;
+    if (child.getAttribute('display') === 'none') continue;
+
+    const m = multiply(parentMatrix, parseTransform(child.getAttribute('transform')));
+    if (GEOMETRY_TAGS.has(tag)) {
+      for (const sp of shapeToSubpaths(child, tolerance)) {
+        out.push({ points: applyMatrix(m, sp.points), closed: sp.closed });
+      }
+    } else {
+      walk(child, m, tolerance, out);
+    }
+  }
+}
+
+function num(el, name, fallback = 0) {
+  const v = parseFloat(el.getAttribute(name));
+  return Number.isFinite(v) ? v : fallback;
+}
+
+function shapeToSubpaths(el, tolerance) {
+  switch (el.localName) {
+    case 'path':
+      return flattenPathData(el.getAttribute('d') || '', tolerance);
+    case 'line':
+      return [{ points: [num(el, 'x1'), num(el, 'y1'), num(el, 'x2'), num(el, 'y2')], closed: false }];
+    case 'polyline':
+    case 'polygon': {
+      const pts = (el.getAttribute('points') || '').trim().split(/[\s,]+/).map(Number).filter(Number.isFinite);
+      if (pts.length % 2) pts.pop();
+      const closed = el.localName === 'polygon';
+      if (closed && pts.length >= 4) pts.push(pts[0], pts[1]);
+      return [{ points: pts, closed }];
+    }
+    case 'circle': {
+      const r = num(el, 'r');
+      return r > 0 ? [ellipsePoints(num(el, 'cx'), num(el, 'cy'), r, r, tolerance)] : [];
+    }
+    case 'ellipse': {
+      const rx = num(el, 'rx');
+      const ry = num(el, 'ry');
+      return rx > 0 && ry > 0 ? [ellipsePoints(num(el, 'cx'), num(el, 'cy'), rx, ry, tolerance)] : [];
+    }
+    case 'rect':
+      return rectSubpaths(el, tolerance);
+    default:
+      return [];
+  }
+}
+
+function ellipsePoints(cx, cy, rx, ry, tolerance) {
+  const n = segmentCount(2 * Math.PI * Math.max(rx, ry), tolerance, 16, MAX_CURVE_SEGMENTS * 2);
+  const points = [];
+  for (let i = 0; i <= n; i++) {
+    const a = (i / n) * Math.PI * 2;
+    points.push(cx + Math.cos(a) * rx, cy + Math.sin(a) * ry);
+  }
+  return { points, closed: true };
+}
+
+function rectSubpaths(el, tolerance) {
+  const x = num(el, 'x');
+  const y = num(el, 'y');
+  const w = num(el, 'width');
+  const h = num(el, 'height');
+  if (w <= 0 || h <= 0) return [];
+
+  // rx / ry default to each other, clamped to half the side
+  let rx = el.hasAttribute('rx') ? num(el, 'rx') : NaN;
+  let ry = el.hasAttribute('ry') ? num(el, 'ry') : NaN;
+  if (Number.isNaN(rx)) rx = Number.isNaN(ry) ? 0 : ry;
+  if (Number.isNaN(ry)) ry = rx;
+  rx = Math.min(rx, w / 2);
+  ry = Math.min(ry, h / 2);
+
+  if (rx <= 0 || ry <= 0) {
+    return [{ points: [x, y, x + w, y, x + w, y + h, x, y + h, x, y], closed: true }];
+  }
+
+  const d = `M${x + rx},${y} H${x + w - rx} A${rx},${ry} 0 0 1 ${x + w},${y + ry} V${y + h - ry} ` +
+    `A${rx},${ry} 0 0 1 ${x + w - rx},${y + h} H${x + rx} A${rx},${ry} 0 0 1 ${x},${y + h - ry} ` +
+    `V${y + ry} A${rx},${ry} 0 0 1 ${x + rx},${y} Z`;
+  return flattenPathData(d, tolerance);
+}
+
+function segmentCount(approxLength, tolerance, min = 4, max = MAX_CURVE_SEGMENTS) {
+  return Math.round(clamp(Math.ceil(approxLength / tolerance), min, max));
+}
+
+// ── Path data ─────────────────────────────────────────────────────────────
+
+const NUMBER_RE = /[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/y;
+const PARAM_COUNT = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+
+/**
+ * Tokenise `d` into [{ cmd, args }] — one entry per implicit repeat, so
+ * "L1 2 3 4" becomes two L commands. Arc flags may be packed ("a1 1 0 011 1").
+ */
+export function parsePathData(d) {
+  const out = [];
+  let i = 0;
+  let cmd = null;
+
+  const skipSeparators = () => {
+    while (i < d.length && /[\s,]/.test(d[i])) i++;
+  };
+  const readNumber = () => {
+    skipSeparators();
+    NUMBER_RE.lastIndex = i;
+    const m = NUMBER_RE.exec(d);
+    if (!m) return null;
+    i = NUMBER_RE.lastIndex;
+    return parseFloat(m[0]);
+  };
+  const readFlag = () => {
+    skipSeparators();
+    const c = d[i];
+    if (c !== '0' && c !== '1') return null;
+    i++;
+    return c === '1' ? 1 : 0;
+  };
+
+  while (true) {
+    skipSeparators();
+    if (i >= d.length) break;
+    if (/[a-zA-Z]/.test(d[i])) {
+      cmd = d[i++];
+      if (!(cmd.toUpperCase() in PARAM_COUNT)) return out; // unknown command — stop
+      if (cmd === 'Z' || cmd === 'z') {
+        out.push({ cmd, args: [] });
+        continue;
+      }
+    } else if (!cmd || cmd === 'Z' || cmd === 'z') {
+      return out; // stray number
+    }
+
+    const upper = cmd.toUpperCase();
+    const args = [];
+    for (let k = 0; k < PARAM_COUNT[upper]; k++) {
+      const v = upper === 'A' && (k === 3 || k === 4) ? readFlag() : readNumber();
+      if (v === null) return out; // malformed — keep what parsed so far
+      args.push(v);
+    }
+    out.push({ cmd, args });
+    // Extra coordinate pairs after a moveto are implicit linetos
+    if (cmd === 'M') cmd = 'L';
+    else if (cmd === 'm') cmd = 'l';
+  }
+  return out;
+}
+
+function flattenPathData(d, tolerance) {
+  const subpaths = [];
+  let current = null;
+  let x = 0;
+  let y = 0;
+  let startX = 0;
+  let startY = 0;
+  let lastCtrlX = 0; // reflected by S / T
+  let lastCtrlY = 0;
+  let prevCmd = '';
+
+  const lineTo = (nx, ny) => {
+    if (!current) {
+      current = { points: [x, y], closed: false };
+      subpaths.push(current);
+    }
+    current.points.push(nx, ny);
+    x = nx;
+    y = ny;
+  };
+
+  for (const { cmd, args } of parsePathData(d)) {
+    const rel = cmd === cmd.toLowerCase();
+    const ox = rel ? x : 0;
+    const oy = rel ? y : 0;
+    const upper = cmd.toUpperCase();
+
+    switch (upper) {
+      case 'M':
+        x = startX = ox + args[0];
+        y = startY = oy + args[1];
+        current = null;
+        break;
+      case 'L':
+        lineTo(ox + args[0], oy + args[1]);
+        break;
+      case 'H':
+        lineTo(ox + args[0], y);
+        break;
+      case 'V':
+        lineTo(x, oy + args[0]);
+        break;
+      case 'C':
+      case 'S': {
+        let c1x, c1y;
+        if (upper === 'S') {
+          const smooth = prevCmd === 'C' || prevCmd === 'S';
+          c1x = smooth ? 2 * x - lastCtrlX : x;
+          c1y = smooth ? 2 * y - lastCtrlY : y;
+        } else {
+          c1x = ox + args[0];
+          c1y = oy + args[1];
+        }
+        const o = upper === 'S' ? 0 : 2;
+        const c2x = ox + args[o];
+        const c2y = oy + args[o + 1];
+        const ex = ox + args[o + 2];
+        const ey = oy + args[o + 3];
+        const n = segmentCount(
+          Math.hypot(c1x - x, c1y - y) + Math.hypot(c2x - c1x, c2y - c1y) + Math.hypot(ex - c2x, ey - c2y),
+          tolerance,
+        );
+        const x0 = x;
+        const y0 = y;
+        for (let k = 1; k <= n; k++) {
+          const t = k / n;
+          const mt = 1 - t;
+          lineTo(
+            mt * mt * mt * x0 + 3 * mt * mt * t * c1x + 3 * mt * t * t * c2x + t * t * t * ex,
+            mt * mt * mt * y0 + 3 * mt * mt * t * c1y + 3 * mt * t * t * c2y + t * t * t * ey,
+          );
+        }
+        lastCtrlX = c2x;
+        lastCtrlY = c2y;
+        break;
+      }
+      case 'Q':
+      case 'T': {
+        let cx, cy;
+        if (upper === 'T') {
+          const smooth = prevCmd === 'Q' || prevCmd === 'T';
+          cx = smooth ? 2 * x - lastCtrlX : x;
+          cy = smooth ? 2 * y - lastCtrlY : y;
+        } else {
+          cx = ox + args[0];
+          cy = oy + args[1];
+        }
+        const o = upper === 'T' ? 0 : 2;
+        const ex = ox + args[o];
+        const ey = oy + args[o + 1];
+        const n = segmentCount(Math.hypot(cx - x, cy - y) + Math.hypot(ex - cx, ey - cy), tolerance);
+        const x0 = x;
+        const y0 = y;
+        for (let k = 1; k <= n; k++) {
+          const t = k / n;
+          const mt = 1 - t;
+          lineTo(mt * mt * x0 + 2 * mt * t * cx + t * t * ex, mt * mt * y0 + 2 * mt * t * cy + t * t * ey);
+        }
+        lastCtrlX = cx;
+        lastCtrlY = cy;
+        break;
+      }
+      case 'A':
+        arcTo(x, y, args[0], args[1], args[2], args[3], args[4], ox + args[5], oy + args[6], tolerance, lineTo);
+        break;
+      case 'Z':
+        if (current) {
+          if (x !== startX || y !== startY) lineTo(startX, startY);
+          current.closed = true;
+        }
+        x = startX;
+        y = startY;
+        current = null;
+        break;
+    }
+    prevCmd = upper;
+  }
+
+  return subpaths;
+}
+
+/**
+ * Elliptical arc, endpoint → centre parameterisation (SVG spec F.6.5),
+ * flattened through lineTo.
+ */
+export function arcTo(x1, y1, rx, ry, rotationDeg, largeArc, sweep, x2, y2, tolerance, lineTo) {
+  if (x1 === x2 && y1 === y2) return;
+  rx = Math.abs(rx);
+  ry = Math.abs(ry);
+  if (rx === 0 || ry === 0) {
+    lineTo(x2, y2);
+    return;
+  }
+
+  const phi = (rotationDeg * Math.PI) / 180;
+  const cosPhi = Math.cos(phi);
+  const sinPhi = Math.sin(phi);
+  const dx = (x1 - x2) / 2;
+  const dy = (y1 - y2) / 2;
+  const x1p = cosPhi * dx + sinPhi * dy;
+  const y1p = -sinPhi * dx + cosPhi * dy;
+
+  // Scale radii up when they cannot span the endpoints
+  const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+  if (lambda > 1) {
+    rx *= Math.sqrt(lambda);
+    ry *= Math.sqrt(lambda);
+  }
+
+  const numer = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+  const denom = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+  let coef = Math.sqrt(Math.max(0, numer / denom));
+  if (largeArc === sweep) coef = -coef;
+  const cxp = (coef * rx * y1p) / ry;
+  const cyp = (-coef * ry * x1p) / rx;
+  const cx = cosPhi * cxp - sinPhi * cyp + (x1 + x2) / 2;
+  const cy = sinPhi * cxp + cosPhi * cyp + (y1 + y2) / 2;
+
+  const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+  const theta1 = angle(1, 0, (x1p - cxp) / rx, (y1p - cyp) / ry);
+  let delta = angle((x1p - cxp) / rx, (y1p - cyp) / ry, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+  if (!sweep && delta > 0) delta -= Math.PI * 2;
+  else if (sweep && delta < 0) delta += Math.PI * 2;
+
+  const n = segmentCount(Math.abs(delta) * Math.max(rx, ry), tolerance);
+  for (let k = 1; k <= n; k++) {
+    const t = theta1 + (delta * k) / n;
+    const ex = Math.cos(t) * rx;
+    const ey = Math.sin(t) * ry;
+    if (k === n) lineTo(x2, y2); // land exactly on the endpoint
+    else lineTo(cosPhi * ex - sinPhi * ey + cx, sinPhi * ex + cosPhi * ey + cy);
+  }
+}
+
+// ── Transforms ────────────────────────────────────────────────────────────
+// Matrices are [a, b, c, d, e, f] as in SVG: x' = a·x + c·y + e, y' = b·x + d·y + f
+
+export function multiply(m, n) {
+  return [
+    m[0] * n[0] + m[2] * n[1],
+    m[1] * n[0] + m[3] * n[1],
+    m[0] * n[2] + m[2] * n[3],
+    m[1] * n[2] + m[3] * n[3],
+    m[0] * n[4] + m[2] * n[5] + m[4],
+    m[1] * n[4] + m[3] * n[5] + m[5],
+  ];
+}
+
+export function parseTransform(str) {
+  if (!str) return IDENTITY;
+  let m = IDENTITY;
+  const re = /(matrix|translate|scale|rotate|skewX|skewY)\s*\(([^)]*)\)/g;
+  let match;
+  while ((match = re.exec(str))) {
+    const a = match[2].trim().split(/[\s,]+/).map(Number);
+    let t;
+    switch (match[1]) {
+      case 'matrix':
+        t = a.length === 6 ? a : IDENTITY;
+        break;
+      case 'translate':
+        t = [1, 0, 0, 1, a[0] || 0, a[1] || 0];
+        break;
+      case 'scale':
+        t = [a[0], 0, 0, a.length > 1 ? a[1] : a[0], 0, 0];
+        break;
+      case 'rotate': {
+        const r = ((a[0] || 0) * Math.PI) / 180;
+        const cos = Math.cos(r);
+        const sin = Math.sin(r);
+        t = [cos, sin, -sin, cos, 0, 0];
+        if (a.length === 3) {
+          t = multiply(multiply([1, 0, 0, 1, a[1], a[2]], t), [1, 0, 0, 1, -a[1], -a[2]]);
+        }
+        break;
+      }
+      case 'skewX':
+        t = [1, 0, Math.tan(((a[0] || 0) * Math.PI) / 180), 1, 0, 0];
+        break;
+      case 'skewY':
+        t = [1, Math.tan(((a[0] || 0) * Math.PI) / 180), 0, 1, 0, 0];
+        break;
+    }
+    m = multiply(m, t);
+  }
+  return m;
+}
+
+export function applyMatrix(m, pts) {
+  if (m === IDENTITY) return pts;
+  const out = new Array(pts.length);
+  for (let i = 0; i < pts.length; i += 2) {
+    out[i] = m[0] * pts[i] + m[2] * pts[i + 1] + m[4];
+    out[i + 1] = m[1] * pts[i] + m[3] * pts[i + 1] + m[5];
+  }
+  return out;
+}
@@ -1,11 +1,54 @@
 /**
- * SVG Sampler — renders any SVG to an offscreen canvas and extracts
- * a 2D brightness grid that preserves the logo's natural aspect ratio.
+ * SVG Sampler — renders any SVG (or raster image) to an offscreen canvas
+ * and extracts a 2D brightness grid that preserves the logo's natural
+ * aspect ratio.
  *
  * brightness: 0 = fully dark (logo present), 1 = fully light (empty)
+ *
+ * Alongside the brightness grid the sampler keeps the logo's real colors:
+ *   alpha — coverage per cell, 0 = transparent, 1 = opaque
+ *   rgb   — straight (un-premultiplied) R,G,B per cell, 3 bytes per column
+ * so effects can paint with the underlying logo color and tell transparent
+ * pixels apart from white ones.
+ *
+ * Optionally (options.distanceField) it also computes a signed distance
+ * field to the logo edge:
+ *   distance — per cell, negative inside the logo, positive outside, in
+ *              u-units (fractions of the logo width) so it reads the same at
+ *              any grid resolution. Sample it with sampleDistance() from
+ *              utils/math.js.
+ *
+ * SVG sources additionally carry `paths` — the vector outline flattened to
+ * arc-length parameterised polylines (see svg-paths.js); null for rasters.
  */
 
-export async function sampleSVG(svgString, targetCols = 300) {
+import { extractPaths } from './svg-paths.js';
+
+// Darkness below which a cell counts as empty background (matches the
+// default `sampleData.threshold` cutoff used by the effects).
+const INK_THRESHOLD = 0.3;
+
+// Coverage level treated as the logo edge when building the distance field
+// (the mid-point of the anti-aliased ramp, independent of the effect threshold).
+const EDGE_LEVEL = 0.5;
+
+// How the brightness grid is derived from the rendered logo.
+//   auto      — luminance over white, alpha coverage for light-on-transparent art
+//   luminance — luminance over white (dark marks = logo)
+//   alpha     — coverage only, any opaque pixel is logo regardless of color
+//   inverted  — inverted luminance over black, for white / reversed-out artwork
+export const SAMPLING_MODES = [
+  { value: 'auto', label: 'Auto' },
+  { value: 'luminance', label: 'Luminance' },
+  { value: 'alpha', label: 'Alpha' },
+  { value: 'inverted', label: 'Inverted' },
+];
+
+/**
+ * options.mode          — one of SAMPLING_MODES (default 'auto')
+ * options.distanceField — also compute sampleData.distance (default false)
+ */
+export async function sampleSVG(svgString, targetCols = 300, options = {}) {
   const dims = parseSVGDimensions(svgString);
   const logoAspect = dims.width / dims.height; // e.g. 1075/221 = 4.86 for FILMER
 
@@ -19,49 +62,202 @@ export async function sampleSVG(svgString, targetCols = 300) {
   const blob = new Blob([sizedSvg], { type: 'image/svg+xml;charset=utf-8' });
   const url = URL.createObjectURL(blob);
 
+  const img = await loadImage(url);
+  URL.revokeObjectURL(url);
+
+  return {
+    ...sampleImage(img, dims.width, dims.height, cols, rows, options),
+    paths: extractPaths(svgString, dims),
+  };
+}
+
+/**
+ * Raster logo (PNG / JPG / WebP) — same grid as sampleSVG(), with the
+ * aspect ratio taken from the image's natural size.
+ *
+ * src — data: or blob: URL of the image
+ */
+export async function sampleRaster(src, targetCols = 300, options = {}) {
+  const img = await loadImage(src);
+  const width = img.naturalWidth || 100;
+  const height = img.naturalHeight || 100;
+
+  const cols = targetCols;
+  const rows = Math.max(1, Math.round(targetCols / (width / height)));
+
+  return sampleImage(img, width, height, cols, rows, options);
+}
+
+function loadImage(src) {
   const img = new Image();
   img.crossOrigin = 'anonymous';
-  await new Promise((resolve, reject) => {
-    img.onload = resolve;
+  return new Promise((resolve, reject) => {
+    img.onload = () => resolve(img);
     img.onerror = reject;
-    img.src = url;
+    img.src = src;
   });
-  URL.revokeObjectURL(url);
+}
 
-  // Draw SVG filling the entire grid canvas — no padding, no letterbox
+/**
+ * Shared rasterise → grid step. width/height are the logo's intrinsic
+ * dimensions (reported as svgWidth/svgHeight for every source type).
+ */
+function sampleImage(img, width, height, cols, rows, options) {
+  const { mode = 'auto', distanceField = false } = options;
+
+  // Draw the logo filling the entire grid canvas — no padding, no letterbox.
+  // The canvas stays transparent so alpha survives; the white backdrop the
+  // brightness grid assumes is composited numerically below.
   const canvas = document.createElement('canvas');
   canvas.width = cols;
   canvas.height = rows;
-  const ctx = canvas.getContext('2d');
+  const ctx = canvas.getContext('2d', { willReadFrequently: true });
 
-  ctx.fillStyle = '#ffffff';
-  ctx.fillRect(0, 0, cols, rows);
+  ctx.clearRect(0, 0, cols, rows);
+  ctx.imageSmoothingQuality = 'high'; // large rasters are downscaled a lot
   ctx.drawImage(img, 0, 0, cols, rows); // full extent
 
-  // Extract brightness grid
   const imageData = ctx.getImageData(0, 0, cols, rows);
   const { data } = imageData;
 
+  // Extract brightness (per sampling mode), alpha and color grids
   const grid = [];
+  const alpha = [];
+  const rgb = [];
+  let maxInk = 0;
+  let maxAlpha = 0;
   for (let y = 0; y < rows; y++) {
     const row = new Float32Array(cols);
+    const alphaRow = new Float32Array(cols);
+    const rgbRow = new Uint8ClampedArray(cols * 3);
     for (let x = 0; x < cols; x++) {
       const i = (y * cols + x) * 4;
-      row[x] = (data[i] + data[i + 1] + data[i + 2]) / (3 * 255);
+      const a = data[i + 3] / 255;
+      const lum = (data[i] + data[i + 1] + data[i + 2]) / (3 * 255);
+      if (mode === 'alpha') row[x] = 1 - a;
+      else if (mode === 'inverted') row[x] = 1 - lum * a; // over black, then inverted
+      else row[x] = lum * a + (1 - a);                    // over white
+      alphaRow[x] = a;
+      rgbRow[x * 3] = data[i];
+      rgbRow[x * 3 + 1] = data[i + 1];
+      rgbRow[x * 3 + 2] = data[i + 2];
+      if (1 - row[x] > maxInk) maxInk = 1 - row[x];
+      if (a > maxAlpha) maxAlpha = a;
     }
     grid.push(row);
+    alpha.push(alphaRow);
+    rgb.push(rgbRow);
+  }
+
+  // White / light artwork on a transparent background has no dark ink at
+  // all and would sample as empty — fall back to alpha coverage so the
+  // marks are still there.
+  if (mode === 'auto' && maxInk < INK_THRESHOLD && maxAlpha >= 0.5) {
+    for (let y = 0; y < rows; y++) {
+      for (let x = 0; x < cols; x++) grid[y][x] = 1 - alpha[y][x];
+    }
   }
 
   return {
     grid,
+    alpha,
+    rgb,
+    distance: distanceField ? computeDistanceField(grid, cols, rows) : null,
+    paths: null,
     cols,               // e.g. 300
     rows,               // e.g. 62
     aspect: cols / rows, // real logo aspect ratio (e.g. 4.84)
-    svgWidth: dims.width,
-    svgHeight: dims.height,
+    svgWidth: width,
+    svgHeight: height,
   };
 }
 
+/**
+ * Signed distance field from the brightness grid. A cell is inside when its
+ * darkness reaches EDGE_LEVEL; the edge is placed half a cell from the
+ * nearest cell centre of the opposite side.
+ */
+function computeDistanceField(grid, cols, rows) {
+  const n = cols * rows;
+  const inside = new Uint8Array(n);
+  for (let y = 0; y < rows; y++) {
+    for (let x = 0; x < cols; x++) inside[y * cols + x] = 1 - grid[y][x] >= EDGE_LEVEL ? 1 : 0;
+  }
+
+  const toInside = squaredDistanceTransform(inside, 1, cols, rows);
+  const toOutside = squaredDistanceTransform(inside, 0, cols, rows);
+
+  const distance = [];
+  for (let y = 0; y < rows; y++) {
+    const row = new Float32Array(cols);
+    for (let x = 0; x < cols; x++) {
+      const i = y * cols + x;
+      const d = inside[i]
+        ? -(Math.sqrt(toOutside[i]) - 0.5)
+        : Math.sqrt(toInside[i]) - 0.5;
+      // Empty (or fully covered) logos have no edge — cap at the grid diagonal
+      row[x] = Math.max(-(cols + rows), Math.min(d, cols + rows)) / cols; // cells → u-units
+    }
+    distance.push(row);
+  }
+  return distance;
+}
+
+/**
+ * Exact squared Euclidean distance (in cells) from every cell to the nearest
+ * cell whose mask equals `target` — Felzenszwalb & Huttenlocher, one 1D pass
+ * per column then per row. Cells with no target anywhere get Infinity.
+ */
+function squaredDistanceTransform(mask, target, cols, rows) {
+  const out = new Float64Array(cols * rows);
+  for (let i = 0; i < out.length; i++) out[i] = mask[i] === target ? 0 : Infinity;
+
+  const size = Math.max(cols, rows);
+  const f = new Float64Array(size);
+  const d = new Float64Array(size);
+  const v = new Int32Array(size);
+  const z = new Float64Array(size + 1);
+
+  for (let x = 0; x < cols; x++) {
+    for (let y = 0; y < rows; y++) f[y] = out[y * cols + x];
+    transform1D(f, rows, d, v, z);
+    for (let y = 0; y < rows; y++) out[y * cols + x] = d[y];
+  }
+  for (let y = 0; y < rows; y++) {
+    for (let x = 0; x < cols; x++) f[x] = out[y * cols + x];
+    transform1D(f, cols, d, v, z);
+    for (let x = 0; x < cols; x++) out[y * cols + x] = d[x];
+  }
+  return out;
+}
+
+// Lower envelope of parabolas rooted at f[q] — writes d[0..n)
+function transform1D(f, n, d, v, z) {
+  let k = -1;
+  for (let q = 0; q < n; q++) {
+    if (f[q] === Infinity) continue;
+    let s = -Infinity;
+    while (k >= 0) {
+      s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+      if (s > z[k]) break;
+      k--;
+    }
+    k++;
+    v[k] = q;
+    z[k] = k === 0 ? -Infinity : s;
+    z[k + 1] = Infinity;
+  }
+  if (k < 0) {
+    for (let q = 0; q < n; q++) d[q] = Infinity;
+    return;
+  }
+  let j = 0;
+  for (let q = 0; q < n; q++) {
+    while (z[j + 1] < q) j++;
+    d[q] = (q - v[j]) * (q - v[j]) + f[v[j]];
+  }
+}
+
 /**
  * Ensure the SVG string has explicit width/height attributes.
  */
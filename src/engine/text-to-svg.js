@@ -0,0 +1,84 @@
+/**
+ * Text → SVG — renders a typed wordmark into a standalone SVG string so it
+ * goes through the same sampleSVG() path as an uploaded logo.
+ *
+ * The SVG is cropped to the text's ink bounds (measured on a canvas with the
+ * same font), so the sampler sees the wordmark's real aspect ratio.
+ * Uploaded fonts are embedded as a data: URL @font-face — an SVG rendered
+ * through <img> cannot see fonts loaded into the document.
+ */
+
+// Fonts already registered with document.fonts, keyed by family name
+const loadedFonts = new Map();
+
+// Fixed margin (px) around the ink bounds — with it, font size decides how
+// tightly the text fills the sampled frame.
+const FRAME_PAD = 24;
+
+/**
+ * Register an uploaded font file (data: URL) under `family` so canvas
+ * measurement uses the same glyphs as the SVG.
+ */
+export async function loadFont(family, url) {
+  if (loadedFonts.has(family)) return loadedFonts.get(family);
+  const face = new FontFace(family, `url(${url})`);
+  const pending = face.load().then((f) => {
+    document.fonts.add(f);
+    return f;
+  });
+  loadedFonts.set(family, pending);
+  return pending;
+}
+
+function escapeXML(str) {
+  return str
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * options:
+ *   text       — the wordmark
+ *   fontFamily — CSS font-family list (local fonts) or the uploaded family
+ *   fontUrl    — data: URL of an uploaded font file, embedded when set
+ *   fontSize   — px, relative to the fixed FRAME_PAD margin
+ *   tracking   — letter spacing in 1/1000 em, as in design tools
+ *   weight     — CSS font-weight (100–900)
+ */
+export async function textToSVG({
+  text,
+  fontFamily,
+  fontUrl = null,
+  fontSize = 200,
+  tracking = 0,
+  weight = 700,
+}) {
+  if (fontUrl) await loadFont(fontFamily, fontUrl);
+  const family = fontUrl ? `'${fontFamily}'` : fontFamily;
+  const spacing = (tracking / 1000) * fontSize;
+
+  const ctx = document.createElement('canvas').getContext('2d');
+  ctx.font = `${weight} ${fontSize}px ${family}`;
+  if ('letterSpacing' in ctx) ctx.letterSpacing = `${spacing}px`;
+  const m = ctx.measureText(text);
+
+  // Browsers without canvas letterSpacing: add the tracking by hand
+  const extra = 'letterSpacing' in ctx ? 0 : spacing * Math.max(0, text.length - 1);
+  const pad = FRAME_PAD;
+  const inkW = m.actualBoundingBoxLeft + m.actualBoundingBoxRight + extra;
+  const inkH = m.actualBoundingBoxAscent + m.actualBoundingBoxDescent;
+  const width = Math.max(1, Math.ceil(inkW + pad * 2));
+  const height = Math.max(1, Math.ceil(inkH + pad * 2));
+  const x = pad + m.actualBoundingBoxLeft;
+  const y = pad + m.actualBoundingBoxAscent;
+
+  const fontFace = fontUrl
+    ? `<defs><style>@font-face{font-family:'${fontFamily}';src:url(${fontUrl});}</style></defs>`
+    : '';
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+  ${fontFace}<text x="${x.toFixed(2)}" y="${y.toFixed(2)}" font-family="${escapeXML(family)}" font-size="${fontSize}" font-weight="${weight}" letter-spacing="${spacing.toFixed(2)}" fill="#000000">${escapeXML(text)}</text>
+</svg>`;
+}
@@ -0,0 +1,147 @@
+import { clamp } from './math.js';
+
+// Number of discrete colors a gradient is quantised into. Elements are
+// bucketed by level so canvas effects can batch fills per color.
+export const GRADIENT_LEVELS = 64;
+
+// Options for the shared `colorMode` select param.
+export const COLOR_MODE_OPTIONS = [
+  { value: 'solid', label: 'Solid' },
+  { value: 'darkness', label: 'Darkness' },
+  { value: 'horizontal', label: 'Horizontal' },
+  { value: 'vertical', label: 'Vertical' },
+  { value: 'source', label: 'Logo' },
+];
+
+export function hexToRgb(hex) {
+  let h = String(hex).replace('#', '');
+  if (h.length === 3) h = h[0] + h[0] + h[1] + h[1] + h[2] + h[2];
+  const n = parseInt(h, 16) || 0;
+  return [(n >> 16) & 255, (n >> 8) & 255, n & 255];
+}
+
+export function rgbToHex(r, g, b) {
+  return '#' + ((1 << 24) | (r << 16) | (g << 8) | b).toString(16).slice(1);
+}
+
+/**
+ * Sample a multi-stop gradient (evenly spaced stops) at t ∈ [0, 1].
+ * Returns a '#rrggbb' string.
+ */
+export function sampleGradient(stops, t) {
+  if (stops.length === 1) return stops[0];
+  const x = clamp(t, 0, 1) * (stops.length - 1);
+  const i = Math.min(Math.floor(x), stops.length - 2);
+  const f = x - i;
+  const a = hexToRgb(stops[i]);
+  const b = hexToRgb(stops[i + 1]);
+  return rgbToHex(
+    Math.round(a[0] + (b[0] - a[0]) * f),
+    Math.round(a[1] + (b[1] - a[1]) * f),
+    Math.round(a[2] + (b[2] - a[2]) * f),
+  );
+}
+
+/**
+ * Color of the logo pixel under (u, v) from sampleData.rgb / alpha
+ * (nearest cell). Returns null where the logo is transparent or when the
+ * sampler did not provide color data.
+ */
+export function sampleColor(sampleData, u, v) {
+  const { rgb, alpha, cols, rows } = sampleData;
+  if (!rgb) return null;
+  const x = Math.round(clamp(u, 0, 1) * (cols - 1));
+  const y = Math.round(clamp(v, 0, 1) * (rows - 1));
+  if (alpha && alpha[y][x] < 0.05) return null;
+  const row = rgb[y];
+  return rgbToHex(row[x * 3], row[x * 3 + 1], row[x * 3 + 2]);
+}
+
+/**
+ * Per-element color lookup shared by every animModule.
+ *
+ *   colors          — color table; elements store an index into it
+ *   levelAt(d, u, v) — index for an element with darkness d at (u, v)
+ *
+ * 'solid' → [color]; gradient modes → GRADIENT_LEVELS evenly sampled colors;
+ * 'source' → logo pixel colors, added to the table as they are met
+ * (transparent cells fall back to `color`).
+ */
+export function createColorMap(params, sampleData) {
+  const { colorMode, color, gradient } = params;
+
+  if (colorMode === 'source') {
+    const colors = [color];
+    const index = new Map([[color, 0]]);
+    return {
+      colors,
+      levelAt(darkness, u, v) {
+        const c = sampleColor(sampleData, u, v) ?? color;
+        let i = index.get(c);
+        if (i === undefined) {
+          i = colors.length;
+          colors.push(c);
+          index.set(c, i);
+        }
+        return i;
+      },
+    };
+  }
+
+  if (!colorMode || colorMode === 'solid' || !gradient || gradient.length === 0) {
+    return { colors: [color], levelAt: () => 0 };
+  }
+
+  const colors = [];
+  for (let i = 0; i < GRADIENT_LEVELS; i++) {
+    colors.push(sampleGradient(gradient, i / (GRADIENT_LEVELS - 1)));
+  }
+  return {
+    colors,
+    levelAt(darkness, u, v) {
+      let t;
+      if (colorMode === 'horizontal') t = u;
+      else if (colorMode === 'vertical') t = v;
+      else t = darkness;
+      return Math.round(clamp(t, 0, 1) * (GRADIENT_LEVELS - 1));
+    },
+  };
+}
+
+/**
+ * SVG paint for generate() output.
+ *
+ * Position modes share a single userSpaceOnUse <linearGradient> so the fill
+ * is continuous across elements; 'darkness' and 'source' modes return
+ * per-element colors from the same createColorMap() the canvas path uses,
+ * so SVG and preview match.
+ *
+ * Returns { defs, fillAt(darkness, u, v), solidAt(darkness, u, v) } — defs
+ * goes right after the <svg> tag. solidAt is always a plain color: the
+ * gradient's color at (u, v) in position modes, for elements drawn in a
+ * transformed space (e.g. <use> with translate / scale), where a
+ * userSpaceOnUse gradient would resolve in the element's local units.
+ */
+export function svgPaint(params, outputWidth, outputHeight, sampleData) {
+  const { colorMode, gradient } = params;
+
+  if ((colorMode === 'horizontal' || colorMode === 'vertical') && gradient && gradient.length > 0) {
+    // Content-derived id — several previews share one document, and identical
+    // ids must only ever point at identical gradients.
+    const id = `reffect-${colorMode[0]}-${gradient.map((c) => c.replace('#', '')).join('-')}`;
+    const x2 = colorMode === 'horizontal' ? outputWidth : 0;
+    const y2 = colorMode === 'vertical' ? outputHeight : 0;
+    const stops = gradient
+      .map((c, i) => `<stop offset="${gradient.length > 1 ? i / (gradient.length - 1) : 0}" stop-color="${c}"/>`)
+      .join('');
+    return {
+      defs: `<defs><linearGradient id="${id}" gradientUnits="userSpaceOnUse" x1="0" y1="0" x2="${x2}" y2="${y2}">${stops}</linearGradient></defs>`,
+      fillAt: () => `url(#${id})`,
+      solidAt: (darkness, u, v) => sampleGradient(gradient, colorMode === 'horizontal' ? u : v),
+    };
+  }
+
+  const colorMap = createColorMap(params, sampleData);
+  const fillAt = (darkness, u, v) => colorMap.colors[colorMap.levelAt(darkness, u, v)];
+  return { defs: '', fillAt, solidAt: fillAt };
+}
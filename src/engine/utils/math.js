@@ -16,6 +16,12 @@ export function mulberry32(seed) {
   };
 }
 
+// Deterministic 0..1 value for a seed — the same star layout on every run
+export function pseudoRandom(seed) {
+  const x = Math.sin(seed) * 10000;
+  return x - Math.floor(x);
+}
+
 export function sampleBilinear(grid, cols, rows, u, v) {
   const x = u * (cols - 1);
   const y = v * (rows - 1);
@@ -33,6 +39,21 @@ export function sampleBilinear(grid, cols, rows, u, v) {
   );
 }
 
+/**
+ * Signed distance to the logo edge at (u, v) from sampleData.distance —
+ * negative inside, positive outside, in u-units (multiply by the output
+ * width for pixels). Points outside the grid keep growing with their
+ * distance from it, so glows fade out past the logo bounds too.
+ */
+export function sampleDistance(distance, cols, rows, u, v) {
+  const cu = clamp(u, 0, 1);
+  const cv = clamp(v, 0, 1);
+  const d = sampleBilinear(distance, cols, rows, cu, cv);
+  if (cu === u && cv === v) return d;
+  // v-units → u-units: the grid is rows/cols as tall as it is wide
+  return d + Math.hypot(u - cu, ((v - cv) * rows) / cols);
+}
+
 export function map(value, inMin, inMax, outMin, outMax) {
   return outMin + ((value - inMin) / (inMax - inMin)) * (outMax - outMin);
 }
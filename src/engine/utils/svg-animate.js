@@ -0,0 +1,65 @@
+// SMIL helpers for animated SVG export.
+//
+// Generators describe each element's motion as a plain object and these
+// helpers turn it into <animate> / <animateTransform> children, so the
+// exported file animates on its own (including inside <img>) with no script.
+//
+// Motion descriptors:
+//   { type: 'wave', attr, from, to, period, phase }
+//       attr oscillates from → to as 0.5 + 0.5 · sin(2π t / period + phase),
+//       the same wave the animModules draw with
+//   { type: 'keyframes', attr, values, keyTimes, dur }
+//       piecewise-linear values at keyTimes (0..1) over dur seconds
+// attr 'scale' animates a scale() appended to the element's own transform.
+
+const fmt = (n) => String(+n.toFixed(3));
+
+// Cubic splines approximating a sine quarter: rising to a peak, falling away
+const EASE_OUT_SINE = '0.333 0.524 0.667 1';
+const EASE_IN_SINE = '0.333 0 0.667 0.476';
+
+function animationTag(attr, body) {
+  return attr === 'scale'
+    ? `<animateTransform attributeName="transform" type="scale" additive="sum" ${body}/>`
+    : `<animate attributeName="${attr}" ${body}/>`;
+}
+
+function waveAnimation({ attr, from, to, period, phase = 0 }) {
+  if (!period || !Number.isFinite(period) || Math.abs(to - from) < 1e-3) return '';
+  const mid = (from + to) / 2;
+  // sin(0) → peak → mid → trough → mid, each quarter eased like a sine
+  const values = [mid, to, mid, from, mid].map(fmt).join(';');
+  const splines = [EASE_OUT_SINE, EASE_IN_SINE, EASE_OUT_SINE, EASE_IN_SINE].join(';');
+  // Starting `phase` radians into the cycle = a negative begin offset
+  const turns = (((phase / (Math.PI * 2)) % 1) + 1) % 1;
+  return animationTag(
+    attr,
+    `values="${values}" keyTimes="0;0.25;0.5;0.75;1" calcMode="spline" keySplines="${splines}" ` +
+    `dur="${fmt(period)}s" begin="${fmt(-turns * period)}s" repeatCount="indefinite"`,
+  );
+}
+
+function keyframeAnimation({ attr, values, keyTimes, dur }) {
+  if (!dur || !Number.isFinite(dur)) return '';
+  return animationTag(
+    attr,
+    `values="${values.map(fmt).join(';')}" keyTimes="${keyTimes.map(fmt).join(';')}" ` +
+    `dur="${fmt(dur)}s" repeatCount="indefinite"`,
+  );
+}
+
+/** SMIL markup for one motion descriptor ('' when it would not move). */
+export function svgAnimation(motion) {
+  return motion.type === 'keyframes' ? keyframeAnimation(motion) : waveAnimation(motion);
+}
+
+/**
+ * Attach motions to a self-closing element string: `<circle …/>` becomes
+ * `<circle …><animate …/></circle>`. Elements without motion stay as-is.
+ */
+export function withMotion(element, motions) {
+  const children = motions.map(svgAnimation).join('');
+  if (!children) return element;
+  const tag = element.match(/^<([\w:-]+)/)[1];
+  return `${element.replace(/\s*\/>$/, '>')}${children}</${tag}>`;
+}
@@ -0,0 +1,76 @@
+// Named layers for generate() output.
+//
+// With options.layers set, generators sort their elements into <g> layers
+// that Inkscape (inkscape:groupmode="layer") and Illustrator (the id becomes
+// the layer name) list in their layer panels, so parts of the art can be
+// recoloured or hidden:
+//   { by: 'tone', count }    — darkness bands, lightest first (count 3–5)
+//   { by: 'row', count }     — horizontal strips, top to bottom
+//   { by: 'column', count }  — vertical strips, left to right
+// Layers stack in that order, so elements overlapping across two layers may
+// paint in a different order than in the unlayered output. Empty layers are
+// left out.
+
+export const LAYER_MODES = [
+  { value: 'none', label: 'None' },
+  { value: 'tone', label: 'Tonal bands' },
+  { value: 'row', label: 'Rows' },
+  { value: 'column', label: 'Columns' },
+];
+
+export const TONE_BAND_COUNTS = [3, 4, 5];
+
+const INKSCAPE_NS = 'http://www.inkscape.org/namespaces/inkscape';
+
+const clampIndex = (i, count) => Math.min(count - 1, Math.max(0, Math.floor(i)));
+
+function layerName(by, index, count) {
+  if (by === 'tone') {
+    const shade = index === 0 ? ' (lightest)' : index === count - 1 ? ' (darkest)' : '';
+    return { id: `Tone_${index + 1}`, label: `Tone ${index + 1}${shade}` };
+  }
+  const kind = by === 'row' ? 'Row' : 'Column';
+  return { id: `${kind}_${index + 1}`, label: `${kind} ${index + 1}` };
+}
+
+/**
+ * Collector for a generator's elements.
+ *   layerAt(darkness, x, y) — layer index of an element (x, y in SVG units);
+ *                             0 when layers are off
+ *   add(index, element)     — element markup into that layer
+ *   markup(indent)          — all elements, wrapped in layer groups if on
+ *   namespace               — xmlns:inkscape attribute for the root <svg>
+ * With `spec` unset (or by 'none') it is a plain list in insertion order.
+ */
+export function createLayers(spec, outputWidth, outputHeight) {
+  const by = spec && spec.by !== 'none' ? spec.by : null;
+  const count = by ? Math.max(1, Math.round(spec.count) || 1) : 1;
+  const layers = Array.from({ length: count }, () => []);
+
+  function layerAt(darkness, x, y) {
+    if (by === 'tone') return clampIndex(darkness * count, count);
+    if (by === 'row') return clampIndex((y / outputHeight) * count, count);
+    if (by === 'column') return clampIndex((x / outputWidth) * count, count);
+    return 0;
+  }
+
+  function markup(indent = '  ') {
+    if (!by) return layers[0].join(`\n${indent}`);
+    return layers
+      .map((elements, i) => {
+        if (elements.length === 0) return null;
+        const { id, label } = layerName(by, i, count);
+        return `<g id="${id}" inkscape:groupmode="layer" inkscape:label="${label}">\n${indent}  ` +
+          `${elements.join(`\n${indent}  `)}\n${indent}</g>`;
+      })
+      .filter(Boolean)
+      .join(`\n${indent}`);
+  }
+
+  return {
+    layerAt,
+    add: (index, element) => layers[index].push(element),
+    markup,
+    namespace: by ? ` xmlns:inkscape="${INKSCAPE_NS}"` : '',
+  };
+}
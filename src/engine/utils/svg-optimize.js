@@ -0,0 +1,302 @@
+// SVG output optimizer — a post-process shared by every genModule's
+// generate() output, to keep exports small enough for Illustrator & co.
+//
+// Options:
+//   precision       — decimals kept (null = as is) in coordinates
+//                     and lengths; non-zero sizes (r, stroke-width, …) keep at
+//                     least one unit instead of rounding to 0
+//   mergePaths      — adjacent <path>s with identical attributes become one
+//                     path; overlapping collinear straight segments (e.g.
+//                     line-halftone's per-cell strokes) are joined into one
+//   groupAttributes — runs of sibling shapes sharing presentation attributes
+//                     get them hoisted onto a wrapping <g>
+//
+// Works on the markup the generators write: siblings of self-closing
+// shapes. Elements with children (SMIL-animated shapes, existing groups)
+// keep their place and order; only their own children are optimized, and
+// <defs> are left alone.
+
+import { parsePathData } from '../svg-paths.js';
+
+export const SVG_PRECISIONS = [
+  { value: 'original', label: 'Original' },
+  { value: '3', label: '0.001' },
+  { value: '2', label: '0.01' },
+  { value: '1', label: '0.1' },
+  { value: '0', label: '1' },
+];
+
+// precision: decimals, or null to keep the generator's own
+export const DEFAULT_SVG_OPTIMIZE = { precision: 1, mergePaths: true, groupAttributes: true };
+
+const SHAPE_TAGS = new Set(['path', 'rect', 'circle', 'ellipse', 'line', 'polyline', 'polygon', 'use']);
+
+// Attributes whose numbers are rounded to `precision`
+const NUMERIC_ATTRS = new Set([
+  'd', 'points', 'x', 'y', 'x1', 'y1', 'x2', 'y2', 'cx', 'cy', 'r', 'rx', 'ry',
+  'width', 'height', 'stroke-width', 'stroke-dasharray', 'stroke-dashoffset', 'transform',
+]);
+
+// Sizes that must not round away to 0 — a 0.4px dot or hairline would vanish
+const SIZE_ATTRS = new Set(['r', 'rx', 'ry', 'width', 'height', 'stroke-width']);
+
+// Inherited presentation attributes — safe to move onto a parent <g>
+const GROUPABLE_ATTRS = new Set([
+  'fill', 'fill-rule', 'fill-opacity', 'stroke', 'stroke-width', 'stroke-linecap',
+  'stroke-linejoin', 'stroke-miterlimit', 'stroke-opacity',
+]);
+
+const TOKEN_RE = /<!--[\s\S]*?-->|<[^>]+>|[^<]+/g;
+const ATTR_RE = /([\w:-]+)="([^"]*)"/g;
+const NUMBER_RE = /-?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g;
+
+/**
+ * Optimize an SVG string. Options default to DEFAULT_SVG_OPTIMIZE; the
+ * result renders the same up to the chosen precision.
+ */
+export function optimizeSVG(svgString, options = {}) {
+  const { precision, mergePaths, groupAttributes } = { ...DEFAULT_SVG_OPTIMIZE, ...options };
+  const round = precision == null
+    ? (n) => n
+    : (n) => +n.toFixed(precision);
+  // non-zero sizes keep at least one unit of the chosen precision
+  const roundSize = precision == null
+    ? round
+    : (n) => (n !== 0 && round(n) === 0 ? Math.sign(n) * 10 ** -precision : round(n));
+  const root = parseTree(svgString);
+  optimizeChildren(root, { round, roundSize, mergePaths, groupAttributes });
+  return serialize(root);
+}
+
+// ── Markup tree ───────────────────────────────────────────────────────────
+// Nodes: { text } for text / comments / declarations, { tag, attrs } for
+// self-closing elements, { tag, open, children, close } for containers.
+
+function parseTree(svgString) {
+  const root = { children: [] };
+  const stack = [root];
+  for (const [token] of svgString.matchAll(TOKEN_RE)) {
+    const parent = stack[stack.length - 1];
+    if (!token.startsWith('<') || token.startsWith('<!') || token.startsWith('<?')) {
+      if (token.trim()) parent.children.push({ text: token });
+    } else if (token.startsWith('</')) {
+      const node = stack.pop();
+      node.close = token;
+    } else if (token.endsWith('/>')) {
+      parent.children.push({ tag: tagName(token), attrs: parseAttrs(token) });
+    } else {
+      const node = { tag: tagName(token), open: token, children: [], close: '' };
+      parent.children.push(node);
+      stack.push(node);
+    }
+  }
+  return root;
+}
+
+function tagName(token) {
+  return token.match(/^<\/?([\w:-]+)/)[1];
+}
+
+function parseAttrs(token) {
+  const attrs = new Map();
+  for (const [, name, value] of token.matchAll(ATTR_RE)) attrs.set(name, value);
+  return attrs;
+}
+
+function elementSrc(tag, attrs, selfClosing) {
+  let src = `<${tag}`;
+  for (const [name, value] of attrs) src += ` ${name}="${value}"`;
+  return src + (selfClosing ? '/>' : '>');
+}
+
+function serialize(node) {
+  if (node.text !== undefined) return node.text;
+  if (node.attrs && !node.children) return elementSrc(node.tag, node.attrs, true);
+  const inner = node.children.map(serialize).join('\n');
+  return node.open === undefined ? inner : `${node.open}${inner}${node.close}`;
+}
+
+// ── Passes ────────────────────────────────────────────────────────────────
+
+function optimizeChildren(node, opts) {
+  if (node.tag === 'defs') return;
+  for (const child of node.children) {
+    if (child.children) {
+      // animated shapes: round their own attributes, leave the <animate>s
+      if (SHAPE_TAGS.has(child.tag)) {
+        const attrs = roundAttrs(parseAttrs(child.open), opts);
+        child.open = elementSrc(child.tag, attrs, false);
+      }
+      optimizeChildren(child, opts);
+    } else if (child.attrs && SHAPE_TAGS.has(child.tag)) {
+      child.attrs = roundAttrs(child.attrs, opts);
+    }
+  }
+  if (opts.mergePaths) node.children = mergeAdjacentPaths(node.children, opts.round);
+  if (opts.groupAttributes) node.children = groupCommonAttributes(node.children);
+}
+
+function roundAttrs(attrs, { round, roundSize }) {
+  for (const [name, value] of attrs) {
+    if (!NUMERIC_ATTRS.has(name)) continue;
+    const fn = SIZE_ATTRS.has(name) ? roundSize : round;
+    attrs.set(name, value.replace(NUMBER_RE, (n) => String(fn(parseFloat(n)))));
+  }
+  return attrs;
+}
+
+// Attributes other than d, as a comparison key
+function pathStyleKey(attrs) {
+  return [...attrs].filter(([name]) => name !== 'd').map(([n, v]) => `${n}=${v}`).join(' ');
+}
+
+// Dashes restart on every subpath and ids must stay unique — never merged
+const isMergeable = (node) =>
+  node.tag === 'path' && node.attrs && !node.children &&
+  !node.attrs.has('stroke-dasharray') && !node.attrs.has('id');
+
+function mergeAdjacentPaths(children, round) {
+  const out = [];
+  let run = [];
+  const flush = () => {
+    if (run.length === 1) out.push(run[0]);
+    else if (run.length > 1) {
+      const attrs = new Map(run[0].attrs);
+      attrs.set('d', mergePathData(run.map((node) => node.attrs.get('d')), round));
+      out.push({ tag: 'path', attrs });
+    }
+    run = [];
+  };
+
+  for (const child of children) {
+    if (isMergeable(child) && (run.length === 0 || pathStyleKey(run[0].attrs) === pathStyleKey(child.attrs))) {
+      run.push(child);
+      continue;
+    }
+    flush();
+    if (isMergeable(child)) run.push(child);
+    else out.push(child);
+  }
+  flush();
+  return out;
+}
+
+// Absolute M / L only → polylines [[x0, y0, x1, y1, …]], else null
+function toPolylines(d) {
+  const lines = [];
+  for (const { cmd, args } of parsePathData(d)) {
+    if (cmd === 'M') lines.push([args[0], args[1]]);
+    else if (cmd === 'L' && lines.length) lines[lines.length - 1].push(args[0], args[1]);
+    else return null;
+  }
+  return lines;
+}
+
+/**
+ * Join straight segment `b` onto segment `a` when they lie on one line,
+ * point the same way and overlap or touch. Returns the union or null.
+ */
+function unionSegments(a, b) {
+  const dx = a[2] - a[0];
+  const dy = a[3] - a[1];
+  const len = Math.hypot(dx, dy);
+  if (len === 0) return null;
+  const eps = 1e-6 * Math.max(1, len);
+  const cross = (x, y) => Math.abs(dx * (y - a[1]) - dy * (x - a[0])) / len;
+  if (cross(b[0], b[1]) > eps || cross(b[2], b[3]) > eps) return null;
+  if (dx * (b[2] - b[0]) + dy * (b[3] - b[1]) <= 0) return null;
+  const along = (x, y) => (dx * (x - a[0]) + dy * (y - a[1])) / len;
+  if (along(b[0], b[1]) < -eps || along(b[0], b[1]) > len + eps) return null;
+  return along(b[2], b[3]) > len ? [a[0], a[1], b[2], b[3]] : a;
+}
+
+function mergePathData(ds, round) {
+  const polylines = ds.map(toPolylines);
+  if (polylines.some((p) => p === null)) return ds.join('');
+
+  const merged = [];
+  for (const line of polylines.flat()) {
+    const last = merged[merged.length - 1];
+    const union = last && last.length === 4 && line.length === 4 ? unionSegments(last, line) : null;
+    if (union) merged[merged.length - 1] = union;
+    else merged.push(line);
+  }
+  return merged.map((pts) => {
+    let d = '';
+    for (let i = 0; i < pts.length; i += 2) d += `${i === 0 ? 'M' : 'L'}${round(pts[i])},${round(pts[i + 1])}`;
+    return d;
+  }).join('');
+}
+
+const isGroupable = (node) => node && node.attrs && !node.children && SHAPE_TAGS.has(node.tag);
+
+const groupableAttrs = (node) => new Map([...node.attrs].filter(([name]) => GROUPABLE_ATTRS.has(name)));
+
+// Entries of `shared` that `node` has with the same value
+function intersectAttrs(shared, node) {
+  const out = new Map();
+  for (const [name, value] of shared) {
+    if (node.attrs.get(name) === value) out.set(name, value);
+  }
+  return out;
+}
+
+// Markup bytes an attribute set costs on every element that repeats it
+function attrBytes(attrs) {
+  let n = 0;
+  for (const [name, value] of attrs) n += name.length + value.length + 4;
+  return n;
+}
+
+/**
+ * Greedy runs of sibling shapes. A run ends when the next shape would
+ * shrink the shared set enough that starting over saves more; a lone
+ * leading shape (e.g. the background <rect>) is dropped from the run when
+ * the following shapes share more among themselves than with it.
+ */
+function groupCommonAttributes(children) {
+  const out = [];
+  let run = [];
+  let shared = new Map();
+  const flush = () => {
+    if (run.length < 2 || shared.size === 0) out.push(...run);
+    else {
+      for (const node of run) for (const name of shared.keys()) node.attrs.delete(name);
+      out.push({ tag: 'g', open: elementSrc('g', shared, false), children: run, close: '</g>' });
+    }
+    run = [];
+  };
+  const restart = (child) => {
+    flush();
+    run = [child];
+    shared = groupableAttrs(child);
+  };
+
+  children.forEach((child, i) => {
+    if (!isGroupable(child)) {
+      flush();
+      out.push(child);
+      return;
+    }
+    if (run.length === 0) {
+      restart(child);
+      return;
+    }
+    const next = intersectAttrs(shared, child);
+    if (run.length === 1) {
+      const ahead = children[i + 1];
+      const aheadShared = isGroupable(ahead) ? intersectAttrs(groupableAttrs(child), ahead) : new Map();
+      if (attrBytes(aheadShared) > attrBytes(next)) {
+        restart(child);
+        return;
+      }
+    } else if (run.length * attrBytes(next) < (run.length - 1) * attrBytes(shared)) {
+      restart(child);
+      return;
+    }
+    run.push(child);
+    shared = next;
+  });
+  flush();
+  return out;
+}